@@ -0,0 +1,153 @@
+const {
+    freeTextQuestions,
+    questionPoints,
+    gradingCriteria,
+    buildGradingPrompt,
+    scoreGrade,
+    DEFAULT_POINTS,
+    MAX_RATING
+} = require('../answer-grading');
+const { MockProvider } = require('../llm-providers');
+
+// Same shape as answerGradeSchema in server.js
+const gradeSchema = {
+    type: 'object',
+    required: ['criteria', 'overallFeedback', 'improvements'],
+    additionalProperties: false,
+    properties: {
+        criteria: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['criterion', 'rating', 'feedback'],
+                additionalProperties: false,
+                properties: {
+                    criterion: { type: 'string' },
+                    rating: { type: 'integer', minimum: 0, maximum: 4 },
+                    feedback: { type: 'string' }
+                }
+            }
+        },
+        overallFeedback: { type: 'string' },
+        improvements: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const shortAnswer = {
+    question: 'Why do leaves change colour in autumn?',
+    sampleAnswer: 'Chlorophyll breaks down, revealing other pigments.',
+    keyPoints: ['Chlorophyll breaks down', ' Carotenoids become visible ', ''],
+    rubric: 'Names both pigments'
+};
+const essay = {
+    question: 'Discuss the causes of the First World War.',
+    guidelines: 'Cover alliances, militarism and nationalism',
+    structure: 'Introduction, three causes, conclusion'
+};
+
+describe('freeTextQuestions', () => {
+    test('finds short answers and essays at the top level and in sets', () => {
+        const found = freeTextQuestions({
+            shortAnswer: [{ question: 'a' }],
+            set1: { essay: [{ question: 'b' }] },
+            set2: { shortAnswer: [{ question: 'c' }] }
+        });
+        expect(found.map(({ question, questionType }) => `${question.question}:${questionType}`))
+            .toEqual(['a:shortAnswer', 'b:essay', 'c:shortAnswer']);
+    });
+
+    test('takes written questions from a flat list and skips multiple choice', () => {
+        const found = freeTextQuestions({
+            questions: [
+                { question: 'short' },
+                { question: 'long', guidelines: 'Argue both sides' },
+                { question: 'choice', options: ['x', 'y'] }
+            ]
+        });
+        expect(found.map(({ questionType }) => questionType)).toEqual(['shortAnswer', 'essay']);
+    });
+
+    test('leaves format questions to their own checker', () => {
+        expect(freeTextQuestions({ format: 'cloze', questions: [{ question: 'The ___ is red' }] })).toEqual([]);
+        expect(freeTextQuestions(null)).toEqual([]);
+    });
+});
+
+describe('questionPoints', () => {
+    test('uses sensible generated points and falls back to the type default', () => {
+        expect(questionPoints('essay', { points: 15 })).toBe(15);
+        expect(questionPoints('shortAnswer', { points: 100000 })).toBe(DEFAULT_POINTS.shortAnswer);
+        expect(questionPoints('shortAnswer', { points: -1 })).toBe(DEFAULT_POINTS.shortAnswer);
+        expect(questionPoints('essay', {})).toBe(DEFAULT_POINTS.essay);
+    });
+});
+
+describe('gradingCriteria', () => {
+    test('turns key points and the rubric of a short answer into criteria', () => {
+        expect(gradingCriteria('shortAnswer', shortAnswer)).toEqual([
+            'Covers the key point: Chlorophyll breaks down',
+            'Covers the key point: Carotenoids become visible',
+            'Meets the rubric: Names both pigments'
+        ]);
+    });
+
+    test('compares a short answer without key points with its sample answer', () => {
+        expect(gradingCriteria('shortAnswer', { question: 'q' })).toEqual(['Conveys the same ideas as the sample answer']);
+    });
+
+    test('judges an essay on its guidelines, structure, accuracy and argument', () => {
+        const criteria = gradingCriteria('essay', essay);
+        expect(criteria).toHaveLength(4);
+        expect(criteria[0]).toBe('Follows the guidelines: Cover alliances, militarism and nationalism');
+        expect(criteria[1]).toBe('Uses the expected structure: Introduction, three causes, conclusion');
+    });
+});
+
+describe('scoreGrade', () => {
+    const criteria = ['first', 'second'];
+
+    test('converts ratings into points per criterion', () => {
+        const grade = scoreGrade({
+            criteria: [{ rating: 4, feedback: 'Good' }, { rating: 2, feedback: 'Partly' }],
+            overallFeedback: 'Solid',
+            improvements: ['a', 'b', 'c', 'd']
+        }, criteria, 10);
+
+        expect(grade.score).toBe(7.5);
+        expect(grade.maxScore).toBe(10);
+        expect(grade.percentage).toBe(75);
+        expect(grade.passed).toBe(true);
+        expect(grade.criteria.map(item => item.points)).toEqual([5, 2.5]);
+        expect(grade.improvements).toEqual(['a', 'b', 'c']);
+    });
+
+    test('clamps ratings and scores skipped criteria as zero', () => {
+        const grade = scoreGrade({ criteria: [{ rating: 9, feedback: 'Too generous' }], overallFeedback: '' }, criteria, 5);
+
+        expect(grade.criteria[0].rating).toBe(MAX_RATING);
+        expect(grade.criteria[1]).toMatchObject({ rating: 0, points: 0, feedback: 'Not assessed' });
+        expect(grade.percentage).toBe(50);
+        expect(grade.passed).toBe(false);
+    });
+});
+
+describe('grading with the mock provider', () => {
+    async function grade(answer) {
+        const criteria = gradingCriteria('shortAnswer', shortAnswer);
+        const response = await new MockProvider().createChatCompletion({
+            messages: [{ role: 'user', content: buildGradingPrompt('shortAnswer', shortAnswer, answer, criteria) }],
+            response_format: { type: 'json_schema', json_schema: { name: 'answer_grade', schema: gradeSchema } }
+        });
+        return scoreGrade(JSON.parse(response.choices[0].message.content), criteria, questionPoints('shortAnswer', shortAnswer));
+    }
+
+    test('gives the same answer the same grade every time', async () => {
+        const answer = 'The green chlorophyll breaks down and the yellow carotenoids show through.';
+        const first = await grade(answer);
+
+        expect(await grade(answer)).toEqual(first);
+        expect(first.maxScore).toBe(DEFAULT_POINTS.shortAnswer);
+        expect(first.score).toBeGreaterThanOrEqual(0);
+        expect(first.score).toBeLessThanOrEqual(first.maxScore);
+    });
+});
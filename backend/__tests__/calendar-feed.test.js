@@ -0,0 +1,66 @@
+const { buildPlanCalendar, escapeText, foldLine } = require('../calendar-feed');
+
+const plan = {
+    _id: 'plan1',
+    title: 'Biology',
+    examDate: '2026-03-05',
+    updatedAt: new Date('2026-03-01T08:00:00Z'),
+    days: [
+        {
+            date: '2026-03-02',
+            items: [
+                { kind: 'study', title: 'Cells', minutes: 30, status: 'done' },
+                { kind: 'review', title: 'Review: Cells', minutes: 10, status: 'pending' }
+            ]
+        }
+    ]
+};
+
+// The feed's lines with folded lines joined back up
+const unfold = feed => feed.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeText', () => {
+    test('escapes separators, backslashes and newlines', () => {
+        expect(escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+    });
+});
+
+describe('foldLine', () => {
+    test('folds lines longer than 75 octets without splitting characters', () => {
+        const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+        const lines = folded.split('\r\n');
+
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+        expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    });
+});
+
+describe('buildPlanCalendar', () => {
+    const feed = buildPlanCalendar(plan, { '2026-03-02': 1, '2026-03-03': 4, '2026-03-09': 2 });
+    const lines = unfold(feed);
+
+    test('is a calendar with CRLF line endings', () => {
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(feed.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toContain('X-WR-CALNAME:Study plan: Biology');
+    });
+
+    test('has an all-day event per planned day listing its items and due flashcards', () => {
+        expect(lines).toContain('UID:plan1-2026-03-02@studymaster');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20260302');
+        expect(lines).toContain('DTEND;VALUE=DATE:20260303');
+        expect(lines).toContain('SUMMARY:Biology: 40 min of study + 1 flashcard');
+        expect(lines).toContain('DESCRIPTION:✓ Study: Cells (30 min)\\n• Review: Cells (10 min)\\n• 1 flashcard due for review');
+        expect(lines).toContain('DTSTAMP:20260301T080000Z');
+    });
+
+    test('adds days with only flashcards due, up to the exam, and the exam itself', () => {
+        expect(lines).toContain('SUMMARY:Biology: 4 flashcards due');
+        expect(lines).not.toContain('UID:plan1-2026-03-09@studymaster');
+        expect(lines).toContain('UID:plan1-exam@studymaster');
+        expect(lines).toContain('SUMMARY:Exam: Biology');
+        expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(3);
+    });
+});
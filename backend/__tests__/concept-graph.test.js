@@ -0,0 +1,93 @@
+const {
+    conceptKey,
+    mergeConceptGraphs,
+    toDot,
+    prerequisiteDependents,
+    buildMasteryIndex,
+    rankReviewPriorities
+} = require('../concept-graph');
+
+describe('conceptKey', () => {
+    test('treats articles, case, punctuation and plurals as the same concept', () => {
+        expect(conceptKey('The Cells')).toBe('cell');
+        expect(conceptKey('cell.')).toBe('cell');
+        expect(conceptKey('Mitosis')).toBe('mitosis');
+        expect(conceptKey('Status')).toBe('status');
+        expect(conceptKey(null)).toBe('');
+    });
+});
+
+describe('mergeConceptGraphs', () => {
+    const graph = mergeConceptGraphs([
+        {
+            concepts: [{ name: 'Cell', description: '' }, { name: 'Mitosis', description: 'Cell division' }],
+            relations: [
+                { source: 'Cells', type: 'prerequisite-of', target: 'Mitosis' },
+                { source: 'Cell', type: 'is-like', target: 'Mitosis' },
+                { source: 'Cell', type: 'part-of', target: 'Tissue' }
+            ],
+            sections: [{ fileId: 'f', sectionIndex: 0 }]
+        },
+        {
+            concepts: [{ name: 'The cells', description: 'Basic unit of life' }],
+            relations: [
+                { source: 'cell', type: 'prerequisite-of', target: 'mitosis' },
+                { source: 'Mitosis', type: 'causes', target: 'Mitosis' }
+            ],
+            sections: [{ fileId: 'f', sectionIndex: 0 }, { fileId: 'f', sectionIndex: 1 }]
+        }
+    ]);
+
+    test('merges concepts across parts and collects the sections they appear in', () => {
+        expect(graph.nodes).toEqual([
+            { id: 'cell', label: 'Cell', description: 'Basic unit of life', sections: [{ fileId: 'f', sectionIndex: 0 }, { fileId: 'f', sectionIndex: 1 }] },
+            { id: 'mitosis', label: 'Mitosis', description: 'Cell division', sections: [{ fileId: 'f', sectionIndex: 0 }] }
+        ]);
+    });
+
+    test('weights repeated relations and drops unknown types, loose ends and self-loops', () => {
+        expect(graph.edges).toEqual([{ source: 'cell', target: 'mitosis', type: 'prerequisite-of', weight: 2 }]);
+    });
+
+    test('exports Graphviz DOT with escaped labels', () => {
+        const dot = toDot({ nodes: [{ id: 'a', label: 'Say "hi"' }, { id: 'b', label: 'B' }], edges: [{ source: 'a', target: 'b', type: 'causes' }] }, 'Biology');
+        expect(dot).toBe([
+            'digraph "Biology" {',
+            '    rankdir=LR;',
+            '    node [shape=box, style=rounded];',
+            '    "a" [label="Say \\"hi\\""];',
+            '    "b" [label="B"];',
+            '    "a" -> "b" [label="causes", style=dashed, color="#dc2626"];',
+            '}',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('review ranking', () => {
+    const node = (id, label = id) => ({ id, label });
+    const prerequisite = (source, target) => ({ source, target, type: 'prerequisite-of' });
+    const graph = {
+        nodes: [node('a'), node('b'), node('c'), node('d'), node('e')],
+        edges: [prerequisite('a', 'b'), prerequisite('b', 'c'), prerequisite('c', 'a'), { source: 'd', target: 'a', type: 'is-a' }]
+    };
+
+    test('follows prerequisite chains, including cycles, to every dependent', () => {
+        const dependents = prerequisiteDependents(graph);
+        expect([...dependents.get('a')].sort()).toEqual(['b', 'c']);
+        expect([...dependents.get('d')]).toEqual([]);
+    });
+
+    test('averages card mastery and question accuracy per concept', () => {
+        expect(buildMasteryIndex(
+            [{ concept: 'A', mastery: 40 }, { concept: 'b', mastery: 100 }],
+            [{ topic: 'a', accuracy: 61 }, { topic: 'c', accuracy: null }]
+        )).toEqual({ a: 51, b: 100 });
+    });
+
+    test('puts weak foundations first and leaves out mastered concepts', () => {
+        const ranked = rankReviewPriorities(graph, { a: 50, b: 100, d: 50 });
+        expect(ranked.map(item => [item.id, item.priority])).toEqual([['c', 3], ['a', 1.5], ['e', 1], ['d', 0.5]]);
+        expect(ranked[0]).toMatchObject({ mastery: null, dependentCount: 2 });
+    });
+});
@@ -0,0 +1,62 @@
+const { ObjectId } = require('mongodb');
+const { courseIdParam, toObjectIds, validateCourseSettings, generationCourseId } = require('../courses');
+
+const SCHEDULERS = ['sm2', 'fsrs'];
+const id = '65f1a2b3c4d5e6f708192a3b';
+
+describe('courseIdParam', () => {
+    test('reads a course id, or "none" for items outside every course', () => {
+        expect(courseIdParam(id)).toEqual(new ObjectId(id));
+        expect(courseIdParam('none')).toBeNull();
+        expect(courseIdParam('not-an-id')).toBeUndefined();
+        expect(courseIdParam(undefined)).toBeUndefined();
+    });
+});
+
+describe('toObjectIds', () => {
+    test('keeps the valid ids of a list', () => {
+        expect(toObjectIds([id, 'bad', null, ''])).toEqual([new ObjectId(id)]);
+        expect(toObjectIds(id)).toEqual([]);
+    });
+});
+
+describe('validateCourseSettings', () => {
+    test('returns only the fields that were sent, cleaned up', () => {
+        expect(validateCourseSettings({ name: '  Biology  ', description: 'x'.repeat(1200) }, SCHEDULERS)).toEqual({
+            fields: { name: 'Biology', description: 'x'.repeat(1000) }
+        });
+        expect(validateCourseSettings({ scheduler: 'fsrs', requestRetention: 0.85 }, SCHEDULERS)).toEqual({
+            fields: { scheduler: 'fsrs', requestRetention: 0.85 }
+        });
+    });
+
+    test('lets a course go back to the account scheduler settings', () => {
+        expect(validateCourseSettings({ scheduler: null, requestRetention: null }, SCHEDULERS)).toEqual({
+            fields: { scheduler: null, requestRetention: null }
+        });
+    });
+
+    test('rejects bad names, schedulers and retention targets', () => {
+        expect(validateCourseSettings({ name: '   ' }, SCHEDULERS).error).toMatch(/name must be/);
+        expect(validateCourseSettings({ name: 'x'.repeat(101) }, SCHEDULERS).error).toMatch(/at most 100/);
+        expect(validateCourseSettings({ scheduler: 'leitner' }, SCHEDULERS).error).toMatch(/sm2, fsrs/);
+        expect(validateCourseSettings({ requestRetention: 0.5 }, SCHEDULERS).error).toMatch(/between 0.7 and 0.99/);
+        expect(validateCourseSettings({ requestRetention: '0.9' }, SCHEDULERS).error).toMatch(/requestRetention/);
+    });
+});
+
+describe('generationCourseId', () => {
+    const courseId = new ObjectId(id);
+    const otherId = new ObjectId();
+
+    test('uses the requested course first', () => {
+        expect(generationCourseId({ _id: otherId }, [{ courseId }])).toBe(otherId);
+    });
+
+    test('otherwise uses the course every file shares', () => {
+        expect(generationCourseId(null, [{ courseId }, { courseId: new ObjectId(id) }])).toBe(courseId);
+        expect(generationCourseId(null, [{ courseId }, { courseId: otherId }])).toBeNull();
+        expect(generationCourseId(null, [{ courseId }, {}])).toBeNull();
+        expect(generationCourseId(null, [{}])).toBeNull();
+    });
+});
@@ -0,0 +1,91 @@
+const JSZip = require('jszip');
+const { htmlToText, extractHtml, extractPptx, extractEpub } = require('../document-formats');
+
+const zipOf = async files => {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) zip.file(name, content);
+    return await zip.generateAsync({ type: 'nodebuffer' });
+};
+const headingTitles = ({ text, headings }) => headings.map(heading => text.substring(heading.offset, heading.offset + heading.title.length));
+
+describe('htmlToText', () => {
+    test('keeps headings, paragraphs, lists and tables and drops scripts and navigation', () => {
+        const { text, headings, title } = htmlToText(`<html><head><title>Cells &amp; Life</title><style>p { color: red }</style></head>
+            <body><nav>Home | About</nav>
+            <h1>The   Cell</h1><p>Cells are <b>small</b>.<br>Very small.</p>
+            <ul><li>Nucleus</li><li>Ribosome</li></ul>
+            <table><tr><td>A</td><td>B</td></tr></table>
+            <script>alert(1)</script><pre>x  =  1\n y</pre></body></html>`);
+
+        expect(title).toBe('Cells & Life');
+        expect(text).toBe('The Cell\n\nCells are small.\nVery small.\n\n• Nucleus\n• Ribosome\n\nA\tB\n\nx  =  1\n y');
+        expect(headings).toEqual([{ level: 1, title: 'The Cell', offset: 0 }]);
+    });
+
+    test('decodes numeric and named entities', () => {
+        expect(htmlToText('<p>&#169; &#x2014; &hellip; &unknown;</p>').text).toBe('© — … &unknown;');
+    });
+});
+
+describe('extractHtml', () => {
+    test('heads a page without headings with its title', () => {
+        expect(extractHtml('<html><head><title>Notes</title></head><body><p>Some text</p></body></html>')).toEqual({
+            text: 'Notes\n\nSome text',
+            pages: [],
+            headings: [{ level: 1, title: 'Notes', offset: 0 }]
+        });
+    });
+});
+
+describe('extractPptx', () => {
+    const shape = (type, paragraphs) => `<p:sp>${type ? `<p:nvSpPr><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr>` : ''}<p:txBody>${paragraphs.map(runs => `<a:p>${runs.map(run => `<a:r><a:t>${run}</a:t></a:r>`).join('')}</a:p>`).join('')}</p:txBody></p:sp>`;
+    const rel = (id, type, target) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`;
+
+    test('turns each slide into a page headed by its title, in presentation order, with its notes', async () => {
+        const buffer = await zipOf({
+            'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>',
+            'ppt/_rels/presentation.xml.rels': `<Relationships>${rel('rId2', 'slide', 'slides/slide1.xml')}${rel('rId3', 'slide', 'slides/slide2.xml')}</Relationships>`,
+            'ppt/slides/slide1.xml': `<p:sld>${shape('title', [['Mitosis']])}${shape(null, [['Cells ', 'divide'], ['Twice']])}</p:sld>`,
+            'ppt/slides/slide2.xml': `<p:sld>${shape('ctrTitle', [['Cell &amp; Biology']])}</p:sld>`,
+            'ppt/slides/_rels/slide1.xml.rels': `<Relationships>${rel('rId1', 'notesSlide', '../notesSlides/notesSlide1.xml')}</Relationships>`,
+            'ppt/notesSlides/notesSlide1.xml': `<p:notes>${shape('sldImg', [['Image']])}${shape('body', [['Mention prophase']])}</p:notes>`
+        });
+
+        const extracted = await extractPptx(buffer);
+        expect(extracted.text).toBe('Slide 1: Cell & Biology\n\nSlide 2: Mitosis\n\nCells divide\n\nTwice\n\nNotes: Mention prophase');
+        expect(headingTitles(extracted)).toEqual(['Slide 1: Cell & Biology', 'Slide 2: Mitosis']);
+        expect(extracted.pages.map(page => [page.page, extracted.text.substring(page.startOffset, page.endOffset).split('\n')[0]])).toEqual([
+            [1, 'Slide 1: Cell & Biology'],
+            [2, 'Slide 2: Mitosis']
+        ]);
+    });
+
+    test('rejects a zip that is not a presentation', async () => {
+        await expect(extractPptx(await zipOf({ 'word/document.xml': '<w:document/>' }))).rejects.toThrow('Not a PowerPoint presentation');
+    });
+});
+
+describe('extractEpub', () => {
+    test('reads chapters in spine order and heads untitled ones from the table of contents', async () => {
+        const buffer = await zipOf({
+            'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+            'OEBPS/content.opf': `<package><manifest>
+                <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+                <item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/>
+                <item id="c2" href="text/two.xhtml" media-type="application/xhtml+xml"/>
+            </manifest><spine><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>`,
+            'OEBPS/nav.xhtml': '<nav><ol><li><a href="text/one.xhtml#start">Chapter One</a></li><li><a href="text/two.xhtml">Chapter Two</a></li></ol></nav>',
+            'OEBPS/text/one.xhtml': '<html><body><p>First chapter text.</p></body></html>',
+            'OEBPS/text/two.xhtml': '<html><body><h1>Genes</h1><p>Second chapter text.</p></body></html>'
+        });
+
+        const extracted = await extractEpub(buffer);
+        expect(extracted.text).toBe('Genes\n\nSecond chapter text.\n\nChapter One\n\nFirst chapter text.');
+        expect(extracted.headings.map(heading => heading.title)).toEqual(['Genes', 'Chapter One']);
+        expect(headingTitles(extracted)).toEqual(['Genes', 'Chapter One']);
+    });
+
+    test('rejects a zip without a package document', async () => {
+        await expect(extractEpub(await zipOf({ 'mimetype': 'application/epub+zip' }))).rejects.toThrow('Not an EPUB book');
+    });
+});
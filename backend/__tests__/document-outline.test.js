@@ -0,0 +1,116 @@
+const {
+    detectMarkdownHeadings,
+    detectTextHeadings,
+    detectHtmlHeadings,
+    buildOutline,
+    ownText,
+    nodesBottomUp
+} = require('../document-outline');
+
+const simplify = nodes => nodes.map(node => ({ id: node.id, title: node.title, children: simplify(node.children) }));
+
+describe('detectMarkdownHeadings', () => {
+    test('finds ATX and setext headings and skips fenced code', () => {
+        const text = [
+            '# **Cells**',
+            'Intro',
+            '',
+            'Structure',
+            '---------',
+            '```',
+            '# not a heading',
+            '```',
+            '### Organelles ###'
+        ].join('\n');
+
+        expect(detectMarkdownHeadings(text)).toEqual([
+            { level: 1, title: 'Cells', offset: 0 },
+            { level: 2, title: 'Structure', offset: 19 },
+            { level: 3, title: 'Organelles', offset: 63 }
+        ]);
+    });
+});
+
+describe('detectTextHeadings', () => {
+    test('ranks chapter lines, numbered sections and capitals by the kinds the document uses', () => {
+        const text = [
+            'CHAPTER 1',
+            'THE CELL',
+            'Cells are small.',
+            '1.1 Cell Structure',
+            'Membranes surround cells.',
+            '1.2 Cell Division',
+            'Cells divide.',
+            'Chapter 2: Genetics',
+            'Genes carry traits.'
+        ].join('\n');
+
+        expect(detectTextHeadings(text).map(({ level, title }) => [level, title])).toEqual([
+            [1, 'CHAPTER 1: THE CELL'],
+            [2, '1.1 Cell Structure'],
+            [2, '1.2 Cell Division'],
+            [1, 'Chapter 2: Genetics']
+        ]);
+    });
+
+    test('ignores running headers, contents entries and sentences', () => {
+        const text = [
+            'BIOLOGY NOTES',
+            '1.1 Cell Structure ........ 4',
+            'BIOLOGY NOTES',
+            '1 The cell divides when it grows.',
+            'BIOLOGY NOTES',
+            '2.1 Cell Structure'
+        ].join('\n');
+
+        expect(detectTextHeadings(text).map(heading => heading.title)).toEqual(['2.1 Cell Structure']);
+    });
+});
+
+describe('detectHtmlHeadings', () => {
+    test('places Word heading styles at their offsets in the raw text', () => {
+        const html = '<h1>Cells &amp; Tissues</h1><p>Intro</p><h2>Cell <strong>Walls</strong></h2><p>Plants</p>';
+        const text = 'Cells & Tissues\n\nIntro\n\nCell Walls\n\nPlants';
+
+        expect(detectHtmlHeadings(html, text)).toEqual([
+            { level: 1, title: 'Cells & Tissues', offset: 0 },
+            { level: 2, title: 'Cell Walls', offset: 24 }
+        ]);
+    });
+});
+
+describe('buildOutline', () => {
+    const text = '# A\nalpha\n## A1\none\n## A2\ntwo\n# B\nbeta';
+    const outline = buildOutline(text, detectMarkdownHeadings(text), [{ page: 1, startOffset: 0, endOffset: 20 }, { page: 2, startOffset: 20, endOffset: text.length }]);
+
+    test('nests headings into numbered nodes covering the text up to the next heading', () => {
+        expect(outline.source).toBe('headings');
+        expect(simplify(outline.nodes)).toEqual([
+            { id: '1', title: 'A', children: [{ id: '1.1', title: 'A1', children: [] }, { id: '1.2', title: 'A2', children: [] }] },
+            { id: '2', title: 'B', children: [] }
+        ]);
+        const [a, b] = outline.nodes;
+        expect(text.substring(a.startOffset, a.endOffset)).toBe('# A\nalpha\n## A1\none\n## A2\ntwo\n');
+        expect(b).toMatchObject({ page: 2, endPage: 2, endOffset: text.length });
+        expect(a).toMatchObject({ page: 1, endPage: 2 });
+    });
+
+    test('starts heading levels at 1 and keeps a long preamble as an untitled section', () => {
+        const preamble = 'word '.repeat(50);
+        const deep = buildOutline(`${preamble}\n### Deep\ntext`, [{ level: 3, title: 'Deep', offset: preamble.length + 1 }]);
+        expect(deep.nodes.map(node => [node.title, node.level])).toEqual([[null, 1], ['Deep', 1]]);
+    });
+
+    test('splits a document without headings into untitled sections', () => {
+        const plain = buildOutline('word '.repeat(2000), []);
+        expect(plain.source).toBe('sections');
+        expect(plain.nodes.length).toBeGreaterThan(1);
+        expect(plain.nodes.every(node => node.title === null)).toBe(true);
+    });
+
+    test('gives each node its own text and walks the tree deepest level first', () => {
+        expect(ownText(outline.nodes[0], text)).toBe('# A\nalpha');
+        expect(ownText(outline.nodes[0].children[1], text)).toBe('## A2\ntwo');
+        expect(nodesBottomUp(outline.nodes).map(level => level.map(node => node.id))).toEqual([['1.1', '1.2'], ['1', '2']]);
+    });
+});
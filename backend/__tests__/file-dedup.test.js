@@ -0,0 +1,59 @@
+const {
+    hashBytes,
+    hashText,
+    normalizeText,
+    textSignature,
+    signatureSimilarity,
+    findNearDuplicate,
+    NEAR_DUPLICATE_THRESHOLD
+} = require('../file-dedup');
+
+// Distinct words, so every shingle of the text is different
+const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+describe('exact copies', () => {
+    test('hash the same bytes the same way', () => {
+        expect(hashBytes(Buffer.from('notes'))).toBe(hashBytes(Buffer.from('notes')));
+        expect(hashBytes(Buffer.from('notes'))).not.toBe(hashBytes(Buffer.from('notes!')));
+    });
+
+    test('ignore case, punctuation, layout and Unicode composition in the text hash', () => {
+        expect(normalizeText('  The Cell,\n\tNucleus!  ')).toBe('the cell nucleus');
+        expect(hashText('Café au lait')).toBe(hashText('CAFÉ au\r\nlait.'));
+        expect(hashText('cell nucleus')).not.toBe(hashText('cell membrane'));
+    });
+});
+
+describe('near copies', () => {
+    const original = words('w', 400);
+
+    test('have a signature that does not depend on formatting', () => {
+        expect(textSignature(original)).toHaveLength(128);
+        expect(textSignature(original.toUpperCase())).toEqual(textSignature(original));
+        expect(textSignature('')).toEqual([]);
+    });
+
+    test('estimate how many shingles two texts share', () => {
+        const revised = `${original} ${words('extra', 40)}`;
+        const other = words('x', 400);
+
+        expect(signatureSimilarity(textSignature(original), textSignature(original))).toBe(1);
+        expect(signatureSimilarity(textSignature(original), textSignature(revised))).toBeGreaterThan(0.8);
+        expect(signatureSimilarity(textSignature(original), textSignature(other))).toBeLessThan(0.1);
+        expect(signatureSimilarity([], textSignature(original))).toBe(0);
+    });
+
+    test('match the most similar file above the threshold', () => {
+        const signature = textSignature(original);
+        const candidates = [
+            { _id: 'unrelated', signature: textSignature(words('x', 400)) },
+            { _id: 'half', signature: textSignature(`${words('w', 200)} ${words('y', 200)}`) },
+            { _id: 'revised', signature: textSignature(`${original} ${words('extra', 20)}`) }
+        ];
+
+        const match = findNearDuplicate(signature, candidates);
+        expect(match.file._id).toBe('revised');
+        expect(match.similarity).toBeGreaterThanOrEqual(NEAR_DUPLICATE_THRESHOLD);
+        expect(findNearDuplicate(signature, candidates.slice(0, 1))).toBeNull();
+    });
+});
@@ -0,0 +1,83 @@
+const {
+    scheduleFsrs,
+    fitFsrsWeights,
+    qualityToRating,
+    retrievability,
+    MIN_REVIEWS_FOR_FIT
+} = require('../fsrs-scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+
+describe('qualityToRating', () => {
+    test('maps 0-5 recall quality onto Again, Hard, Good and Easy', () => {
+        expect([0, 2, 3, 4, 5].map(qualityToRating)).toEqual([1, 1, 2, 3, 4]);
+    });
+});
+
+describe('retrievability', () => {
+    test('is 90% after as many days as the stability', () => {
+        expect(retrievability(0, 10)).toBe(1);
+        expect(retrievability(10, 10)).toBeCloseTo(0.9, 10);
+        expect(retrievability(30, 10)).toBeLessThan(0.9);
+    });
+});
+
+describe('scheduleFsrs', () => {
+    test('schedules a first review further out the easier it was', () => {
+        const intervals = [1, 3, 4, 5].map(quality => scheduleFsrs(null, null, quality, { now }).interval);
+        expect(intervals).toEqual([...intervals].sort((a, b) => a - b));
+        expect(intervals[0]).toBeGreaterThanOrEqual(1);
+    });
+
+    test('grows the stability after a successful review on time', () => {
+        const first = scheduleFsrs(null, null, 4, { now });
+        const reviewedAt = new Date(now.getTime() + first.interval * DAY_MS);
+        const second = scheduleFsrs(first.fsrs, now, 4, { now: reviewedAt });
+
+        expect(second.elapsedDays).toBeCloseTo(first.interval, 6);
+        expect(second.retrievability).toBeCloseTo(0.9, 1);
+        expect(second.fsrs.stability).toBeGreaterThan(first.fsrs.stability);
+        expect(second.interval).toBeGreaterThan(first.interval);
+        expect(second.nextReview.getTime()).toBe(reviewedAt.getTime() + second.interval * DAY_MS);
+    });
+
+    test('counts a lapse and never makes the memory more stable after one', () => {
+        const state = { stability: 20, difficulty: 5, lapses: 1 };
+        const lapse = scheduleFsrs(state, new Date(now.getTime() - 20 * DAY_MS), 1, { now });
+
+        expect(lapse.fsrs.lapses).toBe(2);
+        expect(lapse.fsrs.stability).toBeLessThanOrEqual(state.stability);
+        expect(lapse.fsrs.difficulty).toBeGreaterThan(state.difficulty);
+    });
+
+    test('schedules sooner for a higher requested retention', () => {
+        const state = { stability: 10, difficulty: 5, lapses: 0 };
+        const lastReview = new Date(now.getTime() - 10 * DAY_MS);
+        const relaxed = scheduleFsrs(state, lastReview, 4, { now, requestRetention: 0.8 });
+        const strict = scheduleFsrs(state, lastReview, 4, { now, requestRetention: 0.95 });
+
+        expect(strict.interval).toBeLessThan(relaxed.interval);
+    });
+});
+
+describe('fitFsrsWeights', () => {
+    test('needs enough repeat reviews', () => {
+        expect(() => fitFsrsWeights([[{ rating: 3, elapsedDays: 0 }, { rating: 3, elapsedDays: 2 }]]))
+            .toThrow(`At least ${MIN_REVIEWS_FOR_FIT} repeat reviews`);
+    });
+
+    test('does not end with a worse fit than the weights it started from', () => {
+        // Cards forgotten much sooner than the default weights predict
+        const histories = Array.from({ length: 30 }, (_, i) => [
+            { rating: 3, elapsedDays: 0 },
+            { rating: i % 3 === 0 ? 3 : 1, elapsedDays: 4 },
+            { rating: 3, elapsedDays: 2 }
+        ]);
+        const fit = fitFsrsWeights(histories, { iterations: 5 });
+
+        expect(fit.reviewCount).toBe(60);
+        expect(fit.weights).toHaveLength(17);
+        expect(fit.loss).toBeLessThanOrEqual(fit.initialLoss);
+    });
+});
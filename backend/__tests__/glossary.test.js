@@ -0,0 +1,73 @@
+const { hasDefinitionCues, mergeGlossary, glossarySearchFilter, glossaryFlashcard } = require('../glossary');
+
+const source = (fileId, startOffset, verified = true) => ({ fileId, startOffset, endOffset: startOffset + 20, verified });
+
+describe('hasDefinitionCues', () => {
+    test('spots wording that introduces a definition', () => {
+        expect(hasDefinitionCues('Osmosis is defined as the movement of water.')).toBe(true);
+        expect(hasDefinitionCues('The term "allele" refers to a gene variant.')).toBe(true);
+        expect(hasDefinitionCues('Enzyme: A protein that speeds up reactions.')).toBe(true);
+        expect(hasDefinitionCues('We met in the lab on Tuesday and ran two trials.')).toBe(false);
+    });
+});
+
+describe('mergeGlossary', () => {
+    test('merges spellings of one term from different files, preferring a verified definition', () => {
+        const { entries, removed } = mergeGlossary([], [
+            { term: 'Enzymes', definition: 'Made-up definition', source: source('f1', 0, false) },
+            { term: 'enzyme', definition: 'A protein catalyst', source: source('f2', 40) },
+            { term: 'Enzyme', definition: 'A protein catalyst', source: source('f2', 40) },
+            { term: 'Osmosis', definition: 'Water crossing a membrane', source: null }
+        ], ['f1', 'f2']);
+
+        expect(removed).toEqual([]);
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({
+            key: 'enzyme',
+            term: 'Enzymes',
+            aliases: ['enzyme'],
+            definition: 'A protein catalyst',
+            fileIds: ['f1', 'f2']
+        });
+        expect(entries[0].sources).toHaveLength(2);
+    });
+
+    test('replaces the sources of rebuilt files and removes terms left without any', () => {
+        const stored = [
+            { key: 'enzyme', term: 'Enzyme', aliases: [], definition: 'Old', sources: [{ ...source('f1', 0), definition: 'Old' }] },
+            { key: 'osmosis', term: 'Osmosis', aliases: [], definition: 'Kept', sources: [{ ...source('f2', 0), definition: 'Kept' }] }
+        ];
+        const { entries, removed } = mergeGlossary(stored, [
+            { term: 'Diffusion', definition: 'Spreading out', source: source('f1', 10) }
+        ], ['f1']);
+
+        expect(removed).toEqual(['enzyme']);
+        expect(entries.map(entry => [entry.key, entry.definition])).toEqual([['diffusion', 'Spreading out'], ['osmosis', 'Kept']]);
+        expect(stored[0].sources).toHaveLength(1);
+    });
+});
+
+describe('glossarySearchFilter', () => {
+    test('matches terms, aliases and definitions with the query taken literally', () => {
+        const pattern = { $regex: 'c\\+\\+ \\(lang\\)', $options: 'i' };
+        expect(glossarySearchFilter('  c++ (lang) ')).toEqual({ $or: [{ term: pattern }, { aliases: pattern }, { definition: pattern }] });
+    });
+});
+
+describe('glossaryFlashcard', () => {
+    test('makes a flip card pointing at the sentence that defines the term', () => {
+        const entry = {
+            _id: 'g1',
+            term: 'Enzyme',
+            definition: 'A protein catalyst',
+            sources: [{ ...source('f1', 0, false), definition: 'Guess' }, { ...source('f2', 40), definition: 'A protein catalyst' }]
+        };
+        expect(glossaryFlashcard(entry)).toEqual({
+            front: 'Enzyme',
+            back: 'A protein catalyst',
+            glossaryTermId: 'g1',
+            source: source('f2', 40),
+            possiblyHallucinated: false
+        });
+    });
+});
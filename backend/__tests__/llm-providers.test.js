@@ -0,0 +1,68 @@
+const { createLLMProvider, OpenAIProvider, LocalProvider, MockProvider } = require('../llm-providers');
+
+const schema = {
+    type: 'object',
+    required: ['flashcards'],
+    properties: {
+        flashcards: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                properties: {
+                    term: { type: 'string' },
+                    difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+                    points: { type: 'integer', minimum: 1, maximum: 3 }
+                }
+            }
+        }
+    }
+};
+
+describe('createLLMProvider', () => {
+    test('uses OpenAI by default and refuses to start without its API key', () => {
+        expect(createLLMProvider({ OPENAI_API_KEY: 'sk-test' })).toBeInstanceOf(OpenAIProvider);
+        expect(() => createLLMProvider({})).toThrow('OPENAI_API_KEY is not set');
+        expect(() => createLLMProvider({ LLM_PROVIDER: 'openai' })).toThrow('OPENAI_API_KEY is not set');
+    });
+
+    test('only uses the mock when it is chosen or under test', () => {
+        expect(createLLMProvider({ LLM_PROVIDER: 'mock' })).toBeInstanceOf(MockProvider);
+        expect(createLLMProvider({ NODE_ENV: 'test' })).toBeInstanceOf(MockProvider);
+        expect(createLLMProvider({ NODE_ENV: 'test', LLM_PROVIDER: 'local' })).toBeInstanceOf(LocalProvider);
+    });
+
+    test('rejects an unknown provider', () => {
+        expect(() => createLLMProvider({ LLM_PROVIDER: 'other' })).toThrow('Unknown LLM_PROVIDER "other"');
+    });
+});
+
+describe('MockProvider', () => {
+    const complete = content => new MockProvider().createChatCompletion({
+        messages: [{ role: 'user', content }],
+        response_format: { type: 'json_schema', json_schema: { name: 'flashcards', schema } }
+    });
+
+    test('answers with JSON that follows the schema', async () => {
+        const response = await complete('Photosynthesis turns light into chemical energy in chloroplasts.');
+        const { flashcards } = JSON.parse(response.choices[0].message.content);
+
+        expect(flashcards.length).toBeGreaterThanOrEqual(2);
+        expect(flashcards.length).toBeLessThanOrEqual(5);
+        for (const card of flashcards) {
+            expect(typeof card.term).toBe('string');
+            expect(['easy', 'medium', 'hard']).toContain(card.difficulty);
+            expect(card.points).toBeGreaterThanOrEqual(1);
+            expect(card.points).toBeLessThanOrEqual(3);
+        }
+        expect(response.usage.total_tokens).toBe(response.usage.prompt_tokens + response.usage.completion_tokens);
+    });
+
+    test('gives the same prompt the same response', async () => {
+        const prompt = 'Mitochondria produce ATP through cellular respiration.';
+        const [first, second] = await Promise.all([complete(prompt), complete(prompt)]);
+
+        expect(second.choices[0].message.content).toBe(first.choices[0].message.content);
+    });
+});
@@ -0,0 +1,93 @@
+const {
+    allocateQuestionTypes,
+    validateExamMix,
+    publicExamQuestion,
+    isCorrectAnswer,
+    buildExamReport,
+    DEFAULT_EXAM_MIX
+} = require('../mock-exam');
+
+const question = (index, type, topic) => ({
+    _id: `q${index}`,
+    index,
+    type,
+    topic,
+    question: `Question ${index}`,
+    options: ['A', 'B', 'C', 'D'],
+    correctAnswer: 'A',
+    explanation: 'Because'
+});
+
+describe('allocateQuestionTypes', () => {
+    test('splits the questions by the mix', () => {
+        expect(allocateQuestionTypes(10)).toEqual({ direct: 7, twisted: 3 });
+        expect(allocateQuestionTypes(5, { direct: 1, twisted: 0 })).toEqual({ direct: 5 });
+    });
+});
+
+describe('validateExamMix', () => {
+    test('accepts known types with non-negative weights', () => {
+        expect(validateExamMix(DEFAULT_EXAM_MIX)).toBeNull();
+    });
+
+    test('rejects other mixes', () => {
+        expect(validateExamMix([0.5])).toMatch(/must be an object/);
+        expect(validateExamMix({ essay: 1 })).toMatch(/Unknown question type "essay"/);
+        expect(validateExamMix({ direct: -1 })).toMatch(/non-negative/);
+        expect(validateExamMix({ direct: 0, twisted: 0 })).toMatch(/at least one/);
+    });
+});
+
+describe('publicExamQuestion', () => {
+    test('leaves out the answer and explanation', () => {
+        const shown = publicExamQuestion(question(1, 'direct', 'Cells'));
+        expect(shown).not.toHaveProperty('correctAnswer');
+        expect(shown).not.toHaveProperty('explanation');
+        expect(shown.options).toEqual(['A', 'B', 'C', 'D']);
+    });
+});
+
+describe('isCorrectAnswer', () => {
+    test('compares the chosen option with the answer, ignoring surrounding spaces', () => {
+        expect(isCorrectAnswer({ correctAnswer: 'A' }, ' A ')).toBe(true);
+        expect(isCorrectAnswer({ correctAnswer: 'A' }, 'B')).toBe(false);
+        expect(isCorrectAnswer({ correctAnswer: 'A' }, null)).toBe(false);
+    });
+});
+
+describe('buildExamReport', () => {
+    const questions = [question(1, 'direct', 'Cells'), question(2, 'direct', 'Cells'), question(3, 'twisted', 'Genes'), question(4, 'twisted')];
+    const exam = {
+        timeLimitMinutes: 10,
+        startedAt: '2026-03-01T10:00:00Z',
+        submittedAt: '2026-03-01T10:06:00Z',
+        answers: {
+            q1: { selectedOption: 'A', timeTakenMs: 30000 },
+            q2: { selectedOption: 'B', timeTakenMs: 60000 },
+            q3: { selectedOption: 'A' }
+        }
+    };
+    const previous = [
+        { _id: 'e2', exam: { score: { percentage: 25 }, submittedAt: '2026-02-20' } },
+        { _id: 'e1', exam: { score: { percentage: 75 }, submittedAt: '2026-02-10' } }
+    ];
+    const report = buildExamReport(exam, questions, previous);
+
+    test('scores the attempt and times the answers', () => {
+        expect(report).toMatchObject({ score: 2, total: 4, answered: 3, percentage: 50, timeUsedMs: 6 * 60 * 1000, averageTimePerQuestionMs: 45000 });
+        expect(report.questions.map(item => item.correct)).toEqual([true, false, true, false]);
+        expect(report.questions[3]).toMatchObject({ topic: 'General', selectedOption: null, timeTakenMs: null });
+    });
+
+    test('breaks the score down by question type', () => {
+        expect(report.typeBreakdown).toEqual([
+            { type: 'direct', total: 2, correct: 1, accuracy: 50 },
+            { type: 'twisted', total: 2, correct: 1, accuracy: 50 }
+        ]);
+    });
+
+    test('compares with earlier attempts, newest first', () => {
+        expect(report.comparison).toMatchObject({ previousBest: 75, previousAverage: 50, changeFromLast: 25 });
+        expect(buildExamReport(exam, questions).comparison.changeFromLast).toBeNull();
+    });
+});
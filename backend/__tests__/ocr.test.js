@@ -0,0 +1,30 @@
+const { needsOcr, ocrSummary, LOW_CONFIDENCE_THRESHOLD } = require('../ocr');
+
+describe('needsOcr', () => {
+    test('sends pages without a usable text layer to OCR', () => {
+        expect(needsOcr('')).toBe(true);
+        expect(needsOcr(null)).toBe(true);
+        expect(needsOcr('  12 \n\n  Page 3  ')).toBe(true);
+        expect(needsOcr('Cells are the basic unit of life.')).toBe(false);
+    });
+});
+
+describe('ocrSummary', () => {
+    test('records each page\'s confidence and flags the hard-to-read ones', () => {
+        expect(ocrSummary([
+            { page: 1, text: 'Clear scan', confidence: 91, lowConfidence: false },
+            { page: 4, text: 'Smudged', confidence: LOW_CONFIDENCE_THRESHOLD - 20, lowConfidence: true }
+        ])).toEqual({
+            pages: [
+                { page: 1, confidence: 91, lowConfidence: false },
+                { page: 4, confidence: 40, lowConfidence: true }
+            ],
+            averageConfidence: 66,
+            lowConfidencePages: [4]
+        });
+    });
+
+    test('has no average when nothing was recognised', () => {
+        expect(ocrSummary([])).toEqual({ pages: [], averageConfidence: null, lowConfidencePages: [] });
+    });
+});
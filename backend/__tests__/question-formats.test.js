@@ -0,0 +1,79 @@
+const { toStoredQuestion, checkResponse, seededShuffle, buildFormatPrompt } = require('../question-formats');
+
+describe('seededShuffle', () => {
+    const items = ['a', 'b', 'c', 'd', 'e'];
+
+    test('gives the same order for the same seed', () => {
+        expect(seededShuffle(items, 'seed')).toEqual(seededShuffle(items, 'seed'));
+        expect([...seededShuffle(items, 'seed')].sort()).toEqual(items);
+        expect(items).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    test('never leaves every item in place', () => {
+        for (let i = 0; i < 50; i++) {
+            expect(seededShuffle(['x', 'y'], `seed ${i}`)).toEqual(['y', 'x']);
+        }
+    });
+});
+
+describe('toStoredQuestion', () => {
+    test('gives every format display text and shuffles what the student arranges', () => {
+        const matching = toStoredQuestion('matching', {
+            instructions: 'Match each organelle',
+            pairs: [{ term: 'Nucleus', definition: 'Holds DNA' }, { term: 'Ribosome', definition: 'Makes proteins' }]
+        });
+        expect(matching).toMatchObject({ format: 'matching', question: 'Match each organelle' });
+        expect(matching.definitions).toEqual(['Makes proteins', 'Holds DNA']);
+
+        const ordering = toStoredQuestion('ordering', { prompt: 'Order the phases', items: ['Prophase', 'Metaphase', 'Anaphase'] });
+        expect(ordering.question).toBe('Order the phases');
+        expect([...ordering.shuffledItems].sort()).toEqual(['Anaphase', 'Metaphase', 'Prophase']);
+        expect(ordering.shuffledItems).not.toEqual(ordering.items);
+
+        expect(toStoredQuestion('trueFalse', { statement: 'Cells divide', answer: true }).question).toBe('Cells divide');
+        expect(toStoredQuestion('multipleChoice', { question: 'Q', options: ['A'] }).format).toBe('multipleChoice');
+    });
+});
+
+describe('checkResponse', () => {
+    test('accepts cloze alternatives and ignores case and punctuation', () => {
+        const cloze = {
+            format: 'cloze',
+            blanks: [{ answer: 'mitochondria', alternatives: ['mitochondrion'] }, { answer: 'ATP' }]
+        };
+        expect(checkResponse(cloze, ['Mitochondrion', 'atp.'])).toMatchObject({ correct: true, score: 1 });
+        expect(checkResponse(cloze, ['nucleus', 'ATP'])).toMatchObject({ correct: false, score: 0.5, correctAnswer: ['mitochondria', 'ATP'] });
+        expect(checkResponse(cloze, ['only one']).error).toMatch(/array of 2 strings/);
+    });
+
+    test('checks true/false answers and returns the justification', () => {
+        const question = { format: 'trueFalse', answer: false, justification: 'Plants also respire' };
+        expect(checkResponse(question, false)).toEqual({ correct: true, score: 1, correctAnswer: false, details: { justification: 'Plants also respire' } });
+        expect(checkResponse(question, 'false').error).toBe('response must be true or false');
+    });
+
+    test('gives partial credit for matching and ordering', () => {
+        const matching = { format: 'matching', pairs: [{ term: 'A', definition: 'one' }, { term: 'B', definition: 'two' }] };
+        expect(checkResponse(matching, { A: 'One', B: 'one' })).toMatchObject({ correct: false, score: 0.5 });
+        expect(checkResponse(matching, ['one']).error).toMatch(/object mapping/);
+
+        const ordering = { format: 'ordering', items: ['first', 'second', 'third'] };
+        expect(checkResponse(ordering, ['first', 'third', 'second'])).toMatchObject({ correct: false, score: 1 / 3 });
+        expect(checkResponse(ordering, ['First', 'Second', 'Third'])).toMatchObject({ correct: true, score: 1 });
+        expect(checkResponse(ordering, ['first', 'first', 'third']).error).toMatch(/every step exactly once/);
+    });
+
+    test('treats questions without a format as multiple choice', () => {
+        expect(checkResponse({ correctAnswer: 'Paris' }, ' Paris ')).toMatchObject({ correct: true, score: 1 });
+        expect(checkResponse({ correctAnswer: 'Paris' }, '').error).toBe('selectedOption is required');
+    });
+});
+
+describe('buildFormatPrompt', () => {
+    test('asks for the count and format and lists topics to avoid', () => {
+        const prompt = buildFormatPrompt('cloze', 4, 'Some content', ['Mitosis', 'Meiosis']);
+        expect(prompt).toMatch(/^Generate 4 cloze questions/);
+        expect(prompt).toContain('Content: Some content');
+        expect(prompt).toContain('Avoid these topics already covered: Mitosis, Meiosis');
+    });
+});
@@ -0,0 +1,122 @@
+const {
+    reviewQuestion,
+    questionText,
+    lexicalSimilarity,
+    selectDistinct,
+    buildQualityReport,
+    summarizeQualityReports,
+    LEXICAL_DUPLICATE_THRESHOLD
+} = require('../question-quality');
+
+const multipleChoice = fields => ({ question: 'What is the capital of France?', options: ['Paris', 'Lyon', 'Nice', 'Lille'], correctAnswer: 'Paris', ...fields });
+
+describe('reviewQuestion', () => {
+    test('accepts a well-formed multiple choice question as it is', () => {
+        expect(reviewQuestion(multipleChoice())).toEqual({ question: multipleChoice(), repairs: [], rejections: [] });
+    });
+
+    test('strips option labels and turns letter answers into the option text', () => {
+        const { question, repairs } = reviewQuestion(multipleChoice({ options: ['A) Lyon', 'B) Paris', 'C) Nice'], correctAnswer: 'B' }));
+        expect(question.options).toEqual(['Lyon', 'Paris', 'Nice']);
+        expect(question.correctAnswer).toBe('Paris');
+        expect(repairs).toEqual(['labelled_options', 'letter_answer']);
+    });
+
+    test('drops duplicate options and matches an answer that differs only in case', () => {
+        const { question, repairs } = reviewQuestion(multipleChoice({ options: ['Paris', 'paris.', 'Lyon', 'Nice'], correctAnswer: 'PARIS' }));
+        expect(question.options).toEqual(['Paris', 'Lyon', 'Nice']);
+        expect(question.correctAnswer).toBe('Paris');
+        expect(repairs).toEqual(['duplicate_options', 'answer_normalized']);
+    });
+
+    test('rejects what it cannot repair', () => {
+        expect(reviewQuestion(multipleChoice({ correctAnswer: 'Marseille' })).rejections).toEqual(['answer_not_in_options']);
+        expect(reviewQuestion(multipleChoice({ options: ['Paris', 'Lyon'] })).rejections).toEqual(['too_few_options']);
+        expect(reviewQuestion(multipleChoice({ question: '  ' })).rejections).toEqual(['missing_question']);
+        expect(reviewQuestion(null).rejections).toEqual(['missing_question']);
+    });
+
+    test('marks cloze blanks the model left filled in and rejects mismatched ones', () => {
+        const filled = { format: 'cloze', question: 'Mitochondria make ATP', text: 'Mitochondria make ATP', blanks: [{ answer: 'ATP' }] };
+        const { question, repairs } = reviewQuestion(filled);
+        expect(question.text).toBe('Mitochondria make ____');
+        expect(repairs).toEqual(['blanks_marked']);
+
+        const mismatched = { ...filled, text: '____ make ____' };
+        expect(reviewQuestion(mismatched).rejections).toEqual(['blank_mismatch']);
+        expect(reviewQuestion({ ...filled, blanks: [{ answer: ' ' }] }).rejections).toEqual(['empty_blank']);
+    });
+
+    test('rejects matching and ordering items with repeated entries', () => {
+        const matching = { format: 'matching', question: 'Match', pairs: [{ term: 'A', definition: 'one' }, { term: 'a', definition: 'two' }] };
+        expect(reviewQuestion(matching).rejections).toEqual(['duplicate_pairs']);
+        expect(reviewQuestion({ format: 'ordering', question: 'Order', items: ['x', 'X'] }).rejections).toEqual(['duplicate_steps']);
+        expect(reviewQuestion({ format: 'ordering', question: 'Order', items: ['x'] }).rejections).toEqual(['too_few_steps']);
+    });
+});
+
+describe('questionText', () => {
+    test('includes the terms or steps that define matching and ordering items', () => {
+        expect(questionText({ format: 'matching', question: 'Match', pairs: [{ term: 'A' }, { term: 'B' }] })).toBe('Match A B');
+        expect(questionText({ format: 'ordering', question: 'Order', items: ['x', 'y'] })).toBe('Order x y');
+        expect(questionText({ question: 'Plain' })).toBe('Plain');
+    });
+});
+
+describe('lexicalSimilarity', () => {
+    test('compares content words and ignores stopwords', () => {
+        expect(lexicalSimilarity('What is the capital of France?', 'Which city is the capital of France')).toBeCloseTo(2 / 3);
+        expect(lexicalSimilarity('The capital of France', 'capital France')).toBe(1);
+        expect(lexicalSimilarity('the of', 'capital')).toBe(0);
+    });
+});
+
+describe('selectDistinct', () => {
+    test('drops candidates too close to earlier questions or to each other', () => {
+        const texts = ['capital of France', 'France capital', 'largest planet', 'planet largest', 'speed of light'];
+        // One previous question, four candidates
+        const similarity = (i, j) => lexicalSimilarity(texts[1 + i], texts[j]);
+        expect(selectDistinct(4, 1, similarity, LEXICAL_DUPLICATE_THRESHOLD)).toEqual({ kept: [1, 3], duplicates: [0, 2] });
+    });
+});
+
+describe('buildQualityReport', () => {
+    test('counts accepted, repaired and rejected items and their issues', () => {
+        const report = buildQualityReport([
+            { text: 'a', repairs: [], rejections: [] },
+            { text: 'b', repairs: ['letter_answer'], rejections: [] },
+            { text: 'c', repairs: ['labelled_options'], rejections: ['near_duplicate'] },
+            { text: 'd', repairs: [], rejections: ['answer_not_in_options'] }
+        ], 5);
+
+        expect(report).toEqual({
+            requested: 5,
+            received: 4,
+            accepted: 2,
+            repaired: 1,
+            rejected: 2,
+            rejectionRate: 50,
+            issues: { letter_answer: 1, labelled_options: 1, near_duplicate: 1, answer_not_in_options: 1 },
+            rejections: [
+                { question: 'c', reasons: ['near_duplicate'] },
+                { question: 'd', reasons: ['answer_not_in_options'] }
+            ]
+        });
+    });
+});
+
+describe('summarizeQualityReports', () => {
+    test('totals the batches of each prompt, worst rejection rate first', () => {
+        const summary = summarizeQualityReports([
+            { prompt: 'template_direct', received: 7, accepted: 7, repaired: 1, rejected: 0, issues: { letter_answer: 1 } },
+            { prompt: 'generate_cloze', received: 6, accepted: 4, repaired: 0, rejected: 2, issues: { blank_mismatch: 2 } },
+            { prompt: 'template_direct', received: 7, accepted: 6, repaired: 0, rejected: 1, issues: { letter_answer: 1, near_duplicate: 1 } }
+        ]);
+
+        expect(summary.map(totals => [totals.prompt, totals.batches, totals.rejectionRate])).toEqual([
+            ['generate_cloze', 1, 33.3],
+            ['template_direct', 2, 7.1]
+        ]);
+        expect(summary[1].issues).toEqual({ letter_answer: 2, near_duplicate: 1 });
+    });
+});
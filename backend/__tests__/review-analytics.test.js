@@ -0,0 +1,81 @@
+const { computeRetention, computeForgettingCurves, forecastReviewLoad, MATURE_INTERVAL_DAYS } = require('../review-analytics');
+
+const review = (quality, fields = {}) => ({ quality, firstReview: false, previousInterval: 1, elapsedDays: 1, ...fields });
+
+describe('computeRetention', () => {
+    test('counts only repeat reviews, split into young and mature cards', () => {
+        const stats = computeRetention([
+            review(4, { firstReview: true }),
+            review(1, { firstReview: true }),
+            review(4),
+            review(2),
+            review(5, { previousInterval: MATURE_INTERVAL_DAYS, responseTimeMs: 3000 }),
+            review(3, { previousInterval: 40, responseTimeMs: 5000 })
+        ]);
+
+        expect(stats).toEqual({
+            totalReviews: 6,
+            repeatReviews: 4,
+            retention: 75,
+            youngRetention: 50,
+            matureRetention: 100,
+            averageResponseTimeMs: 4000
+        });
+    });
+
+    test('reports no rates before there are any repeat reviews', () => {
+        expect(computeRetention([review(4, { firstReview: true })])).toMatchObject({
+            repeatReviews: 0,
+            retention: null,
+            youngRetention: null,
+            matureRetention: null,
+            averageResponseTimeMs: null
+        });
+    });
+});
+
+describe('computeForgettingCurves', () => {
+    test('buckets recall by days since the previous review, one curve per group', () => {
+        const curves = computeForgettingCurves([
+            review(4, { elapsedDays: 0.5, topic: 'Cells' }),
+            review(1, { elapsedDays: 3, topic: 'Cells' }),
+            review(4, { elapsedDays: 3.5, topic: 'Cells' }),
+            review(4, { elapsedDays: 100, topic: 'Genes' }),
+            review(0, { firstReview: true, topic: 'Genes' })
+        ], log => log.topic);
+
+        expect(curves).toEqual([
+            {
+                key: 'Cells',
+                reviews: 3,
+                points: [
+                    { fromDays: 0, toDays: 1, reviews: 1, recallRate: 100 },
+                    { fromDays: 2, toDays: 4, reviews: 2, recallRate: 50 }
+                ]
+            },
+            { key: 'Genes', reviews: 1, points: [{ fromDays: 64, toDays: null, reviews: 1, recallRate: 100 }] }
+        ]);
+    });
+});
+
+describe('forecastReviewLoad', () => {
+    test('counts cards due per day and puts overdue cards on today', () => {
+        const now = new Date('2026-03-10T15:00:00Z');
+        const forecast = forecastReviewLoad([
+            { nextReview: '2026-03-01T08:00:00Z' },
+            { nextReview: '2026-03-10T23:00:00Z' },
+            { nextReview: '2026-03-12T00:00:00Z' },
+            { nextReview: '2026-04-30T00:00:00Z' },
+            { nextReview: null }
+        ], 3, now);
+
+        expect(forecast).toEqual({
+            overdue: 1,
+            days: [
+                { date: '2026-03-10', due: 2 },
+                { date: '2026-03-11', due: 0 },
+                { date: '2026-03-12', due: 1 }
+            ]
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const {
+    planSections,
+    sectionKey,
+    allocateProportionally,
+    createSectionPlanner,
+    groupByLength,
+    buildCoverageReport,
+    SECTION_SIZE
+} = require('../section-coverage');
+
+const section = (sectionIndex, length) => ({ fileId: 'f', filename: 'notes.txt', sectionIndex, text: 'x'.repeat(length) });
+const describeParts = parts => parts.map(({ section: s, count }) => `${s.sectionIndex}:${count}`);
+
+describe('planSections', () => {
+    test('splits every file into sections in document order', () => {
+        const long = 'Sentence about cells. '.repeat(600);
+        const sections = planSections([
+            { _id: 'a', filename: 'a.txt', textContent: long },
+            { _id: 'b', filename: 'b.txt', textContent: 'Short notes.' }
+        ]);
+
+        const fromA = sections.filter(s => s.fileId === 'a');
+        expect(fromA.length).toBeGreaterThan(2);
+        expect(fromA.map(s => s.sectionIndex)).toEqual(fromA.map((s, i) => i));
+        expect(Math.max(...fromA.map(s => s.text.length))).toBeLessThanOrEqual(SECTION_SIZE);
+        expect(sections[sections.length - 1]).toMatchObject({ fileId: 'b', sectionIndex: 0, text: 'Short notes.' });
+    });
+});
+
+describe('allocateProportionally', () => {
+    test('splits a total by weight with whole numbers that add up', () => {
+        expect(allocateProportionally(10, [1, 1, 2])).toEqual([3, 2, 5]);
+        expect(allocateProportionally(3, [0, 0])).toEqual([0, 0]);
+    });
+});
+
+describe('createSectionPlanner', () => {
+    const sections = Array.from({ length: 10 }, (_, i) => section(i, i === 0 ? 4000 : 1000));
+
+    test('spreads an artifact over one section per item, moving on through the material', () => {
+        const planner = createSectionPlanner(sections);
+        expect(describeParts(planner.allocate(4))).toEqual(['0:1', '1:1', '2:1', '3:1']);
+        expect(describeParts(planner.allocate(4))).toEqual(['4:1', '5:1', '6:1', '7:1']);
+    });
+
+    test('uses every section once there are more items than sections, extra items by length', () => {
+        const parts = createSectionPlanner(sections).allocate(15);
+        expect(parts).toHaveLength(10);
+        expect(parts.every(part => part.count >= 1)).toBe(true);
+        expect(parts.reduce((sum, part) => sum + part.count, 0)).toBe(15);
+        expect(parts[0].count).toBe(Math.max(...parts.map(part => part.count)));
+    });
+
+    test('starts from the sections drawn on least so far and honours a limit', () => {
+        const coverage = Object.fromEntries(sections.slice(0, 9).map(s => [sectionKey(s.fileId, s.sectionIndex), 2]));
+        expect(describeParts(createSectionPlanner(sections, coverage).allocate(3, 1))).toEqual(['9:3']);
+        expect(createSectionPlanner([]).allocate(5)).toEqual([]);
+    });
+});
+
+describe('groupByLength', () => {
+    test('groups consecutive texts under the length limit', () => {
+        expect(groupByLength(['aaaa', 'bbbb', 'cccccccccc', 'd'], 10)).toEqual([['aaaa', 'bbbb'], ['cccccccccc'], ['d']]);
+    });
+});
+
+describe('buildCoverageReport', () => {
+    test('reports which sections material came from, weighted by length', () => {
+        const sections = [section(0, 300), section(1, 100)];
+        const lastCoveredAt = new Date('2026-03-01');
+        const report = buildCoverageReport(
+            { _id: 'f', filename: 'notes.txt' },
+            sections,
+            [{ sectionIndex: 0, questions: 2, flashcards: 1, lastCoveredAt }],
+            { 0: 'Cells' }
+        );
+
+        expect(report).toMatchObject({ totalSections: 2, coveredSections: 1, coveredPercent: 75 });
+        expect(report.sections[0]).toMatchObject({ title: 'Cells', questions: 2, flashcards: 1, covered: true, lastCoveredAt });
+        expect(report.sections[1]).toMatchObject({ questions: 0, covered: false, lastCoveredAt: null });
+    });
+});
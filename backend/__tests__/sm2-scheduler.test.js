@@ -0,0 +1,43 @@
+const { calculateSpacedRepetition, newCardState, INITIAL_EASE_FACTOR } = require('../sm2-scheduler');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const daysAfterNow = date => (date - now) / (24 * 60 * 60 * 1000);
+
+describe('newCardState', () => {
+    test('starts a card with no repetitions, due straight away', () => {
+        expect(newCardState(now)).toEqual({
+            repetitions: 0,
+            easeFactor: INITIAL_EASE_FACTOR,
+            interval: 0,
+            nextReview: now,
+            lastReview: null
+        });
+    });
+});
+
+describe('calculateSpacedRepetition', () => {
+    test('grows the interval from 1 to 6 days, then by the ease factor', () => {
+        const first = calculateSpacedRepetition(4, 0, 2.5, 0, now);
+        expect(first).toMatchObject({ repetitions: 1, interval: 1 });
+        expect(daysAfterNow(first.nextReview)).toBe(1);
+
+        const second = calculateSpacedRepetition(4, first.repetitions, first.easeFactor, first.interval, now);
+        expect(second).toMatchObject({ repetitions: 2, interval: 6 });
+
+        const third = calculateSpacedRepetition(4, second.repetitions, second.easeFactor, second.interval, now);
+        expect(third).toMatchObject({ repetitions: 3, interval: 15 });
+        expect(daysAfterNow(third.nextReview)).toBe(15);
+    });
+
+    test('adjusts the ease factor by recall quality', () => {
+        expect(calculateSpacedRepetition(5, 0, 2.5, 0, now).easeFactor).toBeCloseTo(2.6);
+        expect(calculateSpacedRepetition(4, 0, 2.5, 0, now).easeFactor).toBeCloseTo(2.5);
+        expect(calculateSpacedRepetition(3, 0, 2.5, 0, now).easeFactor).toBeCloseTo(2.36);
+    });
+
+    test('starts a forgotten card over without dropping below the minimum ease', () => {
+        const lapse = calculateSpacedRepetition(1, 5, 1.4, 40, now);
+        expect(lapse).toMatchObject({ repetitions: 0, interval: 1, easeFactor: 1.3 });
+        expect(daysAfterNow(lapse.nextReview)).toBe(1);
+    });
+});
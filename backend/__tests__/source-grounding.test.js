@@ -0,0 +1,68 @@
+const { locateQuote, createGrounder, groundingSummary } = require('../source-grounding');
+
+const text = 'Cells are the basic unit of life.  Mitochondria — the “powerhouse” of the cell — make ATP.\nRibosomes build proteins.';
+
+describe('locateQuote', () => {
+    test('finds a quote despite case, spacing, dashes and curly quotes', () => {
+        const span = locateQuote('mitochondria - the "powerhouse" of the cell - make ATP.', text);
+        expect(text.substring(span.startOffset, span.endOffset)).toBe('Mitochondria — the “powerhouse” of the cell — make ATP.');
+    });
+
+    test('tolerates wrapping quotation marks, an ellipsis and a missing or extra full stop', () => {
+        const span = locateQuote('"Ribosomes build proteins..."', text);
+        expect(text.substring(span.startOffset, span.endOffset)).toBe('Ribosomes build proteins');
+
+        const extra = locateQuote('Cells are the basic unit of life!', text);
+        expect(text.substring(extra.startOffset, extra.endOffset)).toBe('Cells are the basic unit of life');
+    });
+
+    test('ignores quotes too short to prove anything and text that is not there', () => {
+        expect(locateQuote('make ATP', text)).toBeNull();
+        expect(locateQuote('Chloroplasts capture light energy', text)).toBeNull();
+        expect(locateQuote('Cells are the basic unit of life.', '')).toBeNull();
+    });
+});
+
+describe('createGrounder', () => {
+    const grounder = createGrounder([
+        { fileId: 'f1', filename: 'intro.pdf', text: 'Nothing relevant here at all.', pages: [] },
+        {
+            fileId: 'f2',
+            filename: 'cells.pdf',
+            text,
+            pages: [{ page: 1, startOffset: 0, endOffset: 35 }, { page: 2, startOffset: 35, endOffset: text.length }]
+        }
+    ]);
+
+    test('replaces a found quote with a verified source reference', () => {
+        const item = grounder.groundItem({ term: 'Ribosome', sourceQuote: 'Ribosomes build proteins.' });
+        expect(item).not.toHaveProperty('sourceQuote');
+        expect(item.possiblyHallucinated).toBe(false);
+        expect(item.source).toMatchObject({
+            fileId: 'f2',
+            filename: 'cells.pdf',
+            chunkIndex: 0,
+            page: 2,
+            quote: 'Ribosomes build proteins.',
+            verified: true
+        });
+    });
+
+    test('flags items whose quote is nowhere in the files', () => {
+        expect(grounder.groundItem({ term: 'Chloroplast', sourceQuote: '“Chloroplasts capture light energy”' })).toEqual({
+            term: 'Chloroplast',
+            source: { quote: 'Chloroplasts capture light energy', verified: false },
+            possiblyHallucinated: true
+        });
+    });
+
+    test('leaves items without a quote alone and counts the results', () => {
+        const items = grounder.groundItems([
+            { term: 'Old card' },
+            { term: 'Cell', sourceQuote: 'Cells are the basic unit of life.' },
+            { term: 'Made up', sourceQuote: 'This sentence was never written' }
+        ]);
+        expect(items[0]).toEqual({ term: 'Old card' });
+        expect(groundingSummary(items)).toEqual({ total: 2, verified: 1, unverified: 1 });
+    });
+});
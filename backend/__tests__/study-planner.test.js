@@ -0,0 +1,119 @@
+const {
+    addDays,
+    estimateStudyMinutes,
+    topicsFromOutline,
+    buildStudyPlan,
+    rebalanceStudyPlan,
+    missedItems,
+    planProgress
+} = require('../study-planner');
+
+const topic = (id, minutes) => ({ id, title: `Topic ${id}`, minutes });
+const planItems = plan => plan.days.flatMap(day => day.items.map(item => ({ ...item, date: day.date })));
+
+describe('estimateStudyMinutes', () => {
+    test('reads 60 words a minute in steps of 5, at least 10 minutes', () => {
+        expect(estimateStudyMinutes('')).toBe(10);
+        expect(estimateStudyMinutes('word '.repeat(1300))).toBe(25);
+    });
+});
+
+describe('topicsFromOutline', () => {
+    test('splits a section longer than a day into its subsections', () => {
+        const text = 'word '.repeat(6000);
+        const nodes = [
+            { id: '1', title: 'Short', startOffset: 0, endOffset: 600, page: 1, children: [] },
+            {
+                id: '2', title: 'Long', startOffset: 600, endOffset: 30000, page: 2,
+                children: [
+                    { id: '2.1', title: 'First half', startOffset: 600, endOffset: 15000, page: 2, children: [] },
+                    { id: '2.2', title: 'Second half', startOffset: 15000, endOffset: 30000, page: 5, children: [] }
+                ]
+            }
+        ];
+        const topics = topicsFromOutline({ fileId: 'f', filename: 'notes.pdf' }, nodes, text, 60);
+
+        expect(topics.map(t => t.id)).toEqual(['f:1', 'f:2.1', 'f:2.2']);
+        expect(topics[1]).toMatchObject({ title: 'First half', fileId: 'f', page: 2 });
+    });
+});
+
+describe('buildStudyPlan', () => {
+    const plan = buildStudyPlan({
+        topics: [topic('a', 40), topic('b', 90), topic('c', 20)],
+        startDate: '2026-03-02',
+        examDate: '2026-03-12',
+        dailyMinutes: 60
+    });
+    const items = planItems(plan);
+
+    test('studies every topic before the exam, within the daily budget', () => {
+        expect(plan.unscheduled).toEqual([]);
+        expect(new Set(items.filter(item => item.kind === 'study').map(item => item.topicId))).toEqual(new Set(['a', 'b', 'c']));
+        for (const day of plan.days) {
+            expect(day.date < '2026-03-12').toBe(true);
+            expect(day.items.reduce((sum, item) => sum + item.minutes, 0)).toBeLessThanOrEqual(60);
+        }
+    });
+
+    test('splits long topics into blocks and reviews each topic after it is studied', () => {
+        expect(items.filter(item => item.topicId === 'b' && item.kind === 'study').length).toBeGreaterThan(1);
+
+        const studied = items.find(item => item.id === 'study:c');
+        const firstReview = items.find(item => item.id === 'review:c:1');
+        expect(firstReview.date).toBe(addDays(studied.date, 1));
+    });
+
+    test('ends with a final mock exam and holds a midterm one in longer plans', () => {
+        const exams = items.filter(item => item.kind === 'exam');
+        expect(exams.map(item => item.title)).toEqual(['Mock exam', 'Final mock exam']);
+        expect(exams[1].date).toBe('2026-03-11');
+    });
+
+    test('reports work left over when the days run out', () => {
+        const tight = buildStudyPlan({ topics: [topic('a', 300)], startDate: '2026-03-02', examDate: '2026-03-04', dailyMinutes: 30 });
+        expect(tight.unscheduled.length).toBeGreaterThan(0);
+        expect(planProgress({ ...tight, examDate: '2026-03-04' }, '2026-03-02').unscheduledMinutes).toBeGreaterThan(0);
+    });
+});
+
+describe('rebalanceStudyPlan', () => {
+    test('moves missed work to today onwards and keeps finished items', () => {
+        const topics = [topic('a', 30), topic('b', 30), topic('c', 30)];
+        const built = buildStudyPlan({ topics, startDate: '2026-03-02', examDate: '2026-03-10', dailyMinutes: 45 });
+        const plan = { ...built, topics, startDate: '2026-03-02', examDate: '2026-03-10', dailyMinutes: 45 };
+        plan.days[0].items[0].status = 'done';
+
+        const missed = missedItems(plan, '2026-03-04');
+        expect(missed.length).toBeGreaterThan(0);
+
+        const rebalanced = rebalanceStudyPlan(plan, { today: '2026-03-04' });
+        const items = planItems(rebalanced);
+        expect(items.find(item => item.status === 'done').date).toBe('2026-03-02');
+        for (const item of items.filter(item => item.status === 'pending')) {
+            expect(item.date >= '2026-03-04').toBe(true);
+        }
+        expect(new Set(items.filter(item => item.kind === 'study').map(item => item.topicId))).toEqual(new Set(['a', 'b', 'c']));
+    });
+});
+
+describe('planProgress', () => {
+    test('adds up planned and finished minutes', () => {
+        const plan = {
+            examDate: '2026-03-10',
+            days: [
+                { date: '2026-03-02', items: [{ minutes: 30, status: 'done' }, { minutes: 10, status: 'pending' }] },
+                { date: '2026-03-03', items: [{ minutes: 40, status: 'pending' }] }
+            ],
+            unscheduled: [{ minutes: 20, status: 'pending' }]
+        };
+        expect(planProgress(plan, '2026-03-03')).toEqual({
+            totalMinutes: 100,
+            doneMinutes: 30,
+            percent: 30,
+            daysLeft: 7,
+            todayMinutes: 40,
+            unscheduledMinutes: 20
+        });
+    });
+});
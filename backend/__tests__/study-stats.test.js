@@ -0,0 +1,67 @@
+const { computeAccuracy, computeTopicAccuracy, computeConceptMastery, computeStreak, cardMastery } = require('../study-stats');
+
+const now = new Date('2026-03-10T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('computeAccuracy', () => {
+    test('rounds the share of correct answers to a percentage', () => {
+        expect(computeAccuracy([{ correct: true }, { correct: false }, { correct: true }])).toEqual({ answered: 3, correct: 2, accuracy: 67 });
+        expect(computeAccuracy([])).toEqual({ answered: 0, correct: 0, accuracy: null });
+    });
+});
+
+describe('computeTopicAccuracy', () => {
+    test('groups answers by topic, most answered first', () => {
+        expect(computeTopicAccuracy([
+            { topic: 'Cells', correct: true },
+            { correct: false },
+            { topic: 'Cells', correct: false },
+            { topic: 'Cells', correct: true }
+        ])).toEqual([
+            { topic: 'Cells', answered: 3, correct: 2, accuracy: 67 },
+            { topic: 'General', answered: 1, correct: 0, accuracy: 0 }
+        ]);
+    });
+});
+
+describe('cardMastery', () => {
+    test('is zero for a card that was never reviewed', () => {
+        expect(cardMastery({ lastReview: null, interval: 10 }, now)).toBe(0);
+    });
+
+    test('falls to 90% once the interval or FSRS stability has passed', () => {
+        expect(cardMastery({ lastReview: now, interval: 6 }, now)).toBe(100);
+        expect(cardMastery({ lastReview: daysAgo(6), interval: 6 }, now)).toBe(90);
+        expect(cardMastery({ lastReview: daysAgo(4), interval: 1, fsrs: { stability: 4 } }, now)).toBe(90);
+        expect(cardMastery({ lastReview: daysAgo(30), interval: 6 }, now)).toBeLessThan(90);
+    });
+});
+
+describe('computeConceptMastery', () => {
+    test('lists concepts weakest first with the average mastery', () => {
+        const { overall, concepts } = computeConceptMastery([
+            { _id: 'a', term: 'Mitosis', lastReview: now, interval: 6, repetitions: 2 },
+            { _id: 'b', front: 'Meiosis', lastReview: null },
+            { _id: 'c', lastReview: daysAgo(6), interval: 6 }
+        ], now);
+
+        expect(concepts.map(concept => [concept.concept, concept.mastery])).toEqual([
+            ['Meiosis', 0],
+            ['Untitled card', 90],
+            ['Mitosis', 100]
+        ]);
+        expect(overall).toBe(63);
+        expect(computeConceptMastery([], now)).toEqual({ overall: null, concepts: [] });
+    });
+});
+
+describe('computeStreak', () => {
+    test('counts consecutive days ending today', () => {
+        expect(computeStreak(['2026-03-10', '2026-03-09', '2026-03-08', '2026-03-06'], now)).toBe(3);
+    });
+
+    test('keeps yesterday\'s streak alive until today is over', () => {
+        expect(computeStreak(['2026-03-09', '2026-03-08'], now)).toBe(2);
+        expect(computeStreak(['2026-03-08'], now)).toBe(0);
+    });
+});
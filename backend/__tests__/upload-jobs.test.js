@@ -0,0 +1,69 @@
+const { ObjectId } = require('mongodb');
+const { uploadJobStatus, formatUploadJob } = require('../upload-jobs');
+
+const files = (...states) => states.map(state => ({ state }));
+
+describe('uploadJobStatus', () => {
+    test('sums up the states of the job\'s files', () => {
+        expect(uploadJobStatus(files('queued', 'queued'))).toBe('queued');
+        expect(uploadJobStatus(files('queued', 'extracting'))).toBe('processing');
+        expect(uploadJobStatus(files('ready', 'embedding'))).toBe('processing');
+        expect(uploadJobStatus(files('ready', 'ready'))).toBe('ready');
+        expect(uploadJobStatus(files('failed', 'failed'))).toBe('failed');
+        expect(uploadJobStatus(files('ready', 'failed'))).toBe('partial');
+    });
+});
+
+describe('formatUploadJob', () => {
+    const jobId = new ObjectId();
+    const fileId = new ObjectId();
+    const job = {
+        _id: jobId,
+        courseId: null,
+        createdAt: new Date('2026-03-01T10:00:00Z'),
+        updatedAt: new Date('2026-03-01T10:01:00Z'),
+        files: [
+            { filename: 'notes.pdf', state: 'ready', attempts: 1, fileId, wordCount: 1200, chunkCount: 4, ocr: { averageConfidence: 88 } },
+            { filename: 'scan.png', state: 'failed', attempts: 2, error: 'No text found' },
+            { filename: 'slides.pptx', state: 'queued' }
+        ]
+    };
+
+    test('reports each file with what its state has to show', () => {
+        const formatted = formatUploadJob(job);
+        expect(formatted.files).toEqual([
+            { index: 0, filename: 'notes.pdf', state: 'ready', attempts: 1, id: fileId.toString(), wordCount: 1200, chunkCount: 4, ocr: { averageConfidence: 88 } },
+            { index: 1, filename: 'scan.png', state: 'failed', attempts: 2, error: 'No text found' },
+            { index: 2, filename: 'slides.pptx', state: 'queued', attempts: 0 }
+        ]);
+    });
+
+    test('adds the job status, counts per state and total words', () => {
+        expect(formatUploadJob(job)).toMatchObject({
+            jobId: jobId.toString(),
+            status: 'processing',
+            courseId: null,
+            counts: { queued: 1, extracting: 0, embedding: 0, ready: 1, failed: 1 },
+            totalWords: 1200,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        });
+    });
+});
+
+describe('formatUploadJob with duplicate uploads', () => {
+    test('points exact copies at the existing file and offers near copies as new versions', () => {
+        const existing = new ObjectId();
+        const similar = new ObjectId();
+        const { files: [copy, nearCopy] } = formatUploadJob({
+            _id: new ObjectId(),
+            files: [
+                { filename: 'notes.pdf', state: 'ready', fileId: existing, duplicateOf: existing, wordCount: 900, chunkCount: 3 },
+                { filename: 'notes-v2.pdf', state: 'ready', fileId: new ObjectId(), similarTo: { fileId: similar, filename: 'notes-v1.pdf', similarity: 0.82 }, wordCount: 950, chunkCount: 3 }
+            ]
+        });
+
+        expect(copy).toMatchObject({ id: existing.toString(), duplicateOf: existing.toString() });
+        expect(nearCopy.similarTo).toEqual({ id: similar.toString(), filename: 'notes-v1.pdf', similarity: 0.82 });
+    });
+});
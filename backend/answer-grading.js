@@ -0,0 +1,151 @@
+/**
+ * Answer Grading
+ * Turns a short-answer or essay question into grading criteria (its key
+ * points, rubric, guidelines and structure), builds the grading prompt and
+ * converts the model's per-criterion ratings into points and feedback.
+ */
+
+const FREE_TEXT_TYPES = ['shortAnswer', 'essay'];
+// Default question values, matching what the practice view shows
+const DEFAULT_POINTS = { shortAnswer: 5, essay: 20 };
+// Generated point values above this are not trusted
+const MAX_POINTS = 100;
+// Each criterion is rated 0 (missing) to MAX_RATING (fully met)
+const MAX_RATING = 4;
+const PASS_PERCENTAGE = 60;
+const MAX_ANSWER_LENGTH = 6000; // keeps the whole answer inside the prompt token budget
+
+const nonEmpty = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Every short-answer and essay question in a generated questions artifact, as { question, questionType }.
+ * Written questions come in { shortAnswer, essay } sets (at the top level or under set1-set3) or as
+ * entries without options in a flat list; cloze and other format questions are checked elsewhere.
+ */
+function freeTextQuestions(questions) {
+    if (!questions || typeof questions !== 'object') {
+        return [];
+    }
+    if (Array.isArray(questions)) {
+        return questions
+            .filter(q => q && typeof q.question === 'string' && !q.options && !q.format)
+            .map(question => ({ question, questionType: question.guidelines ? 'essay' : 'shortAnswer' }));
+    }
+
+    const sets = [questions, ...['set1', 'set2', 'set3'].map(key => questions[key]).filter(Boolean)];
+    return [
+        ...sets.flatMap(set => FREE_TEXT_TYPES.flatMap(type =>
+            Array.isArray(set[type]) ? set[type].map(question => ({ question, questionType: type })) : []
+        )),
+        ...(questions.format ? [] : freeTextQuestions(questions.questions))
+    ];
+}
+
+// Points a question is worth: its generated value when sensible, else the type's default
+function questionPoints(questionType, question) {
+    return typeof question.points === 'number' && question.points > 0 && question.points <= MAX_POINTS
+        ? question.points
+        : DEFAULT_POINTS[questionType];
+}
+
+// What the answer is judged on, one entry per criterion
+function gradingCriteria(questionType, question) {
+    const criteria = [];
+
+    if (questionType === 'shortAnswer') {
+        for (const keyPoint of (question.keyPoints || []).filter(nonEmpty)) {
+            criteria.push(`Covers the key point: ${keyPoint.trim()}`);
+        }
+        if (nonEmpty(question.rubric)) {
+            criteria.push(`Meets the rubric: ${question.rubric.trim()}`);
+        }
+        if (criteria.length === 0) {
+            criteria.push('Conveys the same ideas as the sample answer');
+        }
+    } else {
+        if (nonEmpty(question.guidelines)) {
+            criteria.push(`Follows the guidelines: ${question.guidelines.trim()}`);
+        }
+        if (nonEmpty(question.structure)) {
+            criteria.push(`Uses the expected structure: ${question.structure.trim()}`);
+        }
+        criteria.push('Makes accurate claims supported by evidence or examples');
+        criteria.push('Argues clearly and reaches a conclusion');
+    }
+
+    return criteria;
+}
+
+function buildGradingPrompt(questionType, question, answer, criteria) {
+    const reference = questionType === 'shortAnswer'
+        ? `Sample answer: ${question.sampleAnswer || 'none provided'}`
+        : `Essay guidelines: ${question.guidelines || 'none provided'}`;
+
+    return `Grade a student's ${questionType === 'essay' ? 'essay' : 'short answer'} against each criterion below.
+Create ${criteria.length} criterion assessments, in the same order as the criteria.
+
+Question: ${question.question}
+${reference}
+
+Criteria:
+${criteria.map((criterion, i) => `${i + 1}. ${criterion}`).join('\n')}
+
+For each criterion give a rating from 0 to ${MAX_RATING} (0 = missing or wrong, ${MAX_RATING} = fully met) and one or two sentences of feedback addressed to the student.
+Judge the meaning, not the wording: an answer that says the same thing in other words meets the criterion.
+Then give overall feedback and up to three concrete improvements.
+
+Student answer:
+"""
+${answer}
+"""`;
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Convert the model's ratings into points. Ratings are matched to criteria by position;
+ * a criterion the model skipped scores zero.
+ */
+function scoreGrade(result, criteria, maxPoints) {
+    const pointsPerCriterion = maxPoints / criteria.length;
+
+    const assessed = criteria.map((criterion, i) => {
+        const assessment = (result.criteria || [])[i];
+        const rating = assessment
+            ? Math.min(MAX_RATING, Math.max(0, Math.round(assessment.rating)))
+            : 0;
+        return {
+            criterion,
+            rating,
+            maxRating: MAX_RATING,
+            points: round1((rating / MAX_RATING) * pointsPerCriterion),
+            maxPoints: round1(pointsPerCriterion),
+            feedback: assessment ? assessment.feedback : 'Not assessed'
+        };
+    });
+
+    const ratingTotal = assessed.reduce((sum, item) => sum + item.rating, 0);
+    const percentage = Math.round((ratingTotal / (MAX_RATING * criteria.length)) * 100);
+
+    return {
+        score: round1((ratingTotal / (MAX_RATING * criteria.length)) * maxPoints),
+        maxScore: maxPoints,
+        percentage,
+        passed: percentage >= PASS_PERCENTAGE,
+        criteria: assessed,
+        feedback: result.overallFeedback,
+        improvements: (result.improvements || []).slice(0, 3)
+    };
+}
+
+module.exports = {
+    freeTextQuestions,
+    questionPoints,
+    gradingCriteria,
+    buildGradingPrompt,
+    scoreGrade,
+    FREE_TEXT_TYPES,
+    DEFAULT_POINTS,
+    MAX_RATING,
+    MAX_ANSWER_LENGTH
+};
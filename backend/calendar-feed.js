@@ -0,0 +1,104 @@
+/**
+ * Calendar Feed
+ * Renders a study plan as an iCalendar (RFC 5545) feed that calendar apps
+ * can subscribe to: an all-day event per planned day listing its study,
+ * review and mock exam items with the flashcards due that day, plus the
+ * exam itself.
+ */
+
+const PRODUCT_ID = '-//StudyMaster AI//Study Plan//EN';
+// Review and mock exam titles already say what they are
+const ITEM_PREFIXES = { study: 'Study: ' };
+
+// Text values escape backslashes, separators and newlines
+const escapeText = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+const icsDate = date => date.replace(/-/g, '');
+const icsTimestamp = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const nextDate = date => new Date(Date.parse(date) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+function allDayEvent({ uid, date, summary, description, stamp }) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${icsTimestamp(stamp)}`,
+        `DTSTART;VALUE=DATE:${icsDate(date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDate(date))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * The feed for a plan ({ _id, title, examDate, days, updatedAt, rebalancedAt }). dueCounts maps
+ * date -> flashcards due that day (see forecastReviewLoad); days with due cards but nothing planned
+ * get an event of their own.
+ * Event UIDs are stable per plan and day, so a refreshed feed updates events instead of duplicating them.
+ */
+function buildPlanCalendar(plan, dueCounts = {}) {
+    const planId = plan._id.toString();
+    const stamp = (plan.rebalancedAt && plan.rebalancedAt > plan.updatedAt ? plan.rebalancedAt : plan.updatedAt) || new Date();
+    const planned = new Map(plan.days.map(day => [day.date, day.items]));
+    const dates = [...new Set([...planned.keys(), ...Object.keys(dueCounts).filter(date => dueCounts[date] > 0)])]
+        .filter(date => date < plan.examDate)
+        .sort();
+
+    const events = dates.flatMap(date => {
+        const items = planned.get(date) || [];
+        const due = dueCounts[date] || 0;
+        const minutes = items.reduce((sum, item) => sum + item.minutes, 0);
+        const cards = `${due} flashcard${due === 1 ? '' : 's'}`;
+        const lines = items.map(item =>
+            `${item.status === 'done' ? '✓' : '•'} ${ITEM_PREFIXES[item.kind] || ''}${item.title} (${item.minutes} min)`);
+        if (due > 0) {
+            lines.push(`• ${cards} due for review`);
+        }
+
+        const summary = items.length > 0
+            ? `${plan.title}: ${minutes} min of study${due > 0 ? ` + ${cards}` : ''}`
+            : `${plan.title}: ${cards} due`;
+        return allDayEvent({ uid: `${planId}-${date}@studymaster`, date, summary, description: lines.join('\n'), stamp });
+    });
+
+    const exam = allDayEvent({ uid: `${planId}-exam@studymaster`, date: plan.examDate, summary: `Exam: ${plan.title}`, stamp });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`Study plan: ${plan.title}`)}`,
+        ...events,
+        ...exam,
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildPlanCalendar,
+    escapeText,
+    foldLine
+};
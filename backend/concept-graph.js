@@ -0,0 +1,166 @@
+/**
+ * Concept Graph
+ * Merges the concepts and typed relations extracted from each part of a
+ * course's material into one graph, exports it as Graphviz DOT, and ranks
+ * concepts for review so that weak prerequisites of many other concepts
+ * come first.
+ */
+
+const EDGE_TYPES = ['is-a', 'part-of', 'prerequisite-of', 'causes'];
+// Dependents listed per recommendation (the count covers all of them)
+const MAX_LISTED_DEPENDENTS = 10;
+
+// "The Cells", "cell" and "Cell." are the same concept (but "mitosis" and "status" keep their s)
+function conceptKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, ' ')
+        .trim()
+        .replace(/^(the|a|an)\s+/, '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => (word.length > 3 && /[^siu]s$/.test(word) ? word.slice(0, -1) : word))
+        .join(' ');
+}
+
+/**
+ * Merge per-part extractions into one graph. parts: [{ concepts: [{ name, description }],
+ * relations: [{ source, type, target }], sections }] where sections are the sectionRefs the part covers.
+ * Relations whose ends aren't concepts of the graph, or that point a concept at itself, are dropped.
+ * Returns { nodes: [{ id, label, description, sections }], edges: [{ source, target, type, weight }] }.
+ */
+function mergeConceptGraphs(parts) {
+    const nodes = new Map();
+    for (const part of parts) {
+        for (const concept of part.concepts || []) {
+            const id = conceptKey(concept.name);
+            if (!id) continue;
+
+            if (!nodes.has(id)) {
+                nodes.set(id, { id, label: String(concept.name).trim(), description: concept.description || '', sections: [] });
+            }
+            const node = nodes.get(id);
+            if (!node.description && concept.description) node.description = concept.description;
+            for (const ref of part.sections || []) {
+                if (!node.sections.some(section => section.fileId === ref.fileId && section.sectionIndex === ref.sectionIndex)) {
+                    node.sections.push(ref);
+                }
+            }
+        }
+    }
+
+    const edges = new Map();
+    for (const part of parts) {
+        for (const relation of part.relations || []) {
+            const source = conceptKey(relation.source);
+            const target = conceptKey(relation.target);
+            if (!EDGE_TYPES.includes(relation.type) || source === target || !nodes.has(source) || !nodes.has(target)) continue;
+
+            const key = `${source}\u0000${relation.type}\u0000${target}`;
+            if (!edges.has(key)) edges.set(key, { source, target, type: relation.type, weight: 0 });
+            edges.get(key).weight++;
+        }
+    }
+
+    return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+const EDGE_STYLES = {
+    'is-a': 'arrowhead=empty',
+    'part-of': 'arrowhead=diamond',
+    'prerequisite-of': 'style=bold, color="#2563eb"',
+    'causes': 'style=dashed, color="#dc2626"'
+};
+
+const dotString = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\s+/g, ' ')}"`;
+
+// Graphviz DOT for a graph; relation types become edge labels and styles
+function toDot(graph, name = 'concepts') {
+    return [
+        `digraph ${dotString(name)} {`,
+        '    rankdir=LR;',
+        '    node [shape=box, style=rounded];',
+        ...graph.nodes.map(node => `    ${dotString(node.id)} [label=${dotString(node.label)}];`),
+        ...graph.edges.map(edge => `    ${dotString(edge.source)} -> ${dotString(edge.target)} [label=${dotString(edge.type)}, ${EDGE_STYLES[edge.type]}];`),
+        '}'
+    ].join('\n') + '\n';
+}
+
+// For each concept, every concept it is directly or indirectly a prerequisite of
+function prerequisiteDependents(graph) {
+    const next = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const edge of graph.edges) {
+        if (edge.type === 'prerequisite-of') next.get(edge.source).push(edge.target);
+    }
+
+    const dependents = new Map();
+    for (const node of graph.nodes) {
+        const seen = new Set();
+        const queue = [...next.get(node.id)];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === node.id || seen.has(id)) continue;
+            seen.add(id);
+            queue.push(...next.get(id));
+        }
+        dependents.set(node.id, seen);
+    }
+    return dependents;
+}
+
+/**
+ * How well the user knows each concept (0-100), keyed by conceptKey: the average of the mastery of
+ * flashcards on it (computeConceptMastery's concepts) and the accuracy on questions about it
+ * (computeTopicAccuracy's topics). Concepts with neither are missing.
+ */
+function buildMasteryIndex(cardConcepts, topics) {
+    const scores = new Map();
+    const add = (name, score) => {
+        const key = conceptKey(name);
+        if (!key || score === null || score === undefined) return;
+        if (!scores.has(key)) scores.set(key, []);
+        scores.get(key).push(score);
+    };
+    cardConcepts.forEach(concept => add(concept.concept, concept.mastery));
+    topics.forEach(topic => add(topic.topic, topic.accuracy));
+
+    return Object.fromEntries([...scores.entries()].map(([key, values]) =>
+        [key, Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)]));
+}
+
+/**
+ * Concepts to review, most urgent first. Weakness is 1 - mastery/100 (1 for concepts not studied yet),
+ * and a concept's priority is its weakness times one plus the number of concepts that depend on it,
+ * so a shaky foundation outranks an equally shaky concept nothing builds on. Mastered concepts are left out.
+ */
+function rankReviewPriorities(graph, mastery) {
+    const dependents = prerequisiteDependents(graph);
+    const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+
+    return graph.nodes
+        .map(node => {
+            const score = mastery[node.id] === undefined ? null : mastery[node.id];
+            const weakness = score === null ? 1 : 1 - score / 100;
+            const dependentIds = [...dependents.get(node.id)];
+            return {
+                id: node.id,
+                concept: node.label,
+                mastery: score,
+                dependentCount: dependentIds.length,
+                dependents: dependentIds.slice(0, MAX_LISTED_DEPENDENTS).map(id => labels.get(id)),
+                priority: Math.round(weakness * (1 + dependentIds.length) * 100) / 100
+            };
+        })
+        .filter(item => item.priority > 0)
+        .sort((a, b) => b.priority - a.priority || b.dependentCount - a.dependentCount);
+}
+
+module.exports = {
+    conceptKey,
+    mergeConceptGraphs,
+    toDot,
+    prerequisiteDependents,
+    buildMasteryIndex,
+    rankReviewPriorities,
+    EDGE_TYPES
+};
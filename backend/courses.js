@@ -0,0 +1,70 @@
+/**
+ * Courses
+ * Request parsing and field validation for courses, the nested folders that
+ * group files, generated sessions and flashcards, and which course newly
+ * generated material belongs to.
+ */
+
+const { ObjectId } = require('mongodb');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const RETENTION_RANGE = [0.7, 0.99];
+
+// ?courseId= filter value: a course id, or "none" for items outside every course (missing courseId).
+// Returns undefined for anything else so the route can reject it.
+function courseIdParam(value) {
+    if (value === 'none') return null;
+    return ObjectId.isValid(value) ? new ObjectId(value) : undefined;
+}
+
+// Valid ids from a request body list, as ObjectIds
+function toObjectIds(ids) {
+    return (Array.isArray(ids) ? ids : [])
+        .filter(id => id && ObjectId.isValid(id))
+        .map(id => new ObjectId(id));
+}
+
+// Validate the course fields that need no lookups (everything but parentId). Returns { fields } or { error }.
+function validateCourseSettings(body, schedulers) {
+    const fields = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.description !== undefined) {
+        fields.description = String(body.description || '').substring(0, MAX_DESCRIPTION_LENGTH);
+    }
+    if (body.scheduler !== undefined) {
+        if (body.scheduler !== null && !schedulers.includes(body.scheduler)) {
+            return { error: `scheduler must be one of: ${schedulers.join(', ')} (or null to use the account setting)` };
+        }
+        fields.scheduler = body.scheduler;
+    }
+    if (body.requestRetention !== undefined) {
+        const [min, max] = RETENTION_RANGE;
+        if (body.requestRetention !== null && !(typeof body.requestRetention === 'number' && body.requestRetention >= min && body.requestRetention <= max)) {
+            return { error: `requestRetention must be a number between ${min} and ${max}` };
+        }
+        fields.requestRetention = body.requestRetention;
+    }
+
+    return { fields };
+}
+
+// Generated material goes in the requested course, or the one all its files already share
+function generationCourseId(course, files) {
+    if (course) return course._id;
+    const courseIds = [...new Set(files.map(file => (file.courseId ? file.courseId.toString() : '')))];
+    return courseIds.length === 1 && courseIds[0] ? files[0].courseId : null;
+}
+
+module.exports = {
+    courseIdParam,
+    toObjectIds,
+    validateCourseSettings,
+    generationCourseId
+};
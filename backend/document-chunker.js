@@ -0,0 +1,104 @@
+/**
+ * Document Chunker
+ * Splits extracted text into overlapping chunks with offset and page metadata
+ * so each chunk can be embedded and searched on its own.
+ */
+
+const DEFAULT_CHUNK_SIZE = 1200;   // characters (~300 tokens)
+const DEFAULT_CHUNK_OVERLAP = 200; // characters shared with the previous chunk
+
+// Page number (1-based) containing the given character offset, or null if pages are unknown
+function pageForOffset(pages, offset) {
+    if (!pages || pages.length === 0) return null;
+
+    for (const page of pages) {
+        if (offset < page.endOffset) {
+            return page.page;
+        }
+    }
+    return pages[pages.length - 1].page;
+}
+
+// Prefer to end a chunk on a paragraph, then sentence, then word boundary
+function findBreakPoint(text, start, idealEnd) {
+    if (idealEnd >= text.length) return text.length;
+
+    const minEnd = start + Math.floor((idealEnd - start) * 0.6);
+    const window = text.substring(minEnd, idealEnd);
+
+    for (const pattern of [/\n\s*\n/g, /[.!?]\s/g, /\s/g]) {
+        let lastMatch = -1;
+        let match;
+        while ((match = pattern.exec(window)) !== null) {
+            lastMatch = match.index + match[0].length;
+        }
+        if (lastMatch > 0) {
+            return minEnd + lastMatch;
+        }
+    }
+    return idealEnd;
+}
+
+function chunkText(text, options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const overlap = Math.min(options.overlap !== undefined ? options.overlap : DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+    const pages = options.pages || [];
+    const chunks = [];
+
+    if (!text || text.trim().length === 0) {
+        return chunks;
+    }
+
+    let start = 0;
+    while (start < text.length) {
+        const end = findBreakPoint(text, start, start + chunkSize);
+        const chunk = text.substring(start, end);
+
+        if (chunk.trim().length > 0) {
+            chunks.push({
+                chunkIndex: chunks.length,
+                text: chunk.trim(),
+                startOffset: start,
+                endOffset: end,
+                page: pageForOffset(pages, start),
+                endPage: pageForOffset(pages, Math.max(start, end - 1))
+            });
+        }
+
+        if (end >= text.length) break;
+
+        // Step back by the overlap, but always make forward progress
+        let nextStart = Math.max(end - overlap, start + 1);
+        // Don't start the next chunk mid-word
+        while (nextStart < end && /\S/.test(text[nextStart - 1] || '')) {
+            nextStart++;
+        }
+        start = nextStart;
+    }
+
+    return chunks;
+}
+
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = {
+    chunkText,
+    cosineSimilarity,
+    pageForOffset,
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CHUNK_OVERLAP
+};
@@ -0,0 +1,269 @@
+/**
+ * Document Formats
+ * Text extraction for PowerPoint (PPTX), EPUB and HTML files that keeps
+ * their structure: each slide becomes a page headed by its title (with its
+ * speaker notes), each EPUB chapter keeps its headings or table of contents
+ * title, and HTML headings and block elements survive as headings and
+ * paragraphs. Every extractor returns { text, pages, headings } like the
+ * PDF path, with headings as { level, title, offset } for the outline.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+    'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tr', 'ul'
+]);
+// Elements whose content is never text to study
+const SKIPPED_ELEMENTS = /<(script|style|noscript|template|svg|head|nav)\b[\s\S]*?<\/\1\s*>/gi;
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', middot: '·', bull: '•', copy: '©', deg: '°'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] || entity;
+    });
+}
+
+/**
+ * Plain text of an HTML (or XHTML) document with its <h1>-<h6> headings placed in it.
+ * Block elements become paragraphs, <br> a line break, list items bullet points and table cells
+ * are separated by tabs; whitespace is collapsed outside <pre>. Returns { text, headings, title }.
+ */
+function htmlToText(html) {
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+        .replace(/<[?!][^>]*>/g, '')
+        .replace(SKIPPED_ELEMENTS, '');
+
+    let text = '';
+    let preDepth = 0;
+    let openHeading = null;
+    const headings = [];
+
+    // Ends the current line or paragraph (never at the very start, never more than a blank line)
+    const breakLine = count => {
+        if (text.length === 0) return;
+        text = text.replace(/[ \t]+$/, '');
+        const existing = text.match(/\n*$/)[0].length;
+        if (existing < count) text += '\n'.repeat(count - existing);
+    };
+
+    for (const match of body.matchAll(/<(\/?)([a-zA-Z][\w:-]*)[^>]*?(\/?)>|([^<]+)/g)) {
+        const [, closing, rawTag, selfClosing, content] = match;
+        if (content !== undefined) {
+            let chunk = decodeEntities(content);
+            if (preDepth === 0) {
+                chunk = chunk.replace(/\s+/g, ' ');
+                if (text.length === 0 || /[\s]$/.test(text)) chunk = chunk.replace(/^ /, '');
+            }
+            text += chunk;
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase().replace(/^.*:/, '');
+        const heading = tag.match(/^h([1-6])$/);
+        if (heading) {
+            breakLine(2);
+            if (!closing) {
+                openHeading = { level: Number(heading[1]), offset: text.length };
+            } else if (openHeading) {
+                const title = text.substring(openHeading.offset).replace(/\s+/g, ' ').trim();
+                if (title) headings.push({ level: openHeading.level, title, offset: openHeading.offset });
+                openHeading = null;
+            }
+        } else if (tag === 'br') {
+            breakLine(1);
+        } else if (tag === 'li' && !closing) {
+            breakLine(1);
+            text += '• ';
+        } else if ((tag === 'td' || tag === 'th') && closing) {
+            text += '\t';
+        } else if (tag === 'tr') {
+            breakLine(1);
+        } else if (BLOCK_TAGS.has(tag)) {
+            breakLine(tag === 'li' ? 1 : 2);
+        }
+
+        if (tag === 'pre' && !selfClosing) preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+    }
+
+    return {
+        text: text.replace(/[ \t]+$/gm, '').trimEnd(),
+        headings,
+        title: titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : null
+    };
+}
+
+// A saved web page; its <title> heads it when the page itself has no headings
+function extractHtml(html) {
+    const { text, headings, title } = htmlToText(html);
+    if (headings.length === 0 && title && text.length > 0) {
+        return { text: `${title}\n\n${text}`, pages: [], headings: [{ level: 1, title, offset: 0 }] };
+    }
+    return { text, pages: [], headings };
+}
+
+// Text of each <a:p> paragraph of DrawingML (slides and notes), in order
+function drawingParagraphs(xml) {
+    return [...xml.matchAll(/<a:p(?:\s[^>]*)?>([\s\S]*?)<\/a:p>/g)]
+        .map(([, paragraph]) => [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\s*\/>/g)]
+            .map(([run, runText]) => (runText === undefined ? '\n' : decodeEntities(runText)))
+            .join('')
+            .trim())
+        .filter(Boolean);
+}
+
+// The first shape holding a placeholder of one of the types (a slide's title, a notes page's body)
+const placeholderShape = (xml, types) => [...xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)]
+    .map(([shape]) => shape)
+    .find(shape => {
+        const placeholder = shape.match(/<p:ph\b[^>]*\btype="([^"]+)"/);
+        return placeholder && types.includes(placeholder[1]);
+    });
+
+// Targets of a part's relationships of one type, resolved against the part's folder
+async function relationshipTargets(zip, partPath, type) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const rels = zip.file(relsPath) ? await zip.file(relsPath).async('string') : '';
+    const targets = new Map();
+    for (const [relationship] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = relationship.match(/\bId="([^"]+)"/);
+        const target = relationship.match(/\bTarget="([^"]+)"/);
+        const relType = relationship.match(/\bType="([^"]+)"/);
+        if (id && target && relType && relType[1].endsWith(`/${type}`)) {
+            targets.set(id[1], path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target[1])));
+        }
+    }
+    return targets;
+}
+
+/**
+ * A PowerPoint deck in slide order: each slide is a page starting with "Slide N: title",
+ * followed by its text and then its speaker notes; the titles are the headings.
+ */
+async function extractPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentation = zip.file('ppt/presentation.xml');
+    if (!presentation) {
+        throw new Error('Not a PowerPoint presentation (ppt/presentation.xml is missing)');
+    }
+
+    const slideTargets = await relationshipTargets(zip, 'ppt/presentation.xml', 'slide');
+    const slidePaths = [...(await presentation.async('string')).matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+        .map(([, relId]) => slideTargets.get(relId))
+        .filter(slidePath => slidePath && zip.file(slidePath));
+
+    let text = '';
+    const pages = [];
+    const headings = [];
+    for (const [i, slidePath] of slidePaths.entries()) {
+        const xml = await zip.file(slidePath).async('string');
+        const titleShape = placeholderShape(xml, ['title', 'ctrTitle']);
+        const title = titleShape ? drawingParagraphs(titleShape).join(' ') : '';
+        const body = drawingParagraphs(titleShape ? xml.replace(titleShape, '') : xml);
+
+        const [notesPath] = (await relationshipTargets(zip, slidePath, 'notesSlide')).values();
+        const notesXml = notesPath && zip.file(notesPath) ? await zip.file(notesPath).async('string') : '';
+        const notesShape = notesXml ? placeholderShape(notesXml, ['body']) : null;
+        const notes = notesShape ? drawingParagraphs(notesShape) : [];
+
+        const heading = `Slide ${i + 1}${title ? `: ${title}` : ''}`;
+        const slideText = [heading, ...body, ...(notes.length > 0 ? [`Notes: ${notes.join('\n')}`] : [])].join('\n\n');
+
+        if (text.length > 0) text += '\n\n';
+        headings.push({ level: 1, title: heading, offset: text.length });
+        pages.push({ page: i + 1, startOffset: text.length, endOffset: text.length + slideText.length });
+        text += slideText;
+    }
+
+    return { text, pages, headings };
+}
+
+// Table of contents titles by chapter file, from the EPUB 3 nav document or the EPUB 2 NCX
+function tocTitles(tocXml, tocPath) {
+    const titles = new Map();
+    const add = (href, title) => {
+        const chapter = path.posix.normalize(path.posix.join(path.posix.dirname(tocPath), decodeURIComponent(href.split('#')[0])));
+        const clean = decodeEntities(title.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+        if (clean && !titles.has(chapter)) titles.set(chapter, clean);
+    };
+    for (const [, title, src] of tocXml.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content[^>]*\bsrc="([^"]+)"/g)) {
+        add(src, title);
+    }
+    for (const [, href, title] of tocXml.matchAll(/<a\b[^>]*\bhref="([^"]+)"[^>]*>([\s\S]*?)<\/a>/g)) {
+        add(href, title);
+    }
+    return titles;
+}
+
+/**
+ * An EPUB book in reading (spine) order. Each chapter keeps its own headings; a chapter without any
+ * is headed by its table of contents title.
+ */
+async function extractEpub(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const container = zip.file('META-INF/container.xml');
+    const rootfile = container ? (await container.async('string')).match(/<rootfile\b[^>]*\bfull-path="([^"]+)"/) : null;
+    if (!rootfile || !zip.file(rootfile[1])) {
+        throw new Error('Not an EPUB book (no package document found)');
+    }
+
+    const opfPath = rootfile[1];
+    const opf = await zip.file(opfPath).async('string');
+    const manifest = new Map();
+    for (const [item] of opf.matchAll(/<item\b[^>]*>/g)) {
+        const id = item.match(/\bid="([^"]+)"/);
+        const href = item.match(/\bhref="([^"]+)"/);
+        if (id && href) {
+            manifest.set(id[1], {
+                path: path.posix.normalize(path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(href[1]))),
+                mediaType: (item.match(/\bmedia-type="([^"]+)"/) || [])[1] || '',
+                nav: /\bproperties="[^"]*\bnav\b/.test(item)
+            });
+        }
+    }
+
+    const tocId = (opf.match(/<spine\b[^>]*\btoc="([^"]+)"/) || [])[1];
+    const toc = [...manifest.values()].find(item => item.nav) || manifest.get(tocId);
+    const titles = toc && zip.file(toc.path) ? tocTitles(await zip.file(toc.path).async('string'), toc.path) : new Map();
+
+    let text = '';
+    const headings = [];
+    for (const [, idref] of opf.matchAll(/<itemref\b[^>]*\bidref="([^"]+)"/g)) {
+        const item = manifest.get(idref);
+        if (!item || item.nav || !/html/.test(item.mediaType) || !zip.file(item.path)) continue;
+
+        const chapter = htmlToText(await zip.file(item.path).async('string'));
+        if (chapter.text.trim().length === 0) continue;
+
+        if (text.length > 0) text += '\n\n';
+        const tocTitle = titles.get(item.path);
+        if (chapter.headings.length === 0 && tocTitle) {
+            headings.push({ level: 1, title: tocTitle, offset: text.length });
+            text += `${tocTitle}\n\n`;
+        }
+        const offset = text.length;
+        headings.push(...chapter.headings.map(heading => ({ ...heading, offset: heading.offset + offset })));
+        text += chapter.text;
+    }
+
+    return { text, pages: [], headings };
+}
+
+module.exports = {
+    htmlToText,
+    extractHtml,
+    extractPptx,
+    extractEpub
+};
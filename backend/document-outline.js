@@ -0,0 +1,258 @@
+/**
+ * Document Outline
+ * Detects the headings of an uploaded document (Markdown headings, Word
+ * heading styles from mammoth's HTML, chapter and numbered-section lines in
+ * PDF or plain text) and turns them into an outline tree whose nodes cover
+ * character ranges of the extracted text, ready to be summarised section by
+ * section.
+ */
+
+const { chunkText, pageForOffset } = require('./document-chunker');
+
+// Headings below this level are folded into their parent section
+const MAX_OUTLINE_DEPTH = 3;
+// Text before the first heading shorter than this is a title page, not a section
+const MIN_PREAMBLE_CHARS = 200;
+// Size of the untitled sections used when a document has no detectable headings
+const FALLBACK_SECTION_SIZE = 4000;
+// A heading line repeated this often is a running page header, not a heading
+const RUNNING_HEADER_REPEATS = 3;
+
+// Lines of a text with the offset each starts at
+function linesWithOffsets(text) {
+    const lines = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        lines.push({ line, offset });
+        offset += line.length + 1;
+    }
+    return lines;
+}
+
+const cleanTitle = title => title.replace(/[*_`]+/g, '').replace(/\s+/g, ' ').trim();
+
+// ATX (`## Title`) and setext (underlined) headings, ignoring fenced code blocks
+function detectMarkdownHeadings(text) {
+    const headings = [];
+    const lines = linesWithOffsets(text);
+    let fence = null;
+
+    lines.forEach(({ line, offset }, i) => {
+        const fenceMatch = line.match(/^ {0,3}(```|~~~)/);
+        if (fenceMatch) {
+            fence = fence === fenceMatch[1] ? null : (fence || fenceMatch[1]);
+            return;
+        }
+        if (fence) return;
+
+        const atx = line.match(/^ {0,3}(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/);
+        if (atx) {
+            headings.push({ level: atx[1].length, title: cleanTitle(atx[2]), offset });
+            return;
+        }
+
+        const next = lines[i + 1];
+        const previous = lines[i - 1];
+        if (next && line.trim().length > 0 && line.trim().length <= 100 && (!previous || previous.line.trim() === '')) {
+            const underline = next.line.match(/^ {0,3}(=+|-+)\s*$/);
+            if (underline) {
+                headings.push({ level: underline[1][0] === '=' ? 1 : 2, title: cleanTitle(line), offset });
+            }
+        }
+    });
+
+    return headings.filter(heading => heading.title.length > 0);
+}
+
+const CHAPTER_LINE = /^(part|chapter|unit|module|lesson)\s+([0-9]+|[ivxlc]+|one|two|three|four|five|six|seven|eight|nine|ten)\b[\s.:\-–—]*(.*)$/i;
+const NUMBERED_LINE = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\S.*)$/;
+// Table of contents entries end in a page number ("1.2 Cells ...... 14", "Cell Division 27")
+const TOC_ENTRY = /(\.{3,}\s*|[A-Za-z)]\s+)\d+$/;
+
+const isTitleCase = title => {
+    const words = title.split(/\s+/).filter(word => word.length > 3);
+    return words.length > 0 && words.filter(word => /^[A-Z0-9]/.test(word)).length / words.length >= 0.6;
+};
+
+// Rank of a heading-looking line (lower is higher in the hierarchy), or null for body text
+function classifyLine(line) {
+    if (line.length < 3 || line.length > 100 || /[.,;]$/.test(line)) return null;
+
+    const chapter = line.match(CHAPTER_LINE);
+    if (chapter && !TOC_ENTRY.test(chapter[3])) {
+        return { rank: chapter[1].toLowerCase() === 'part' ? 0 : 1, title: line, ownTitle: chapter[3].trim() };
+    }
+
+    if (TOC_ENTRY.test(line)) return null;
+
+    const numbered = line.match(NUMBERED_LINE);
+    if (numbered && /^[A-Z]/.test(numbered[2]) && numbered[2].split(/\s+/).length <= 12) {
+        const depth = numbered[1].split('.').length;
+        // "1 Introduction" is a heading; "1 The cell divides" is usually a numbered list item
+        if (depth > 1 || isTitleCase(numbered[2])) {
+            return { rank: 2 + depth, title: line };
+        }
+    }
+
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 4 && letters === letters.toUpperCase() && line.split(/\s+/).length <= 10) {
+        return { rank: 2, title: line };
+    }
+    return null;
+}
+
+/**
+ * Headings of PDF or plain text, which carry no markup: "Chapter 3: ..." and "Part II" lines,
+ * numbered section lines ("2.1 Cell Structure") and short all-caps lines. Levels follow the
+ * kinds of heading the document actually uses, in that order.
+ */
+function detectTextHeadings(text) {
+    const lines = linesWithOffsets(text);
+    const candidates = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].line.trim();
+        const match = classifyLine(line);
+        if (!match) continue;
+
+        const offset = lines[i].offset;
+        let title = match.title;
+        // "CHAPTER 3" on a line of its own: the chapter's name is the next line (often in capitals)
+        const nextLine = lines[i + 1] ? lines[i + 1].line.trim() : '';
+        const nextMatch = classifyLine(nextLine);
+        if (match.ownTitle === '' && nextLine.length > 0 && nextLine.length <= 80 && !/[.,;]$/.test(nextLine) &&
+            (nextMatch === null || nextMatch.rank === 2)) {
+            title = `${line}: ${nextLine}`;
+            i++;
+        }
+        candidates.push({ rank: match.rank, title: cleanTitle(title), offset });
+    }
+
+    // Running headers and footers repeat the same line on every page
+    const counts = new Map();
+    for (const candidate of candidates) {
+        const key = candidate.title.toLowerCase();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const headings = candidates.filter(candidate => counts.get(candidate.title.toLowerCase()) < RUNNING_HEADER_REPEATS);
+
+    const ranks = [...new Set(headings.map(heading => heading.rank))].sort((a, b) => a - b);
+    return headings.map(heading => ({ level: ranks.indexOf(heading.rank) + 1, title: heading.title, offset: heading.offset }));
+}
+
+const decodeEntities = html => html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+
+/**
+ * Headings of a Word document from mammoth's HTML (heading styles become <h1>-<h6>),
+ * placed at their offsets in the raw text extracted from the same document.
+ */
+function detectHtmlHeadings(html, text) {
+    const headings = [];
+    let cursor = 0;
+
+    for (const match of html.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+        const title = decodeEntities(match[2]).replace(/\s+/g, ' ').trim();
+        if (title.length === 0) continue;
+
+        const offset = text.indexOf(title, cursor);
+        if (offset === -1) continue;
+        headings.push({ level: Number(match[1]), title, offset });
+        cursor = offset + title.length;
+    }
+    return headings;
+}
+
+/**
+ * Build the outline tree for a text from its headings ({ level, title, offset }).
+ * Each node: { id ("2.1"), title, level, startOffset, endOffset, page, endPage, children },
+ * covering the text from its heading to the next heading at its level or above. A document
+ * without headings gets untitled sections of about FALLBACK_SECTION_SIZE characters instead
+ * (title null, for the summary to name).
+ */
+function buildOutline(text, headings, pages = []) {
+    const span = (startOffset, endOffset) => ({
+        startOffset,
+        endOffset,
+        page: pageForOffset(pages, startOffset),
+        endPage: pageForOffset(pages, Math.max(startOffset, endOffset - 1))
+    });
+
+    // Levels renumbered from 1 so a document starting at ### doesn't begin three levels deep
+    const levels = [...new Set(headings.map(heading => heading.level))].sort((a, b) => a - b);
+    const entries = headings
+        .map(heading => ({ ...heading, level: levels.indexOf(heading.level) + 1 }))
+        .filter(heading => heading.level <= MAX_OUTLINE_DEPTH)
+        .sort((a, b) => a.offset - b.offset);
+
+    if (entries.length === 0) {
+        return {
+            source: 'sections',
+            nodes: chunkText(text, { chunkSize: FALLBACK_SECTION_SIZE, overlap: 0, pages }).map(chunk => ({
+                id: String(chunk.chunkIndex + 1),
+                title: null,
+                level: 1,
+                ...span(chunk.startOffset, chunk.endOffset),
+                children: []
+            }))
+        };
+    }
+
+    if (text.substring(0, entries[0].offset).trim().length >= MIN_PREAMBLE_CHARS) {
+        entries.unshift({ level: 1, title: null, offset: 0 });
+    }
+
+    const roots = [];
+    const stack = [];
+    entries.forEach((entry, i) => {
+        const next = entries.slice(i + 1).find(other => other.level <= entry.level);
+
+        while (stack.length > 0 && stack[stack.length - 1].level >= entry.level) stack.pop();
+        const parent = stack[stack.length - 1];
+        const siblings = parent ? parent.children : roots;
+        const node = {
+            id: parent ? `${parent.id}.${siblings.length + 1}` : String(siblings.length + 1),
+            title: entry.title,
+            level: entry.level,
+            ...span(entry.offset, next ? next.offset : text.length),
+            children: []
+        };
+        siblings.push(node);
+        stack.push(node);
+    });
+
+    return { source: 'headings', nodes: roots };
+}
+
+// Text a node covers before its first subsection (all of it for a leaf)
+function ownText(node, text) {
+    const end = node.children.length > 0 ? node.children[0].startOffset : node.endOffset;
+    return text.substring(node.startOffset, end).trim();
+}
+
+// Nodes grouped by depth, deepest first, so each group's children are done before it
+function nodesBottomUp(nodes) {
+    const depths = [];
+    const visit = (node, depth) => {
+        (depths[depth] = depths[depth] || []).push(node);
+        node.children.forEach(child => visit(child, depth + 1));
+    };
+    nodes.forEach(node => visit(node, 0));
+    return depths.reverse();
+}
+
+module.exports = {
+    detectMarkdownHeadings,
+    detectTextHeadings,
+    detectHtmlHeadings,
+    buildOutline,
+    ownText,
+    nodesBottomUp,
+    MAX_OUTLINE_DEPTH
+};
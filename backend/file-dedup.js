@@ -0,0 +1,109 @@
+/**
+ * File Deduplication
+ * Fingerprints uploads so the same material is only stored once. Exact
+ * copies are caught by a hash of the file bytes, or of the normalised text
+ * when the same notes were exported again; near copies, such as a revised
+ * version of the same notes, by a MinHash estimate of how many word
+ * shingles two texts share.
+ */
+
+const crypto = require('crypto');
+
+// Word n-grams compared between texts
+const SHINGLE_WORDS = 5;
+// MinHash values kept per text; the similarity estimate is accurate to about ±0.06
+const SIGNATURE_SIZE = 128;
+// Files sharing at least this share of shingles are treated as versions of each other
+const NEAR_DUPLICATE_THRESHOLD = 0.5;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const hashBytes = buffer => sha256(buffer);
+
+// Case, punctuation, Unicode composition and layout whitespace do not make a different text
+const normalizeText = text => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const hashText = text => sha256(normalizeText(text));
+
+function shingles(text) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    if (words.length <= SHINGLE_WORDS) {
+        return words.length > 0 ? [words.join(' ')] : [];
+    }
+    const set = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_WORDS; i++) {
+        set.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    }
+    return [...set];
+}
+
+// MurmurHash3 finaliser: spreads the bits so the derived hash functions behave independently
+function mix32(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * MinHash signature of a text: for each of SIGNATURE_SIZE hash functions, the smallest hash over
+ * its shingles. The hash functions are derived from one digest per shingle (mixed h1 + i * h2).
+ */
+function textSignature(text) {
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    const set = shingles(text);
+    if (set.length === 0) {
+        return [];
+    }
+
+    for (const shingle of set) {
+        const digest = crypto.createHash('md5').update(shingle).digest();
+        const h1 = digest.readUInt32LE(0);
+        const h2 = digest.readUInt32LE(4);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix32(h1 + Math.imul(i, h2));
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+    return signature;
+}
+
+// Estimated Jaccard similarity of the two texts' shingle sets (0-1)
+function signatureSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+}
+
+// The candidate ({ signature, ... }) most similar to signature, if it reaches NEAR_DUPLICATE_THRESHOLD
+function findNearDuplicate(signature, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        const similarity = signatureSimilarity(signature, candidate.signature);
+        if (similarity >= NEAR_DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+            best = { file: candidate, similarity };
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    hashBytes,
+    hashText,
+    normalizeText,
+    textSignature,
+    signatureSimilarity,
+    findNearDuplicate,
+    NEAR_DUPLICATE_THRESHOLD
+};
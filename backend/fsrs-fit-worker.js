@@ -0,0 +1,14 @@
+/**
+ * FSRS Fit Worker
+ * Fits personal FSRS weights on a worker thread: the fit takes seconds for
+ * a long review history and would otherwise hold up every other request.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { fitFsrsWeights } = require('./fsrs-scheduler');
+
+try {
+    parentPort.postMessage({ fit: fitFsrsWeights(workerData.histories) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,216 @@
+/**
+ * FSRS Scheduler
+ * Free Spaced Repetition Scheduler (FSRS-4.5 model): tracks a stability and
+ * difficulty per card and schedules the next review for a target retention.
+ * Also fits personal weights from a user's review history.
+ */
+
+// Published FSRS-4.5 defaults, trained on a large pool of Anki review logs
+const FSRS_DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// Allowed range per weight; keeps fitted parameters inside the model's sane region
+const FSRS_WEIGHT_BOUNDS = [
+    [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], [1, 10], [0.1, 5], [0.1, 5], [0, 0.75], [0, 4.5],
+    [0, 0.8], [0.01, 3.5], [0.1, 5], [0.01, 0.2], [0.01, 0.9], [0.01, 2], [0, 1], [1, 6]
+];
+
+const DEFAULT_REQUEST_RETENTION = 0.9;
+const MAX_INTERVAL_DAYS = 36500;
+const MIN_REVIEWS_FOR_FIT = 50;
+
+const DECAY = -0.5;
+const FACTOR = Math.pow(0.9, 1 / DECAY) - 1; // 19/81, so that R = 0.9 when t = S
+
+const RATING = { again: 1, hard: 2, good: 3, easy: 4 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// SM-2 style 0-5 recall quality -> FSRS rating (Again / Hard / Good / Easy)
+function qualityToRating(quality) {
+    if (quality < 3) return RATING.again;
+    if (quality === 3) return RATING.hard;
+    if (quality === 4) return RATING.good;
+    return RATING.easy;
+}
+
+// Probability of recall after elapsedDays for a memory of the given stability
+function retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+}
+
+function initialStability(w, rating) {
+    return Math.max(0.1, w[rating - 1]);
+}
+
+function initialDifficulty(w, rating) {
+    return clamp(w[4] - (rating - 3) * w[5], 1, 10);
+}
+
+function nextDifficulty(w, difficulty, rating) {
+    const updated = difficulty - w[6] * (rating - 3);
+    // FSRS-4.5 mean reversion towards w[4], the difficulty of a "Good" first review
+    return clamp(w[7] * w[4] + (1 - w[7]) * updated, 1, 10);
+}
+
+function nextRecallStability(w, difficulty, stability, recall, rating) {
+    const hardPenalty = rating === RATING.hard ? w[15] : 1;
+    const easyBonus = rating === RATING.easy ? w[16] : 1;
+    return stability * (1 + Math.exp(w[8]) *
+        (11 - difficulty) *
+        Math.pow(stability, -w[9]) *
+        (Math.exp(w[10] * (1 - recall)) - 1) *
+        hardPenalty *
+        easyBonus);
+}
+
+function nextForgetStability(w, difficulty, stability, recall) {
+    const forgotten = w[11] *
+        Math.pow(difficulty, -w[12]) *
+        (Math.pow(stability + 1, w[13]) - 1) *
+        Math.exp(w[14] * (1 - recall));
+    // A lapse never makes the memory more stable than it was
+    return Math.max(0.1, Math.min(forgotten, stability));
+}
+
+// Advance a card's memory state by one review. state is null for a card never reviewed under FSRS.
+function updateMemoryState(w, state, rating, elapsedDays) {
+    if (!state || !state.stability) {
+        return {
+            stability: initialStability(w, rating),
+            difficulty: initialDifficulty(w, rating)
+        };
+    }
+
+    const recall = retrievability(elapsedDays, state.stability);
+    return {
+        stability: rating === RATING.again
+            ? nextForgetStability(w, state.difficulty, state.stability, recall)
+            : nextRecallStability(w, state.difficulty, state.stability, recall, rating),
+        difficulty: nextDifficulty(w, state.difficulty, rating)
+    };
+}
+
+function intervalForStability(stability, requestRetention) {
+    const interval = stability / FACTOR * (Math.pow(requestRetention, 1 / DECAY) - 1);
+    return clamp(Math.round(interval), 1, MAX_INTERVAL_DAYS);
+}
+
+/**
+ * Schedule the next review of a card.
+ * state: { stability, difficulty, lapses } from the previous FSRS review, or null
+ * lastReview: Date of the previous review (any scheduler), or null
+ */
+function scheduleFsrs(state, lastReview, quality, options = {}) {
+    const w = options.weights || FSRS_DEFAULT_WEIGHTS;
+    const requestRetention = options.requestRetention || DEFAULT_REQUEST_RETENTION;
+    const now = options.now || new Date();
+
+    const rating = qualityToRating(quality);
+    const elapsedDays = lastReview ? Math.max(0, (now - new Date(lastReview)) / DAY_MS) : 0;
+    const recall = state && state.stability ? retrievability(elapsedDays, state.stability) : null;
+    const memory = updateMemoryState(w, state, rating, elapsedDays);
+    const interval = intervalForStability(memory.stability, requestRetention);
+
+    return {
+        rating,
+        elapsedDays,
+        retrievability: recall,
+        interval,
+        nextReview: new Date(now.getTime() + interval * DAY_MS),
+        fsrs: {
+            stability: memory.stability,
+            difficulty: memory.difficulty,
+            lapses: ((state && state.lapses) || 0) + (rating === RATING.again ? 1 : 0)
+        }
+    };
+}
+
+// Mean log-loss of predicted recall against actual outcomes across every card history
+function historyLoss(w, histories) {
+    let loss = 0;
+    let count = 0;
+
+    for (const history of histories) {
+        let state = null;
+        for (const review of history) {
+            if (state) {
+                const predicted = clamp(retrievability(review.elapsedDays, state.stability), 0.0001, 0.9999);
+                const recalled = review.rating > RATING.again ? 1 : 0;
+                loss -= recalled * Math.log(predicted) + (1 - recalled) * Math.log(1 - predicted);
+                count++;
+            }
+            state = updateMemoryState(w, state, review.rating, review.elapsedDays);
+        }
+    }
+
+    return { loss: count > 0 ? loss / count : 0, count };
+}
+
+/**
+ * Fit personal weights to review histories (one array of { rating, elapsedDays } per card,
+ * oldest first) with projected Adam over finite-difference gradients.
+ */
+function fitFsrsWeights(histories, options = {}) {
+    const iterations = options.iterations || 60;
+    const learningRate = options.learningRate || 0.05;
+    const epsilon = 1e-4;
+
+    let weights = [...(options.initialWeights || FSRS_DEFAULT_WEIGHTS)];
+    const initial = historyLoss(weights, histories);
+
+    if (initial.count < (options.minReviews || MIN_REVIEWS_FOR_FIT)) {
+        throw new Error(`At least ${options.minReviews || MIN_REVIEWS_FOR_FIT} repeat reviews are needed to fit FSRS parameters (found ${initial.count})`);
+    }
+
+    const m = new Array(weights.length).fill(0);
+    const v = new Array(weights.length).fill(0);
+    let best = { weights: [...weights], loss: initial.loss };
+
+    for (let step = 1; step <= iterations; step++) {
+        const base = historyLoss(weights, histories).loss;
+        const gradient = weights.map((value, i) => {
+            const probe = [...weights];
+            // Relative step so large stabilities and small exponents move comparably
+            const h = Math.max(epsilon, Math.abs(value) * epsilon);
+            probe[i] = value + h;
+            return (historyLoss(probe, histories).loss - base) / h;
+        });
+
+        weights = weights.map((value, i) => {
+            m[i] = 0.9 * m[i] + 0.1 * gradient[i];
+            v[i] = 0.999 * v[i] + 0.001 * gradient[i] * gradient[i];
+            const mHat = m[i] / (1 - Math.pow(0.9, step));
+            const vHat = v[i] / (1 - Math.pow(0.999, step));
+            const [min, max] = FSRS_WEIGHT_BOUNDS[i];
+            // Scale the step to the width of the allowed range for this weight
+            const scale = Math.min(1, (max - min) / 10);
+            return clamp(value - learningRate * scale * mHat / (Math.sqrt(vHat) + 1e-8), min, max);
+        });
+
+        const current = historyLoss(weights, histories).loss;
+        if (current < best.loss) {
+            best = { weights: [...weights], loss: current };
+        }
+    }
+
+    return {
+        weights: best.weights.map(value => Math.round(value * 10000) / 10000),
+        loss: best.loss,
+        initialLoss: initial.loss,
+        reviewCount: initial.count
+    };
+}
+
+module.exports = {
+    scheduleFsrs,
+    fitFsrsWeights,
+    qualityToRating,
+    retrievability,
+    FSRS_DEFAULT_WEIGHTS,
+    DEFAULT_REQUEST_RETENTION,
+    MIN_REVIEWS_FOR_FIT
+};
@@ -0,0 +1,108 @@
+/**
+ * Glossary
+ * Collects the terms a user's files define into one glossary: finds the
+ * sections worth reading for definitions, merges the same term found in
+ * different documents (keeping each defining sentence and where it came
+ * from), and turns glossary entries into flashcards.
+ */
+
+const { conceptKey } = require('./concept-graph');
+
+// Wording that introduces a definition: "X is defined as", "X refers to", "known as", "X: ..." lines
+const DEFINITION_CUES = [
+    /\b(?:is|are) (?:defined|described|known|referred to) as\b/i,
+    /\b(?:refers?|referred) to\b/i,
+    /\b(?:is|are) (?:called|termed|named)\b/i,
+    /\b(?:also (?:known as|called)|a\.k\.a\.|i\.e\.)/i,
+    /\b(?:we|they) (?:define|call)\b/i,
+    /\bthe term\b/i,
+    /\bdefinitions?\b/i,
+    /\bmeans?\b/i,
+    /\b(?:is|are) (?:a|an|the) (?:\w+ ){0,4}(?:that|which|where|whose|used|process|method|type|form|kind|measure|set|study)\b/i,
+    /^\s*[A-Z][\w\s()-]{1,50}:\s+[A-Z]/m
+];
+
+// Whether a section has anything that reads like a definition (sections without any aren't sent to the model)
+function hasDefinitionCues(text) {
+    return DEFINITION_CUES.some(cue => cue.test(text));
+}
+
+const glossaryKey = conceptKey;
+
+const sameSource = (a, b) => a.fileId === b.fileId && a.startOffset === b.startOffset;
+
+/**
+ * Fold newly extracted terms into a user's glossary. entries are the stored entries
+ * ({ key, term, aliases, definition, sources, ... }); extracted are grounded extractions
+ * ({ term, definition, source, possiblyHallucinated }) from the files in rebuiltFileIds, whose old
+ * sources are dropped first. Entries left without a source are removed.
+ * Returns { entries, removed } (removed: the keys of dropped entries).
+ */
+function mergeGlossary(entries, extracted, rebuiltFileIds = []) {
+    const rebuilt = new Set(rebuiltFileIds);
+    const byKey = new Map(entries.map(entry => [entry.key, {
+        ...entry,
+        aliases: [...(entry.aliases || [])],
+        sources: (entry.sources || []).filter(source => !rebuilt.has(source.fileId))
+    }]));
+
+    for (const item of extracted) {
+        const key = glossaryKey(item.term);
+        if (!key || !item.source) continue;
+        const term = String(item.term).trim();
+        const source = { ...item.source, definition: item.definition };
+
+        if (!byKey.has(key)) {
+            byKey.set(key, { key, term, aliases: [], definition: item.definition, sources: [] });
+        }
+        const entry = byKey.get(key);
+        if (![entry.term, ...entry.aliases].some(spelling => spelling.toLowerCase() === term.toLowerCase())) {
+            entry.aliases.push(term);
+        }
+        if (!entry.sources.some(existing => sameSource(existing, source))) {
+            entry.sources.push(source);
+        }
+    }
+
+    const merged = [];
+    const removed = [];
+    for (const entry of byKey.values()) {
+        if (entry.sources.length === 0) {
+            removed.push(entry.key);
+            continue;
+        }
+        // The definition shown is the first one backed by a sentence actually found in the files
+        const best = entry.sources.find(source => source.verified) || entry.sources[0];
+        merged.push({ ...entry, definition: best.definition || entry.definition, fileIds: [...new Set(entry.sources.map(source => source.fileId).filter(Boolean))] });
+    }
+
+    return { entries: merged.sort((a, b) => a.key.localeCompare(b.key)), removed };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo filter matching a search query against terms, their other spellings and their definitions
+function glossarySearchFilter(query) {
+    const pattern = { $regex: escapeRegExp(String(query).trim()), $options: 'i' };
+    return { $or: [{ term: pattern }, { aliases: pattern }, { definition: pattern }] };
+}
+
+// A simple flip card for a glossary entry, pointing at the sentence that defines the term
+function glossaryFlashcard(entry) {
+    const { definition, ...source } = entry.sources.find(candidate => candidate.verified) || entry.sources[0];
+    return {
+        front: entry.term,
+        back: entry.definition,
+        glossaryTermId: entry._id,
+        source,
+        possiblyHallucinated: !source.verified
+    };
+}
+
+module.exports = {
+    hasDefinitionCues,
+    glossaryKey,
+    mergeGlossary,
+    glossarySearchFilter,
+    glossaryFlashcard
+};
@@ -0,0 +1,312 @@
+/**
+ * LLM Provider Layer
+ * Chat completions and embeddings behind one interface so the generators
+ * don't care whether they talk to OpenAI, a local OpenAI-compatible server
+ * (Ollama, llama.cpp) or the deterministic offline mock.
+ */
+
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.chatModel = options.chatModel || 'gpt-4o-mini';
+        this.embeddingModel = options.embeddingModel === undefined ? 'text-embedding-3-large' : options.embeddingModel;
+        this.client = new OpenAI({
+            apiKey: options.apiKey,
+            baseURL: options.baseURL
+        });
+    }
+
+    // Accepts OpenAI chat.completions params (minus model) and returns an OpenAI-shaped response
+    async createChatCompletion(params) {
+        return await this.client.chat.completions.create({
+            model: this.chatModel,
+            ...params
+        });
+    }
+
+    // Yields { delta } text fragments as they arrive and a final { usage } when the server reports it.
+    // Aborting options.signal cancels the upstream request.
+    async *streamChatCompletion(params, options = {}) {
+        const stream = await this.client.chat.completions.create({
+            model: this.chatModel,
+            ...params,
+            stream: true,
+            ...(this.name === 'openai' ? { stream_options: { include_usage: true } } : {})
+        }, { signal: options.signal });
+
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                yield { delta };
+            }
+            if (chunk.usage) {
+                yield { usage: chunk.usage };
+            }
+        }
+    }
+
+    async createEmbedding(input) {
+        if (!this.embeddingModel) {
+            throw new Error(`Provider ${this.name} has no embedding model configured`);
+        }
+
+        const response = await this.client.embeddings.create({
+            model: this.embeddingModel,
+            input
+        });
+        return response.data[0].embedding;
+    }
+
+    // Batch variant: one request per call, results in input order
+    async createEmbeddings(inputs) {
+        if (!this.embeddingModel) {
+            throw new Error(`Provider ${this.name} has no embedding model configured`);
+        }
+
+        const response = await this.client.embeddings.create({
+            model: this.embeddingModel,
+            input: inputs
+        });
+        return response.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+// Ollama / llama.cpp / vLLM all expose the OpenAI REST surface, so only the defaults differ
+class LocalProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super({
+            name: 'local',
+            apiKey: options.apiKey || 'local',
+            baseURL: options.baseURL || 'http://localhost:11434/v1',
+            chatModel: options.chatModel || 'llama3.1',
+            embeddingModel: options.embeddingModel || null
+        });
+    }
+}
+
+// Deterministic 32-bit PRNG so the same prompt always yields the same payload
+function createSeededRandom(seedText) {
+    let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pull candidate words from the study material embedded in the prompt
+function extractVocabulary(prompt) {
+    const contentIndex = prompt.search(/Content:/i);
+    const source = contentIndex >= 0 ? prompt.substring(contentIndex + 8) : prompt;
+    const words = source.match(/[A-Za-z][A-Za-z-]{4,}/g) || [];
+    const vocabulary = [...new Set(words.map(w => w.toLowerCase()))].slice(0, 200);
+    return vocabulary.length > 0 ? vocabulary : ['concept', 'principle', 'process', 'definition', 'example'];
+}
+
+// Whole sentences of the study material, so quote fields can be copied from it verbatim
+function extractSentences(prompt) {
+    const contentIndex = prompt.search(/Content:/i);
+    const source = contentIndex >= 0 ? prompt.substring(contentIndex + 8) : prompt;
+    return source.split(/\n+/)
+        .flatMap(line => line.match(/[^.!?]+[.!?]/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.split(/\s+/).length >= 5);
+}
+
+// "Generate 7 questions", "Create EXACTLY 6 premium flashcards" -> 7, 6
+function extractRequestedCount(prompt) {
+    const match = prompt.match(/\b(?:generate|create)\s+(?:exactly\s+)?(\d+)\b/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Find the JSON example embedded in a prompt ("Return ONLY valid JSON in this exact format: {...}")
+function extractJsonTemplate(prompt) {
+    for (let start = prompt.indexOf('{'); start !== -1; start = prompt.indexOf('{', start + 1)) {
+        let depth = 0;
+        for (let i = start; i < prompt.length; i++) {
+            if (prompt[i] === '{') depth++;
+            if (prompt[i] === '}') depth--;
+            if (depth === 0) {
+                try {
+                    return JSON.parse(prompt.substring(start, i + 1));
+                } catch (error) {
+                    break;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.chatModel = options.chatModel || 'mock-llm';
+        this.embeddingModel = null;
+    }
+
+    async createChatCompletion(params) {
+        const messages = params.messages || [];
+        const prompt = messages.map(m => m.content).join('\n');
+        const userPrompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        const random = createSeededRandom(JSON.stringify(messages));
+        const format = params.response_format;
+
+        let content;
+        if (format && format.type === 'json_schema') {
+            const context = {
+                random,
+                vocabulary: extractVocabulary(userPrompt || prompt),
+                sentences: extractSentences(userPrompt || prompt),
+                requestedCount: extractRequestedCount(userPrompt || prompt)
+            };
+            content = JSON.stringify(this.buildFromSchema(format.json_schema.schema, context, 'response', 0));
+        } else if (format && format.type === 'json_object') {
+            content = JSON.stringify(extractJsonTemplate(userPrompt || prompt) || {});
+        } else {
+            content = this.buildTutorReply(messages, random);
+        }
+
+        const promptTokens = Math.ceil(prompt.length / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+
+        return {
+            id: `mock-${crypto.createHash('sha1').update(prompt).digest('hex').substring(0, 12)}`,
+            object: 'chat.completion',
+            model: this.chatModel,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    // Replays the deterministic completion word by word so streaming clients can be exercised offline
+    async *streamChatCompletion(params, options = {}) {
+        const response = await this.createChatCompletion(params);
+        const words = response.choices[0].message.content.split(/(?<=\s)/);
+
+        for (const word of words) {
+            if (options.signal && options.signal.aborted) {
+                return;
+            }
+            yield { delta: word };
+        }
+        yield { usage: response.usage };
+    }
+
+    async createEmbedding() {
+        throw new Error('Provider mock has no embedding model configured');
+    }
+
+    async createEmbeddings() {
+        throw new Error('Provider mock has no embedding model configured');
+    }
+
+    buildFromSchema(schema, context, key, depth) {
+        if (schema.enum) {
+            return schema.enum[Math.floor(context.random() * schema.enum.length)];
+        }
+
+        switch (schema.type) {
+            case 'object': {
+                const result = {};
+                for (const [propKey, propSchema] of Object.entries(schema.properties || {})) {
+                    result[propKey] = this.buildFromSchema(propSchema, context, propKey, depth + 1);
+                }
+                // Keep multiple-choice items internally consistent
+                if (Array.isArray(result.options) && result.options.length > 0 && 'correctAnswer' in result) {
+                    result.correctAnswer = result.options[Math.floor(context.random() * result.options.length)];
+                }
+                return result;
+            }
+            case 'array': {
+                const min = schema.minItems || 0;
+                const max = schema.maxItems || Infinity;
+                let count = Math.max(min, Math.min(max, 3));
+                // Top-level item lists honour the count the prompt asked for
+                if (depth <= 1 && context.requestedCount) {
+                    count = Math.max(min, Math.min(max, context.requestedCount));
+                }
+                const items = [];
+                for (let i = 0; i < count; i++) {
+                    items.push(this.buildFromSchema(schema.items || { type: 'string' }, context, `${key} ${i + 1}`, depth + 1));
+                }
+                return items;
+            }
+            case 'number':
+            case 'integer': {
+                const min = schema.minimum !== undefined ? schema.minimum : 1;
+                const max = schema.maximum !== undefined ? schema.maximum : min + 4;
+                return min + Math.floor(context.random() * (max - min + 1));
+            }
+            case 'boolean':
+                return context.random() < 0.5;
+            default: {
+                if (/quote/i.test(key) && context.sentences.length > 0) {
+                    return context.sentences[Math.floor(context.random() * context.sentences.length)];
+                }
+                const words = [];
+                for (let i = 0; i < 4; i++) {
+                    words.push(context.vocabulary[Math.floor(context.random() * context.vocabulary.length)]);
+                }
+                return `${key}: ${words.join(' ')}`;
+            }
+        }
+    }
+
+    buildTutorReply(messages, random) {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const vocabulary = extractVocabulary(lastUser ? lastUser.content : '');
+        const focus = vocabulary[Math.floor(random() * vocabulary.length)];
+        return `Good question! What do you already know about "${focus}"? Try linking it to an example from your study material, then tell me what you notice.`;
+    }
+}
+
+// Pick a provider from LLM_PROVIDER (openai | local | mock), default openai. The mock is only used when chosen
+// (or under NODE_ENV=test), so a deploy missing its API key fails at startup instead of serving made-up content.
+function createLLMProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || (env.NODE_ENV === 'test' ? 'mock' : 'openai')).toLowerCase();
+
+    switch (providerName) {
+        case 'openai':
+            if (!env.OPENAI_API_KEY) {
+                throw new Error('OPENAI_API_KEY is not set. Set it, use LLM_PROVIDER=local for a local model, or LLM_PROVIDER=mock for offline development');
+            }
+            return new OpenAIProvider({
+                apiKey: env.OPENAI_API_KEY,
+                chatModel: env.LLM_MODEL,
+                embeddingModel: env.LLM_EMBEDDING_MODEL
+            });
+        case 'local':
+            return new LocalProvider({
+                apiKey: env.LLM_API_KEY,
+                baseURL: env.LLM_BASE_URL,
+                chatModel: env.LLM_MODEL,
+                embeddingModel: env.LLM_EMBEDDING_MODEL
+            });
+        case 'mock':
+            return new MockProvider({ chatModel: env.LLM_MODEL });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use openai, local or mock.`);
+    }
+}
+
+module.exports = {
+    createLLMProvider,
+    OpenAIProvider,
+    LocalProvider,
+    MockProvider
+};
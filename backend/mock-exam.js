@@ -0,0 +1,143 @@
+/**
+ * Mock Exam
+ * Splits a timed exam into question types, strips answers from what the
+ * student sees, and scores a finished attempt into a report with topic
+ * breakdown, time per question and a comparison with earlier attempts.
+ */
+
+const { computeTopicAccuracy } = require('./study-stats');
+const { allocateProportionally } = require('./section-coverage');
+
+const EXAM_QUESTION_TYPES = ['direct', 'twisted'];
+const DEFAULT_EXAM_MIX = { direct: 0.7, twisted: 0.3 };
+const EXAM_LIMITS = {
+    minQuestions: 5,
+    maxQuestions: 50,
+    minMinutes: 1,
+    maxMinutes: 180
+};
+// Answers that arrive this long after the deadline still count (network latency)
+const SUBMISSION_GRACE_MS = 5000;
+
+// Turn a { type: weight } mix into whole question counts that add up to `count`
+function allocateQuestionTypes(count, mix = DEFAULT_EXAM_MIX) {
+    const entries = Object.entries(mix).filter(([, weight]) => weight > 0);
+    const counts = allocateProportionally(count, entries.map(([, weight]) => weight));
+    return Object.fromEntries(entries.map(([type], i) => [type, counts[i]]).filter(([, typeCount]) => typeCount > 0));
+}
+
+// Check a requested mix; returns an error message or null
+function validateExamMix(mix) {
+    if (!mix || typeof mix !== 'object' || Array.isArray(mix)) {
+        return 'mix must be an object of question type weights';
+    }
+    for (const [type, weight] of Object.entries(mix)) {
+        if (!EXAM_QUESTION_TYPES.includes(type)) {
+            return `Unknown question type "${type}". Use: ${EXAM_QUESTION_TYPES.join(', ')}`;
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+            return `Weight for "${type}" must be a non-negative number`;
+        }
+    }
+    if (!Object.values(mix).some(weight => weight > 0)) {
+        return 'mix needs at least one question type with a positive weight';
+    }
+    return null;
+}
+
+// What the student sees while the exam is running
+function publicExamQuestion(question) {
+    return {
+        _id: question._id,
+        index: question.index,
+        type: question.type,
+        topic: question.topic,
+        question: question.question,
+        options: question.options
+    };
+}
+
+function isCorrectAnswer(question, selectedOption) {
+    return typeof selectedOption === 'string' && selectedOption.trim() === String(question.correctAnswer).trim();
+}
+
+/**
+ * Score an attempt. exam is the session's `exam` block (answers keyed by question id);
+ * previousAttempts are earlier scored exams on the same files, newest first.
+ */
+function buildExamReport(exam, questions, previousAttempts = []) {
+    const perQuestion = questions.map(question => {
+        const answer = exam.answers[question._id.toString()] || null;
+        return {
+            questionId: question._id,
+            index: question.index,
+            type: question.type,
+            topic: question.topic || 'General',
+            question: question.question,
+            selectedOption: answer ? answer.selectedOption : null,
+            correctAnswer: question.correctAnswer,
+            correct: answer ? isCorrectAnswer(question, answer.selectedOption) : false,
+            timeTakenMs: answer ? answer.timeTakenMs : null,
+            explanation: question.explanation,
+            source: question.source || null,
+            possiblyHallucinated: Boolean(question.possiblyHallucinated)
+        };
+    });
+
+    const correct = perQuestion.filter(item => item.correct).length;
+    const answered = perQuestion.filter(item => item.selectedOption !== null);
+    const timed = answered.filter(item => typeof item.timeTakenMs === 'number');
+    const percentage = questions.length > 0 ? Math.round((correct / questions.length) * 100) : 0;
+
+    const byType = {};
+    for (const item of perQuestion) {
+        byType[item.type] = byType[item.type] || { total: 0, correct: 0 };
+        byType[item.type].total++;
+        if (item.correct) byType[item.type].correct++;
+    }
+
+    const previous = previousAttempts.map(attempt => ({
+        examId: attempt._id,
+        percentage: attempt.exam.score.percentage,
+        submittedAt: attempt.exam.submittedAt
+    }));
+
+    return {
+        score: correct,
+        total: questions.length,
+        answered: answered.length,
+        percentage,
+        timeLimitMinutes: exam.timeLimitMinutes,
+        timeUsedMs: Math.max(0, new Date(exam.submittedAt) - new Date(exam.startedAt)),
+        averageTimePerQuestionMs: timed.length > 0
+            ? Math.round(timed.reduce((sum, item) => sum + item.timeTakenMs, 0) / timed.length)
+            : null,
+        topicBreakdown: computeTopicAccuracy(perQuestion.map(item => ({ topic: item.topic, correct: item.correct }))),
+        typeBreakdown: Object.entries(byType).map(([type, counts]) => ({
+            type,
+            ...counts,
+            accuracy: Math.round((counts.correct / counts.total) * 100)
+        })),
+        questions: perQuestion,
+        comparison: {
+            previousAttempts: previous,
+            previousBest: previous.length > 0 ? Math.max(...previous.map(p => p.percentage)) : null,
+            previousAverage: previous.length > 0
+                ? Math.round(previous.reduce((sum, p) => sum + p.percentage, 0) / previous.length)
+                : null,
+            changeFromLast: previous.length > 0 ? percentage - previous[0].percentage : null
+        }
+    };
+}
+
+module.exports = {
+    allocateQuestionTypes,
+    validateExamMix,
+    publicExamQuestion,
+    isCorrectAnswer,
+    buildExamReport,
+    EXAM_QUESTION_TYPES,
+    DEFAULT_EXAM_MIX,
+    EXAM_LIMITS,
+    SUBMISSION_GRACE_MS
+};
@@ -0,0 +1,123 @@
+/**
+ * OCR
+ * Local text recognition for scanned material: PDF pages without a text
+ * layer (rendered to images first) and photographed or handwritten notes
+ * uploaded as images. Tesseract runs in-process with language data from
+ * the installed @tesseract.js-data packages, and every recognised page
+ * reports its confidence so hard-to-read pages can be flagged to the user.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A PDF page with fewer non-space characters than this has no usable text layer (a scan)
+const MIN_PAGE_TEXT_CHARS = 20;
+// Pages recognised with a lower mean word confidence (0-100) are flagged as hard to read
+const LOW_CONFIDENCE_THRESHOLD = 60;
+// PDF pages are rendered at this multiple of 72 dpi before recognition (about 216 dpi)
+const PDF_RENDER_SCALE = 3;
+
+// Tesseract language codes joined with "+", e.g. "eng+deu"; each needs its @tesseract.js-data/<code> package
+const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'eng').split('+').map(code => code.trim()).filter(Boolean);
+
+const needsOcr = pageText => String(pageText || '').replace(/\s+/g, '').length < MIN_PAGE_TEXT_CHARS;
+
+// Where each language's @tesseract.js-data package keeps its (gzipped) traineddata file
+function languageFile(code) {
+    let data;
+    try {
+        data = require(`@tesseract.js-data/${code}`);
+    } catch (error) {
+        throw new Error(`OCR language data for "${code}" is not installed (npm install @tesseract.js-data/${code})`);
+    }
+    return path.join(data.langPath, `${code}.traineddata${data.gzip ? '.gz' : ''}`);
+}
+
+let languageDirectory = null;
+
+/**
+ * Tesseract reads every language from one langPath, while each package keeps its file in its own
+ * directory, so the files are linked into a single directory once per process. Handing Tesseract
+ * the data itself instead does not work: tesseract.js initialises with the data as the language name.
+ * Recognition never downloads anything.
+ */
+function languagePath() {
+    if (!languageDirectory) {
+        const directory = path.join(os.tmpdir(), 'ocr-languages');
+        fs.mkdirSync(directory, { recursive: true });
+        for (const code of OCR_LANGUAGES) {
+            // Gzipped data is recognised by its header, so every link can use the plain file name
+            const link = path.join(directory, `${code}.traineddata`);
+            fs.rmSync(link, { force: true });
+            fs.symlinkSync(languageFile(code), link);
+        }
+        languageDirectory = directory;
+    }
+    return languageDirectory;
+}
+
+// pdf-to-img renders pages through the native canvas package, an optional dependency that may not have built
+async function loadPdfRenderer() {
+    try {
+        return (await import('pdf-to-img')).pdf;
+    } catch (error) {
+        throw new Error(`scanned PDF pages can't be read on this server because the optional pdf-to-img renderer is not installed (${error.message}). Upload photos of the pages instead`);
+    }
+}
+
+// One Tesseract worker per document, shut down when the document is done
+async function withWorker(recognizeAll) {
+    const { createWorker } = require('tesseract.js');
+    const worker = await createWorker(OCR_LANGUAGES, 1, { langPath: languagePath(), gzip: false, cacheMethod: 'none' });
+    try {
+        return await recognizeAll(worker);
+    } finally {
+        await worker.terminate();
+    }
+}
+
+async function recognize(worker, image, page) {
+    const { data } = await worker.recognize(image);
+    const confidence = Math.round(data.confidence);
+    return { page, text: data.text.trim(), confidence, lowConfidence: confidence < LOW_CONFIDENCE_THRESHOLD };
+}
+
+// Recognise the given pages (1-based) of a PDF: [{ page, text, confidence, lowConfidence }]
+async function ocrPdfPages(filePath, pageNumbers) {
+    if (pageNumbers.length === 0) return [];
+
+    const pdf = await loadPdfRenderer();
+    const document = await pdf(filePath, { scale: PDF_RENDER_SCALE });
+    return withWorker(async worker => {
+        const results = [];
+        for (const page of pageNumbers) {
+            results.push(await recognize(worker, await document.getPage(page), page));
+        }
+        return results;
+    });
+}
+
+// Recognise a PNG or JPEG as a single page
+async function ocrImage(filePath) {
+    return withWorker(async worker => [await recognize(worker, filePath, 1)]);
+}
+
+// What a file records about its OCR: each recognised page's confidence and the pages to flag
+function ocrSummary(results) {
+    return {
+        pages: results.map(({ page, confidence, lowConfidence }) => ({ page, confidence, lowConfidence })),
+        averageConfidence: results.length > 0
+            ? Math.round(results.reduce((sum, result) => sum + result.confidence, 0) / results.length)
+            : null,
+        lowConfidencePages: results.filter(result => result.lowConfidence).map(result => result.page)
+    };
+}
+
+module.exports = {
+    needsOcr,
+    ocrPdfPages,
+    ocrImage,
+    ocrSummary,
+    LOW_CONFIDENCE_THRESHOLD
+};
@@ -0,0 +1,212 @@
+/**
+ * Question Formats
+ * Prompts, stored shape and answer checking for the item formats beyond
+ * 4-option multiple choice: cloze deletions, true/false with justification,
+ * term-definition matching and sequence ordering.
+ */
+
+const crypto = require('crypto');
+const { SOURCE_QUOTE_INSTRUCTION } = require('./source-grounding');
+
+const QUESTION_FORMATS = ['multipleChoice', 'cloze', 'trueFalse', 'matching', 'ordering'];
+const DEFAULT_QUESTION_FORMAT = 'multipleChoice';
+const BLANK = '____';
+
+// Questions per Keep Going batch; matching and ordering items are several questions' worth of text
+const FORMAT_BATCH_SIZE = {
+    multipleChoice: 20,
+    cloze: 20,
+    trueFalse: 20,
+    matching: 8,
+    ordering: 8
+};
+
+const FORMAT_INSTRUCTIONS = {
+    cloze: `Each item is a sentence taken or paraphrased from the content with one to three key terms replaced by ${BLANK}.
+- "text" contains the sentence with each removed term replaced by exactly ${BLANK}
+- "blanks" lists the removed terms in the order they appear, each with any equally correct alternatives (synonyms, abbreviations)
+- Blank out meaningful terms, never filler words`,
+    trueFalse: `Each item is a statement that is clearly true or clearly false according to the content.
+- Make roughly half of the statements false by changing one important detail
+- "justification" explains why the statement is true or false, citing the content`,
+    matching: `Each item is a set of 4 to 6 terms from one topic, each paired with its definition.
+- Definitions must be distinct enough that each matches exactly one term
+- "instructions" tells the student what links the terms`,
+    ordering: `Each item is a process, sequence or timeline from the content with 3 to 7 steps.
+- "items" lists the steps in the correct order
+- Steps must be unambiguous so only one order is correct`
+};
+
+function buildFormatPrompt(format, count, text, previousTopics = []) {
+    return `Generate ${count} ${format} questions from this content.
+
+${FORMAT_INSTRUCTIONS[format]}
+- "explanation" is one or two sentences the student sees after answering
+- "topic" names the concept tested
+${SOURCE_QUOTE_INSTRUCTION}
+
+Content: ${text}
+
+${previousTopics.length > 0 ? `Avoid these topics already covered: ${previousTopics.join(', ')}` : ''}`;
+}
+
+// Fisher-Yates with a seeded generator so a question's presentation never changes between views
+function seededShuffle(items, seedText) {
+    let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+    const random = () => {
+        seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+        return seed / 4294967296;
+    };
+
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    // A shuffle that happens to leave everything in place gives the answer away
+    if (shuffled.length > 1 && shuffled.every((item, i) => item === items[i])) {
+        shuffled.push(shuffled.shift());
+    }
+    return shuffled;
+}
+
+// Shape a generated item for storage: every format gets `format` and display text in `question`
+function toStoredQuestion(format, item) {
+    switch (format) {
+        case 'cloze':
+            return { format, question: item.text, ...item };
+        case 'trueFalse':
+            return { format, question: item.statement, ...item };
+        case 'matching':
+            return {
+                format,
+                question: item.instructions,
+                ...item,
+                definitions: seededShuffle(item.pairs.map(pair => pair.definition), JSON.stringify(item.pairs))
+            };
+        case 'ordering':
+            return {
+                format,
+                question: item.prompt,
+                ...item,
+                shuffledItems: seededShuffle(item.items, JSON.stringify(item.items))
+            };
+        default:
+            return { format: DEFAULT_QUESTION_FORMAT, ...item };
+    }
+}
+
+// Case, surrounding punctuation and repeated spaces don't make an answer wrong
+const normalize = value => String(value)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
+
+const invalid = error => ({ error });
+
+function checkCloze(question, response) {
+    if (!Array.isArray(response) || response.length !== question.blanks.length || !response.every(value => typeof value === 'string')) {
+        return invalid(`response must be an array of ${question.blanks.length} strings, one per blank`);
+    }
+
+    const blanks = question.blanks.map((blank, i) => {
+        const accepted = [blank.answer, ...(blank.alternatives || [])].map(normalize);
+        return { answer: blank.answer, response: response[i], correct: accepted.includes(normalize(response[i])) };
+    });
+    const correctCount = blanks.filter(blank => blank.correct).length;
+
+    return {
+        correct: correctCount === blanks.length,
+        score: correctCount / blanks.length,
+        correctAnswer: question.blanks.map(blank => blank.answer),
+        details: blanks
+    };
+}
+
+function checkTrueFalse(question, response) {
+    if (typeof response !== 'boolean') {
+        return invalid('response must be true or false');
+    }
+
+    const correct = response === question.answer;
+    return {
+        correct,
+        score: correct ? 1 : 0,
+        correctAnswer: question.answer,
+        details: { justification: question.justification }
+    };
+}
+
+// response maps each term to the definition the student picked for it
+function checkMatching(question, response) {
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+        return invalid('response must be an object mapping each term to a definition');
+    }
+
+    const pairs = question.pairs.map(pair => ({
+        term: pair.term,
+        definition: pair.definition,
+        response: response[pair.term] === undefined ? null : response[pair.term],
+        correct: typeof response[pair.term] === 'string' && normalize(response[pair.term]) === normalize(pair.definition)
+    }));
+    const correctCount = pairs.filter(pair => pair.correct).length;
+
+    return {
+        correct: correctCount === pairs.length,
+        score: correctCount / pairs.length,
+        correctAnswer: question.pairs,
+        details: pairs
+    };
+}
+
+// response lists the steps in the student's order; partial credit per step in the right place
+function checkOrdering(question, response) {
+    const expected = question.items.map(normalize);
+    const given = Array.isArray(response) ? response.map(normalize) : null;
+    if (!given || given.length !== expected.length || [...given].sort().join('\n') !== [...expected].sort().join('\n')) {
+        return invalid('response must list every step exactly once');
+    }
+
+    const positions = question.items.map((item, i) => ({ item, response: response[i], correct: given[i] === expected[i] }));
+    const correctCount = positions.filter(position => position.correct).length;
+
+    return {
+        correct: correctCount === positions.length,
+        score: correctCount / positions.length,
+        correctAnswer: question.items,
+        details: positions
+    };
+}
+
+function checkMultipleChoice(question, response) {
+    if (typeof response !== 'string' || response.length === 0) {
+        return invalid('selectedOption is required');
+    }
+
+    const correct = response.trim() === String(question.correctAnswer).trim();
+    return { correct, score: correct ? 1 : 0, correctAnswer: question.correctAnswer, details: null };
+}
+
+/**
+ * Check a student's response against a stored question.
+ * Returns { correct, score (0-1), correctAnswer, details } or { error } for a malformed response.
+ */
+function checkResponse(question, response) {
+    switch (question.format || DEFAULT_QUESTION_FORMAT) {
+        case 'cloze': return checkCloze(question, response);
+        case 'trueFalse': return checkTrueFalse(question, response);
+        case 'matching': return checkMatching(question, response);
+        case 'ordering': return checkOrdering(question, response);
+        default: return checkMultipleChoice(question, response);
+    }
+}
+
+module.exports = {
+    buildFormatPrompt,
+    toStoredQuestion,
+    checkResponse,
+    seededShuffle,
+    QUESTION_FORMATS,
+    DEFAULT_QUESTION_FORMAT,
+    FORMAT_BATCH_SIZE
+};
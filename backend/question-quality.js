@@ -0,0 +1,246 @@
+/**
+ * Question Quality Gate
+ * Checks generated questions before they are stored: repairs what can be
+ * repaired (letter answers, labelled or duplicate options, answers that
+ * differ from their option only in case or punctuation), rejects what
+ * can't, drops near-duplicates of questions the session already has and
+ * summarises each batch in a quality report.
+ */
+
+const MIN_OPTIONS = 3;
+// Cosine similarity between question embeddings above which two questions count as the same
+const EMBEDDING_DUPLICATE_THRESHOLD = 0.92;
+// Share of content words two questions must have in common without embeddings
+const LEXICAL_DUPLICATE_THRESHOLD = 0.8;
+const MAX_REPORTED_REJECTIONS = 20;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'is', 'are', 'was', 'were', 'be', 'by',
+    'with', 'which', 'what', 'who', 'when', 'where', 'why', 'how', 'does', 'do', 'did', 'that', 'this',
+    'these', 'those', 'it', 'its', 'as', 'at', 'from', 'following', 'most', 'best', 'likely'
+]);
+
+const normalize = value => String(value === undefined || value === null ? '' : value)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
+
+// "A) Paris", "b. Paris", "(C) Paris" -> letter and text
+const OPTION_LABEL = /^\(?([A-Fa-f])[).:]\s+(.+)$/;
+// "A", "(b)", "C.", "Option D", "Answer: A"
+const LETTER_ANSWER = /^(?:(?:option|answer|choice)\s*:?\s*)?\(?([A-Fa-f])\)?[.:]?$/i;
+
+function repairMultipleChoice(question) {
+    const repairs = [];
+    let options = (question.options || []).map(option => String(option).trim()).filter(option => option.length > 0);
+    let correctAnswer = String(question.correctAnswer === undefined ? '' : question.correctAnswer).trim();
+
+    // Options labelled with their letter: drop the labels (and the label on the answer)
+    if (options.length > 0 && options.every(option => OPTION_LABEL.test(option))) {
+        options = options.map(option => option.match(OPTION_LABEL)[2].trim());
+        const labelled = correctAnswer.match(OPTION_LABEL);
+        if (labelled) correctAnswer = labelled[2].trim();
+        repairs.push('labelled_options');
+    }
+
+    const distinct = [];
+    for (const option of options) {
+        if (!distinct.some(existing => normalize(existing) === normalize(option))) {
+            distinct.push(option);
+        }
+    }
+    if (distinct.length < options.length) {
+        repairs.push('duplicate_options');
+        options = distinct;
+    }
+    if (options.length < MIN_OPTIONS) {
+        return { rejections: ['too_few_options'], repairs };
+    }
+
+    if (!options.includes(correctAnswer)) {
+        const letter = correctAnswer.match(LETTER_ANSWER);
+        const byText = options.find(option => normalize(option) === normalize(correctAnswer));
+        if (byText) {
+            correctAnswer = byText;
+            repairs.push('answer_normalized');
+        } else if (letter && options[letter[1].toUpperCase().charCodeAt(0) - 65]) {
+            correctAnswer = options[letter[1].toUpperCase().charCodeAt(0) - 65];
+            repairs.push('letter_answer');
+        } else {
+            return { rejections: ['answer_not_in_options'], repairs };
+        }
+    }
+
+    return { question: { ...question, options, correctAnswer }, repairs, rejections: [] };
+}
+
+function repairCloze(question, blank) {
+    const answers = question.blanks.map(item => String(item.answer || '').trim());
+    if (answers.some(answer => answer.length === 0)) {
+        return { rejections: ['empty_blank'], repairs: [] };
+    }
+
+    const marked = question.text.split(blank).length - 1;
+    if (marked === answers.length) {
+        return { question, repairs: [], rejections: [] };
+    }
+
+    // The model sometimes leaves the answers in the sentence: blank them out if they are all there
+    if (marked === 0 && answers.every(answer => question.text.toLowerCase().includes(answer.toLowerCase()))) {
+        let text = question.text;
+        for (const answer of answers) {
+            const at = text.toLowerCase().indexOf(answer.toLowerCase());
+            text = text.substring(0, at) + blank + text.substring(at + answer.length);
+        }
+        return { question: { ...question, text, question: text }, repairs: ['blanks_marked'], rejections: [] };
+    }
+
+    return { rejections: ['blank_mismatch'], repairs: [] };
+}
+
+const hasDuplicates = values => new Set(values.map(normalize)).size < values.length;
+
+/**
+ * Repair or reject one stored question.
+ * Returns { question, repairs, rejections }; question is missing when the item is rejected.
+ */
+function reviewQuestion(question, options = {}) {
+    if (!question || normalize(question.question).length === 0) {
+        return { rejections: ['missing_question'], repairs: [] };
+    }
+
+    switch (question.format) {
+        case 'cloze':
+            return repairCloze(question, options.blank || '____');
+        case 'trueFalse':
+            return { question, repairs: [], rejections: [] };
+        case 'matching':
+            if (question.pairs.length < 2) return { rejections: ['too_few_pairs'], repairs: [] };
+            if (hasDuplicates(question.pairs.map(pair => pair.term)) || hasDuplicates(question.pairs.map(pair => pair.definition))) {
+                return { rejections: ['duplicate_pairs'], repairs: [] };
+            }
+            return { question, repairs: [], rejections: [] };
+        case 'ordering':
+            if (question.items.length < 2) return { rejections: ['too_few_steps'], repairs: [] };
+            if (hasDuplicates(question.items)) return { rejections: ['duplicate_steps'], repairs: [] };
+            return { question, repairs: [], rejections: [] };
+        default:
+            return repairMultipleChoice(question);
+    }
+}
+
+// The text compared for duplicates: what the question asks, plus the terms or steps that define it
+function questionText(question) {
+    if (question.format === 'matching') {
+        return `${question.question} ${question.pairs.map(pair => pair.term).join(' ')}`;
+    }
+    if (question.format === 'ordering') {
+        return `${question.question} ${question.items.join(' ')}`;
+    }
+    return String(question.question || '');
+}
+
+function contentWords(text) {
+    return new Set(normalize(text).split(/[^a-z0-9]+/).filter(word => word.length > 1 && !STOPWORDS.has(word)));
+}
+
+// Jaccard similarity of content words; a fallback for when no embedding model is configured
+function lexicalSimilarity(a, b) {
+    const wordsA = contentWords(a);
+    const wordsB = contentWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Indices of the candidates that aren't near-duplicates of an earlier question or of each other.
+ * similarity(i, j) compares candidate i with entry j of [...previous, ...candidates].
+ */
+function selectDistinct(candidateCount, previousCount, similarity, threshold) {
+    const kept = [];
+    const duplicates = [];
+
+    for (let i = 0; i < candidateCount; i++) {
+        const against = [
+            ...Array.from({ length: previousCount }, (_, j) => j),
+            ...kept.map(k => previousCount + k)
+        ];
+        if (against.some(j => similarity(i, j) >= threshold)) {
+            duplicates.push(i);
+        } else {
+            kept.push(i);
+        }
+    }
+
+    return { kept, duplicates };
+}
+
+/**
+ * Summarise a batch for the quality report. outcomes has one entry per generated item:
+ * { text, repairs, rejections } with rejections including 'near_duplicate' where it applied.
+ */
+function buildQualityReport(outcomes, requested) {
+    const issues = {};
+    for (const outcome of outcomes) {
+        for (const code of [...outcome.repairs, ...outcome.rejections]) {
+            issues[code] = (issues[code] || 0) + 1;
+        }
+    }
+
+    const rejected = outcomes.filter(outcome => outcome.rejections.length > 0);
+    return {
+        requested,
+        received: outcomes.length,
+        accepted: outcomes.length - rejected.length,
+        repaired: outcomes.filter(outcome => outcome.rejections.length === 0 && outcome.repairs.length > 0).length,
+        rejected: rejected.length,
+        rejectionRate: outcomes.length > 0 ? Math.round((rejected.length / outcomes.length) * 1000) / 10 : 0,
+        issues,
+        rejections: rejected.slice(0, MAX_REPORTED_REJECTIONS).map(outcome => ({
+            question: outcome.text,
+            reasons: outcome.rejections
+        }))
+    };
+}
+
+// Totals per prompt across stored batch reports, worst rejection rate first
+function summarizeQualityReports(reports) {
+    const prompts = new Map();
+    for (const report of reports) {
+        if (!prompts.has(report.prompt)) {
+            prompts.set(report.prompt, { prompt: report.prompt, batches: 0, received: 0, accepted: 0, repaired: 0, rejected: 0, issues: {} });
+        }
+        const totals = prompts.get(report.prompt);
+        totals.batches++;
+        totals.received += report.received;
+        totals.accepted += report.accepted;
+        totals.repaired += report.repaired;
+        totals.rejected += report.rejected;
+        for (const [code, count] of Object.entries(report.issues || {})) {
+            totals.issues[code] = (totals.issues[code] || 0) + count;
+        }
+    }
+
+    return [...prompts.values()]
+        .map(totals => ({
+            ...totals,
+            rejectionRate: totals.received > 0 ? Math.round((totals.rejected / totals.received) * 1000) / 10 : 0
+        }))
+        .sort((a, b) => b.rejectionRate - a.rejectionRate);
+}
+
+module.exports = {
+    reviewQuestion,
+    questionText,
+    lexicalSimilarity,
+    selectDistinct,
+    buildQualityReport,
+    summarizeQualityReports,
+    EMBEDDING_DUPLICATE_THRESHOLD,
+    LEXICAL_DUPLICATE_THRESHOLD
+};
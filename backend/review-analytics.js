@@ -0,0 +1,101 @@
+/**
+ * Review Analytics
+ * Turns review_logs entries and flashcard schedules into retention rates,
+ * forgetting curves and a day-by-day review-load forecast.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MATURE_INTERVAL_DAYS = 21; // Anki's threshold for a "mature" card
+
+// Elapsed-day buckets for forgetting curves: [0, 1), [1, 2), [2, 4) ... [64, ∞)
+const CURVE_BUCKETS = [0, 1, 2, 4, 8, 16, 32, 64];
+
+const wasRecalled = log => log.quality >= 3;
+
+function rate(recalled, total) {
+    return total > 0 ? Math.round((recalled / total) * 1000) / 10 : null;
+}
+
+// True retention: share of repeat reviews (not a card's first look) that were recalled
+function computeRetention(logs) {
+    const repeats = logs.filter(log => !log.firstReview);
+    const young = repeats.filter(log => (log.previousInterval || 0) < MATURE_INTERVAL_DAYS);
+    const mature = repeats.filter(log => (log.previousInterval || 0) >= MATURE_INTERVAL_DAYS);
+    const timed = logs.filter(log => typeof log.responseTimeMs === 'number');
+
+    return {
+        totalReviews: logs.length,
+        repeatReviews: repeats.length,
+        retention: rate(repeats.filter(wasRecalled).length, repeats.length),
+        youngRetention: rate(young.filter(wasRecalled).length, young.length),
+        matureRetention: rate(mature.filter(wasRecalled).length, mature.length),
+        averageResponseTimeMs: timed.length > 0
+            ? Math.round(timed.reduce((sum, log) => sum + log.responseTimeMs, 0) / timed.length)
+            : null
+    };
+}
+
+function bucketFor(elapsedDays) {
+    for (let i = CURVE_BUCKETS.length - 1; i >= 0; i--) {
+        if (elapsedDays >= CURVE_BUCKETS[i]) return i;
+    }
+    return 0;
+}
+
+// Observed recall rate against days since the previous review, one curve per group
+function computeForgettingCurves(logs, groupKey) {
+    const groups = new Map();
+
+    for (const log of logs) {
+        if (log.firstReview) continue;
+
+        const key = groupKey(log);
+        if (!groups.has(key)) {
+            groups.set(key, CURVE_BUCKETS.map(() => ({ reviews: 0, recalled: 0 })));
+        }
+        const bucket = groups.get(key)[bucketFor(log.elapsedDays || 0)];
+        bucket.reviews++;
+        if (wasRecalled(log)) bucket.recalled++;
+    }
+
+    return [...groups.entries()].map(([key, buckets]) => ({
+        key,
+        reviews: buckets.reduce((sum, b) => sum + b.reviews, 0),
+        points: buckets
+            .map((b, i) => ({
+                fromDays: CURVE_BUCKETS[i],
+                toDays: CURVE_BUCKETS[i + 1] !== undefined ? CURVE_BUCKETS[i + 1] : null,
+                reviews: b.reviews,
+                recallRate: rate(b.recalled, b.reviews)
+            }))
+            .filter(point => point.reviews > 0)
+    }));
+}
+
+// Cards due on each of the next `days` days (UTC dates); overdue cards land on today
+function forecastReviewLoad(cards, days, now = new Date()) {
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const forecast = [];
+    for (let i = 0; i < days; i++) {
+        forecast.push({ date: new Date(today.getTime() + i * DAY_MS).toISOString().split('T')[0], due: 0 });
+    }
+
+    let overdue = 0;
+    for (const card of cards) {
+        if (!card.nextReview) continue;
+
+        const dayIndex = Math.floor((new Date(card.nextReview) - today) / DAY_MS);
+        if (dayIndex < 0) overdue++;
+        const slot = forecast[Math.max(0, dayIndex)];
+        if (slot) slot.due++;
+    }
+
+    return { overdue, days: forecast };
+}
+
+module.exports = {
+    computeRetention,
+    computeForgettingCurves,
+    forecastReviewLoad,
+    MATURE_INTERVAL_DAYS
+};
@@ -0,0 +1,170 @@
+/**
+ * Section Coverage
+ * Splits the material into sections for map-reduce generation, shares the
+ * questions and flashcards of a request across as many sections as there
+ * are items (the sections drawn on least so far, in proportion to their
+ * length beyond one item each), and
+ * reports which sections of a file generated material has come from.
+ */
+
+const { chunkText } = require('./document-chunker');
+
+// Characters per section (~1000 tokens): small enough to go into a generation prompt whole
+const SECTION_SIZE = 4000;
+// Length of the reduced overview the whole-document prompts (summary, study plan, gaps) work from
+const OVERVIEW_MAX_CHARS = 3000;
+
+const sectionKey = (fileId, sectionIndex) => `${fileId}:${sectionIndex}`;
+
+// Every file's sections in document order: { fileId, filename, sectionIndex, startOffset, endOffset, page, endPage, text }
+function planSections(files) {
+    return files.flatMap(file => {
+        const fileId = file._id ? file._id.toString() : null;
+        return chunkText(file.textContent || file.content || '', { chunkSize: SECTION_SIZE, overlap: 0, pages: file.pages || [] })
+            .map(chunk => ({
+                fileId,
+                filename: file.filename,
+                sectionIndex: chunk.chunkIndex,
+                startOffset: chunk.startOffset,
+                endOffset: chunk.endOffset,
+                page: chunk.page,
+                endPage: chunk.endPage,
+                text: chunk.text
+            }));
+    });
+}
+
+// What a generated item records about the section it came from
+function sectionRef(section) {
+    return { fileId: section.fileId, sectionIndex: section.sectionIndex };
+}
+
+// Split `total` into whole numbers in proportion to `weights` (largest remainder)
+function allocateProportionally(total, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return weights.map(() => 0);
+
+    const exact = weights.map(weight => (weight / totalWeight) * total);
+    const counts = exact.map(Math.floor);
+    let missing = total - counts.reduce((sum, count) => sum + count, 0);
+
+    const byRemainder = exact.map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder);
+    for (const { i } of byRemainder) {
+        if (missing === 0) break;
+        counts[i]++;
+        missing--;
+    }
+    return counts;
+}
+
+/**
+ * Hands out sections to the artifacts of one request. coverage maps sectionKey -> items already
+ * generated from that section; each allocation takes the least-used sections (earliest first on ties)
+ * and counts them as used, so artifacts generated together don't all start from the same pages.
+ * An artifact is spread over up to one section per item, so the more sections the material has,
+ * the more of them each artifact draws on.
+ */
+function createSectionPlanner(sections, coverage = {}) {
+    const used = new Map(sections.map(section => [section, coverage[sectionKey(section.fileId, section.sectionIndex)] || 0]));
+
+    // [{ section, count }] in document order, counts adding up to `count`; limit caps the sections used
+    function allocate(count, limit = sections.length) {
+        if (sections.length === 0 || count <= 0) return [];
+
+        const picked = sections
+            .map((section, order) => ({ section, order }))
+            .sort((a, b) => used.get(a.section) - used.get(b.section) || a.order - b.order)
+            .slice(0, Math.min(limit, count))
+            .sort((a, b) => a.order - b.order)
+            .map(({ section }) => section);
+
+        // Every picked section gets an item; the rest follow the sections' length
+        const counts = allocateProportionally(count - picked.length, picked.map(section => section.text.length));
+        const parts = picked.map((section, i) => ({ section, count: counts[i] + 1 }));
+        for (const part of parts) {
+            used.set(part.section, used.get(part.section) + part.count);
+        }
+        return parts;
+    }
+
+    return { sections, allocate };
+}
+
+// Consecutive groups of texts whose joined length stays under maxChars (a text longer than that is a group of its own)
+function groupByLength(texts, maxChars) {
+    const groups = [];
+    let current = [];
+    let length = 0;
+
+    for (const text of texts) {
+        if (current.length > 0 && length + text.length > maxChars) {
+            groups.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(text);
+        length += text.length + 2;
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+// A section's summary as one block of the document overview
+function formatSectionSummary(summary) {
+    return `${summary.title}: ${summary.summary}${summary.keyConcepts && summary.keyConcepts.length > 0 ? ` (${summary.keyConcepts.join(', ')})` : ''}`;
+}
+
+/**
+ * Which sections of one file generated material has come from.
+ * coverageDocs are the file's section_coverage entries; titles maps sectionIndex -> summary title when known.
+ */
+function buildCoverageReport(file, sections, coverageDocs, titles = {}) {
+    const bySection = new Map(coverageDocs.map(doc => [doc.sectionIndex, doc]));
+    const totalChars = sections.reduce((sum, section) => sum + section.text.length, 0);
+
+    const reported = sections.map(section => {
+        const doc = bySection.get(section.sectionIndex);
+        const questions = doc ? doc.questions || 0 : 0;
+        const flashcards = doc ? doc.flashcards || 0 : 0;
+        return {
+            sectionIndex: section.sectionIndex,
+            title: titles[section.sectionIndex] || `${section.text.substring(0, 60).replace(/\s+/g, ' ').trim()}…`,
+            page: section.page,
+            endPage: section.endPage,
+            startOffset: section.startOffset,
+            endOffset: section.endOffset,
+            questions,
+            flashcards,
+            covered: questions + flashcards > 0,
+            lastCoveredAt: doc ? doc.lastCoveredAt : null
+        };
+    });
+
+    const covered = reported.filter(section => section.covered);
+    const coveredChars = sections
+        .filter((section, i) => reported[i].covered)
+        .reduce((sum, section) => sum + section.text.length, 0);
+
+    return {
+        fileId: file._id,
+        filename: file.filename,
+        totalSections: reported.length,
+        coveredSections: covered.length,
+        coveredPercent: totalChars > 0 ? Math.round((coveredChars / totalChars) * 100) : 0,
+        sections: reported
+    };
+}
+
+module.exports = {
+    planSections,
+    sectionRef,
+    sectionKey,
+    allocateProportionally,
+    createSectionPlanner,
+    groupByLength,
+    formatSectionSummary,
+    buildCoverageReport,
+    SECTION_SIZE,
+    OVERVIEW_MAX_CHARS
+};
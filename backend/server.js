@@ -4,17 +4,39 @@ const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { Worker } = require('worker_threads');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { MongoClient, ObjectId } = require('mongodb');
 const backendTesting = require('./testing-middleware');
 require('dotenv').config();
 
-const OpenAI = require('openai');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 
 const { startMongoDB } = require('./start-mongodb');
+const { createLLMProvider } = require('./llm-providers');
+const { chunkText, cosineSimilarity, pageForOffset } = require('./document-chunker');
+const { calculateSpacedRepetition, newCardState } = require('./sm2-scheduler');
+const { courseIdParam, toObjectIds, validateCourseSettings, generationCourseId } = require('./courses');
+const { scheduleFsrs, qualityToRating, FSRS_DEFAULT_WEIGHTS, DEFAULT_REQUEST_RETENTION, MIN_REVIEWS_FOR_FIT } = require('./fsrs-scheduler');
+const { computeRetention, computeForgettingCurves, forecastReviewLoad } = require('./review-analytics');
+const { computeAccuracy, computeTopicAccuracy, computeConceptMastery, computeStreak } = require('./study-stats');
+const { allocateQuestionTypes, validateExamMix, publicExamQuestion, buildExamReport, DEFAULT_EXAM_MIX, EXAM_LIMITS, SUBMISSION_GRACE_MS } = require('./mock-exam');
+const { freeTextQuestions, questionPoints, gradingCriteria, buildGradingPrompt, scoreGrade, MAX_ANSWER_LENGTH } = require('./answer-grading');
+const { buildFormatPrompt, toStoredQuestion, checkResponse, QUESTION_FORMATS, DEFAULT_QUESTION_FORMAT, FORMAT_BATCH_SIZE } = require('./question-formats');
+const { reviewQuestion, questionText, lexicalSimilarity, selectDistinct, buildQualityReport, summarizeQualityReports, EMBEDDING_DUPLICATE_THRESHOLD, LEXICAL_DUPLICATE_THRESHOLD } = require('./question-quality');
+const { createGrounder, groundingSummary, SOURCE_QUOTE_INSTRUCTION } = require('./source-grounding');
+const { planSections, sectionRef, sectionKey, createSectionPlanner, groupByLength, formatSectionSummary, buildCoverageReport, SECTION_SIZE, OVERVIEW_MAX_CHARS } = require('./section-coverage');
+const { detectMarkdownHeadings, detectTextHeadings, detectHtmlHeadings, buildOutline, ownText, nodesBottomUp } = require('./document-outline');
+const { mergeConceptGraphs, toDot, buildMasteryIndex, rankReviewPriorities, conceptKey, EDGE_TYPES } = require('./concept-graph');
+const { hasDefinitionCues, mergeGlossary, glossarySearchFilter, glossaryFlashcard } = require('./glossary');
+const { toDateString, addDays, topicsFromOutline, buildStudyPlan, rebalanceStudyPlan, missedItems, planProgress } = require('./study-planner');
+const { buildPlanCalendar } = require('./calendar-feed');
+const { extractPptx, extractEpub, extractHtml } = require('./document-formats');
+const { needsOcr, ocrPdfPages, ocrImage, ocrSummary } = require('./ocr');
+const { FINISHED_STATES, STALE_CLAIM_MS, CLAIM_REFRESH_MS, formatUploadJob } = require('./upload-jobs');
+const { hashBytes, hashText, textSignature, signatureSimilarity, findNearDuplicate, NEAR_DUPLICATE_THRESHOLD } = require('./file-dedup');
 
 // Token tracking and cost optimization for OpenAI API
 const tokenUsage = {
@@ -34,6 +56,8 @@ const PRICING = {
 
 // Helper to calculate token cost with proper cached token support
 function calculateCost(model, usage) {
+    // Self-hosted and mock providers cost nothing; unknown OpenAI models bill as gpt-4o-mini
+    if (llm.name !== 'openai') return 0;
     const pricing = PRICING[model] || PRICING['gpt-4o-mini'];
     
     // Check for cached tokens in the response from OpenAI
@@ -96,6 +120,11 @@ const SCHEMA_MAX_TOKENS = {
     'simple_flashcards': 1200,
     'batch_questions': 4000,
     'template_questions': 3500,
+    'answer_grade': 1000,
+    'format_questions': 3500,
+    'section_summary': 500,
+    'concept_graph': 1500,
+    'glossary': 2500,
     'summary': 800,
     'knowledgeGaps': 600,
     'studyPlan': 1000,
@@ -177,7 +206,7 @@ const flashcardBatchSchema = {
             type: "array",
             items: {
                 type: "object",
-                required: ["term", "definition", "visualDescription", "mnemonic", "multipleExamples", "commonMisconceptions", "connections", "practiceQuestion", "memoryTips", "category", "difficulty", "importance"],
+                required: ["term", "definition", "visualDescription", "mnemonic", "multipleExamples", "commonMisconceptions", "connections", "practiceQuestion", "memoryTips", "category", "difficulty", "importance", "sourceQuote"],
                 additionalProperties: false,
                 properties: {
                     term: { type: "string" },
@@ -191,7 +220,8 @@ const flashcardBatchSchema = {
                     memoryTips: { type: "string" },
                     category: { type: "string" },
                     difficulty: { type: "number", minimum: 1, maximum: 5 },
-                    importance: { type: "number", minimum: 1, maximum: 5 }
+                    importance: { type: "number", minimum: 1, maximum: 5 },
+                    sourceQuote: { type: "string" } // Sentence copied from the content, checked by source-grounding.js
                 }
             },
             minItems: 3,
@@ -210,14 +240,15 @@ const simpleFlashcardSchema = {
             type: "array",
             items: {
                 type: "object",
-                required: ["front", "back"],
+                required: ["front", "back", "sourceQuote"],
                 additionalProperties: false,
                 properties: {
                     front: { type: "string" }, // Critical knowledge/term
-                    back: { type: "string" }  // Concise explanation
+                    back: { type: "string" },  // Concise explanation
+                    sourceQuote: { type: "string" }
                 }
             },
-            minItems: 10,
+            minItems: 1,
             maxItems: 10
         }
     }
@@ -233,16 +264,17 @@ const batchQuestionSchema = {
             type: "array",
             items: {
                 type: "object",
-                required: ["question", "options", "correctAnswer", "explanation"],
+                required: ["question", "options", "correctAnswer", "explanation", "sourceQuote"],
                 additionalProperties: false,
                 properties: {
                     question: { type: "string" },
                     options: { type: "array", items: { type: "string" }, minItems: 4, maxItems: 4 },
                     correctAnswer: { type: "string" },
-                    explanation: { type: "string" }
+                    explanation: { type: "string" },
+                    sourceQuote: { type: "string" }
                 }
             },
-            minItems: 20,
+            minItems: 1,
             maxItems: 20
         }
     }
@@ -258,7 +290,7 @@ const templateQuestionSchema = {
             type: "array",
             items: {
                 type: "object",
-                required: ["question", "options", "correctAnswer", "explanation", "difficulty", "topic", "type", "learningObjective", "hints", "commonMistakes", "timeEstimate"],
+                required: ["question", "options", "correctAnswer", "explanation", "difficulty", "topic", "type", "learningObjective", "hints", "commonMistakes", "timeEstimate", "sourceQuote"],
                 additionalProperties: false,
                 properties: {
                     question: { type: "string" },
@@ -282,9 +314,197 @@ const templateQuestionSchema = {
                         type: "array", 
                         items: { type: "string" }
                     },
-                    timeEstimate: { type: "string" }
+                    timeEstimate: { type: "string" },
+                    sourceQuote: { type: "string" }
+                }
+            }
+        }
+    }
+};
+
+// Additional question formats (see question-formats.js); each wraps its items in { questions }
+const questionFormatItemSchemas = {
+    cloze: {
+        type: "object",
+        required: ["text", "blanks", "explanation", "topic", "sourceQuote"],
+        additionalProperties: false,
+        properties: {
+            text: { type: "string" },
+            blanks: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["answer", "alternatives"],
+                    additionalProperties: false,
+                    properties: {
+                        answer: { type: "string" },
+                        alternatives: { type: "array", items: { type: "string" } }
+                    }
+                },
+                minItems: 1,
+                maxItems: 3
+            },
+            explanation: { type: "string" },
+            topic: { type: "string" },
+            sourceQuote: { type: "string" }
+        }
+    },
+    trueFalse: {
+        type: "object",
+        required: ["statement", "answer", "justification", "explanation", "topic", "sourceQuote"],
+        additionalProperties: false,
+        properties: {
+            statement: { type: "string" },
+            answer: { type: "boolean" },
+            justification: { type: "string" },
+            explanation: { type: "string" },
+            topic: { type: "string" },
+            sourceQuote: { type: "string" }
+        }
+    },
+    matching: {
+        type: "object",
+        required: ["instructions", "pairs", "explanation", "topic", "sourceQuote"],
+        additionalProperties: false,
+        properties: {
+            instructions: { type: "string" },
+            pairs: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["term", "definition"],
+                    additionalProperties: false,
+                    properties: {
+                        term: { type: "string" },
+                        definition: { type: "string" }
+                    }
+                },
+                minItems: 4,
+                maxItems: 6
+            },
+            explanation: { type: "string" },
+            topic: { type: "string" },
+            sourceQuote: { type: "string" }
+        }
+    },
+    ordering: {
+        type: "object",
+        required: ["prompt", "items", "explanation", "topic", "sourceQuote"],
+        additionalProperties: false,
+        properties: {
+            prompt: { type: "string" },
+            items: { type: "array", items: { type: "string" }, minItems: 3, maxItems: 7 },
+            explanation: { type: "string" },
+            topic: { type: "string" },
+            sourceQuote: { type: "string" }
+        }
+    }
+};
+
+const questionFormatSchemas = Object.fromEntries(Object.entries(questionFormatItemSchemas).map(([format, itemSchema]) => [format, {
+    type: "object",
+    required: ["questions"],
+    additionalProperties: false,
+    properties: {
+        questions: { type: "array", items: itemSchema }
+    }
+}]));
+
+// Map step of whole-document generation: what one section (or group of section summaries) covers
+const sectionSummarySchema = {
+    type: "object",
+    required: ["title", "summary", "keyConcepts"],
+    additionalProperties: false,
+    properties: {
+        title: { type: "string" },
+        summary: { type: "string" },
+        keyConcepts: { type: "array", items: { type: "string" }, minItems: 1, maxItems: 6 }
+    }
+};
+
+// Concepts of one part of the material and the typed relations between them
+const conceptGraphSchema = {
+    type: "object",
+    required: ["concepts", "relations"],
+    additionalProperties: false,
+    properties: {
+        concepts: {
+            type: "array",
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: "object",
+                required: ["name", "description"],
+                additionalProperties: false,
+                properties: {
+                    name: { type: "string" },
+                    description: { type: "string" }
+                }
+            }
+        },
+        relations: {
+            type: "array",
+            maxItems: 20,
+            items: {
+                type: "object",
+                required: ["source", "type", "target"],
+                additionalProperties: false,
+                properties: {
+                    source: { type: "string" },
+                    type: { type: "string", enum: EDGE_TYPES },
+                    target: { type: "string" }
+                }
+            }
+        }
+    }
+};
+
+// Terms one section of the material defines, each with the sentence that defines it
+const glossarySchema = {
+    type: "object",
+    required: ["terms"],
+    additionalProperties: false,
+    properties: {
+        terms: {
+            type: "array",
+            maxItems: 25,
+            items: {
+                type: "object",
+                required: ["term", "definition", "sourceQuote"],
+                additionalProperties: false,
+                properties: {
+                    term: { type: "string" },
+                    definition: { type: "string" },
+                    sourceQuote: { type: "string" }
+                }
+            }
+        }
+    }
+};
+
+// Grade of a free-text answer, one assessment per grading criterion
+const answerGradeSchema = {
+    type: "object",
+    required: ["criteria", "overallFeedback", "improvements"],
+    additionalProperties: false,
+    properties: {
+        criteria: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["criterion", "rating", "feedback"],
+                additionalProperties: false,
+                properties: {
+                    criterion: { type: "string" },
+                    rating: { type: "integer", minimum: 0, maximum: 4 },
+                    feedback: { type: "string" }
                 }
             }
+        },
+        overallFeedback: { type: "string" },
+        improvements: {
+            type: "array",
+            items: { type: "string" }
         }
     }
 };
@@ -293,15 +513,20 @@ const templateQuestionSchema = {
 const validateQuestionSet = ajv.compile(questionSetSchema);
 const validateFlashcardBatch = ajv.compile(flashcardBatchSchema);
 const validateTemplateQuestions = ajv.compile(templateQuestionSchema);
+const validateAnswerGrade = ajv.compile(answerGradeSchema);
+const validateSectionSummary = ajv.compile(sectionSummarySchema);
+const validateConceptGraph = ajv.compile(conceptGraphSchema);
+const validateGlossary = ajv.compile(glossarySchema);
+const questionFormatValidators = Object.fromEntries(Object.entries(questionFormatSchemas).map(([format, schema]) => [format, ajv.compile(schema)]));
 const validateBatchQuestions = ajv.compile(batchQuestionSchema);
 const validateSimpleFlashcards = ajv.compile(simpleFlashcardSchema);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// LLM_PROVIDER selects openai, local (OpenAI-compatible endpoint) or mock (deterministic, offline)
+const llm = createLLMProvider();
+console.log(`🤖 LLM provider: ${llm.name} (${llm.chatModel})`);
 
 let db;
 let mongoClient;
@@ -355,8 +580,16 @@ async function initializeDatabase() {
 
         // Create indexes
         await db.collection('files').createIndex({ userId: 1 });
-        await db.collection('files').createIndex({ embedding: 1 });
+        await db.collection('files').createIndex({ userId: 1, courseId: 1 });
+        await db.collection('files').createIndex({ userId: 1, contentHash: 1 });
+        await db.collection('files').createIndex({ userId: 1, textHash: 1 });
+        await db.collection('courses').createIndex({ userId: 1, parentId: 1 });
+        await db.collection('file_chunks').createIndex({ fileId: 1, chunkIndex: 1 });
+        await db.collection('file_chunks').createIndex({ userId: 1, fileId: 1 });
         await db.collection('flashcards').createIndex({ userId: 1, nextReview: 1 });
+        await db.collection('flashcards').createIndex({ userId: 1, courseId: 1, nextReview: 1 });
+        await db.collection('review_logs').createIndex({ userId: 1, cardId: 1, reviewedAt: 1 });
+        await db.collection('review_logs').createIndex({ userId: 1, reviewedAt: 1 });
         await db.collection('users').createIndex({ email: 1 }, { unique: true });
         
         // New indexes for question batching system
@@ -364,6 +597,18 @@ async function initializeDatabase() {
         await db.collection('study_sessions').createIndex({ createdAt: -1 });
         await db.collection('question_batches').createIndex({ sessionId: 1, batchNumber: 1 });
         await db.collection('question_batches').createIndex({ sessionId: 1, 'questions.status': 1 });
+        await db.collection('free_text_attempts').createIndex({ userId: 1, answeredAt: -1 });
+        await db.collection('question_quality_reports').createIndex({ createdAt: 1 });
+        await db.collection('question_quality_reports').createIndex({ sessionId: 1 });
+        await db.collection('question_quality_reports').createIndex({ userId: 1, createdAt: 1 });
+        await db.collection('section_summaries').createIndex({ fileId: 1, sectionIndex: 1 });
+        await db.collection('section_coverage').createIndex({ userId: 1, fileId: 1, sectionIndex: 1 }, { unique: true });
+        await db.collection('concept_graphs').createIndex({ userId: 1, courseId: 1 }, { unique: true });
+        await db.collection('glossary_terms').createIndex({ userId: 1, key: 1 }, { unique: true });
+        await db.collection('glossary_terms').createIndex({ userId: 1, fileIds: 1 });
+        await db.collection('study_plans').createIndex({ userId: 1, examDate: 1 });
+        await db.collection('upload_jobs').createIndex({ 'files.state': 1, createdAt: 1 });
+        await db.collection('upload_jobs').createIndex({ userId: 1, createdAt: -1 });
         
         console.log('✅ Database indexes created');
     }
@@ -398,7 +643,7 @@ app.use(cors({
         callback(null, true);
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -438,7 +683,7 @@ const corsOptions = {
         callback(null, true);
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 };
 
@@ -487,6 +732,49 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Server-Sent Events helpers for the streaming endpoints
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+    });
+
+    const controller = new AbortController();
+    const stream = {
+        closed: false,
+        // Aborted when the client disconnects, so upstream LLM streams can be cancelled
+        signal: controller.signal,
+        send(event, data) {
+            if (!stream.closed) writeEvent(res, event, data);
+        },
+        end() {
+            if (!stream.closed) {
+                stream.closed = true;
+                res.end();
+            }
+        }
+    };
+
+    // Client went away - stop writing, generation results are still saved. The response's close is
+    // the signal: the request's fires as soon as its body has been read.
+    res.on('close', () => {
+        stream.closed = true;
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    return stream;
+}
+
+// A stream whose client disconnected (or that already finished) must not be written to again
+const eventStreamOpen = res => !res.writableEnded && !res.destroyed;
+
 const storage = multer.diskStorage({
     destination: async (req, file, cb) => {
         const uploadDir = 'uploads/';
@@ -503,18 +791,169 @@ const upload = multer({
     storage,
     limits: { fileSize: 10 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /\.(pdf|txt|doc|docx|md)$/i;
+        const allowedTypes = /\.(pdf|txt|doc|docx|md|markdown|pptx|epub|html?|xhtml|png|jpe?g)$/i;
         const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
         const mimetype = allowedTypes.test(file.mimetype) || file.mimetype === 'text/plain';
 
         if (extname || mimetype) {
             return cb(null, true);
         } else {
-            cb(new Error('Only PDF, TXT, DOC, and DOCX files are allowed'));
+            cb(new Error('Only PDF, TXT, Markdown, DOC, DOCX, PPTX, EPUB, HTML, PNG and JPG files are allowed'));
         }
     }
 });
 
+// Rebuild per-page character ranges; pdf-parse joins rendered pages as `\n\n${page}`
+function buildPageOffsets(pageTexts) {
+    const pages = [];
+    let offset = 0;
+    pageTexts.forEach((pageText, idx) => {
+        offset += 2;
+        pages.push({ page: idx + 1, startOffset: offset, endOffset: offset + pageText.length });
+        offset += pageText.length;
+    });
+    return pages;
+}
+
+const hasExtension = (filePath, extensions) => extensions.includes(path.extname(filePath).toLowerCase());
+
+const isMarkdownFile = (filePath, mimeType) =>
+    mimeType === 'text/markdown' || mimeType === 'text/x-markdown' || hasExtension(filePath, ['.md', '.markdown']);
+
+const isPowerPoint = (filePath, mimeType) =>
+    mimeType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' || hasExtension(filePath, ['.pptx']);
+
+const isEpub = (filePath, mimeType) => mimeType === 'application/epub+zip' || hasExtension(filePath, ['.epub']);
+
+const isImageFile = (filePath, mimeType) =>
+    mimeType === 'image/png' || mimeType === 'image/jpeg' || hasExtension(filePath, ['.png', '.jpg', '.jpeg']);
+
+const isHtmlFile = (filePath, mimeType) =>
+    mimeType === 'text/html' || mimeType === 'application/xhtml+xml' || hasExtension(filePath, ['.html', '.htm', '.xhtml']);
+
+// Checked after isPowerPoint: the PPTX MIME type also contains "document"
+const isWordDocument = mimeType => mimeType.includes('word') || mimeType.includes('document') ||
+    mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
+    mimeType === 'application/msword';
+
+// Headings for the outline: Word heading styles (via mammoth's HTML), Markdown headings, or heading-looking lines
+async function detectDocumentHeadings(filePath, mimeType, text) {
+    if (isMarkdownFile(filePath, mimeType)) {
+        return detectMarkdownHeadings(text);
+    }
+    if (isWordDocument(mimeType)) {
+        try {
+            const result = await mammoth.convertToHtml({ path: filePath });
+            const headings = detectHtmlHeadings(result.value, text);
+            if (headings.length > 0) {
+                return headings;
+            }
+        } catch (error) {
+            console.error(`Error reading Word headings from ${filePath}:`, error.message);
+        }
+    }
+    return detectTextHeadings(text);
+}
+
+// A stored file's headings; files uploaded before headings were stored are read from their text
+function fileHeadings(file) {
+    if (file.headings) return file.headings;
+    const text = file.textContent || '';
+    return isMarkdownFile(file.filename || '', '') ? detectMarkdownHeadings(text) : detectTextHeadings(text);
+}
+
+// Extract text plus structural metadata (PDF page ranges, headings) for chunk indexing and outlines
+async function extractDocumentFromFile(filePath, mimeType) {
+    if (mimeType === 'application/pdf') {
+        try {
+            console.log(`Extracting text from file: ${filePath}, mimeType: ${mimeType}`);
+            const pageTexts = [];
+            const dataBuffer = await fs.readFile(filePath);
+            const data = await pdfParse(dataBuffer, {
+                pagerender: async (pageData) => {
+                    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                    let lastY, text = '';
+                    for (const item of textContent.items) {
+                        text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+                        lastY = item.transform[5];
+                    }
+                    pageTexts[pageData.pageIndex] = text;
+                    return text;
+                }
+            });
+
+            // Scanned pages have no text layer; their text comes from OCR instead
+            let text = data.text || '';
+            let ocr = null;
+            const scannedPages = Array.from(pageTexts, (pageText, i) => (needsOcr(pageText) ? i + 1 : null)).filter(Boolean);
+            if (scannedPages.length > 0) {
+                try {
+                    console.log(`🔍 Running OCR on ${scannedPages.length} scanned PDF pages...`);
+                    const results = await ocrPdfPages(filePath, scannedPages);
+                    results
+                        .filter(result => result.text.length > (pageTexts[result.page - 1] || '').trim().length)
+                        .forEach(result => { pageTexts[result.page - 1] = result.text; });
+                    text = Array.from(pageTexts, pageText => `\n\n${pageText || ''}`).join('');
+                    ocr = ocrSummary(results);
+                } catch (error) {
+                    // A PDF that still has some text is kept without its scanned pages
+                    console.error(`OCR failed for ${filePath}:`, error.message);
+                    if (text.trim().length === 0) {
+                        throw new Error(`PDF has no text layer and OCR failed (${error.message})`);
+                    }
+                }
+            }
+
+            if (text.trim().length === 0) {
+                throw new Error('PDF file appears to be empty or contains no extractable text');
+            }
+            console.log(`Extracted ${text.length} characters from ${pageTexts.length} PDF pages${ocr ? ` (${ocr.pages.length} by OCR)` : ''}`);
+            return { text, pages: buildPageOffsets(Array.from(pageTexts, t => t || '')), headings: detectTextHeadings(text), ocr };
+        } catch (error) {
+            console.error(`Error extracting text from ${filePath}:`, error);
+            throw new Error(`Failed to extract text from file: ${error.message}`);
+        }
+    }
+
+    // Photographed or handwritten notes
+    if (isImageFile(filePath, mimeType)) {
+        try {
+            console.log(`🔍 Running OCR on image: ${filePath}`);
+            const results = await ocrImage(filePath);
+            const text = results[0].text;
+            if (text.length === 0) {
+                throw new Error('No text could be recognised in the image');
+            }
+            console.log(`Recognised ${text.length} characters (confidence ${results[0].confidence})`);
+            return { text, pages: [{ page: 1, startOffset: 0, endOffset: text.length }], headings: detectTextHeadings(text), ocr: ocrSummary(results) };
+        } catch (error) {
+            console.error(`Error extracting text from ${filePath}:`, error);
+            throw new Error(`Failed to extract text from file: ${error.message}`);
+        }
+    }
+
+    // Slides, e-books and web pages carry their structure (slides as pages, chapters and headings) themselves
+    if (isPowerPoint(filePath, mimeType) || isEpub(filePath, mimeType) || isHtmlFile(filePath, mimeType)) {
+        try {
+            console.log(`Extracting text from file: ${filePath}, mimeType: ${mimeType}`);
+            const document = isHtmlFile(filePath, mimeType)
+                ? extractHtml(await fs.readFile(filePath, 'utf-8'))
+                : await (isPowerPoint(filePath, mimeType) ? extractPptx : extractEpub)(await fs.readFile(filePath));
+            if (document.text.trim().length === 0) {
+                throw new Error('Document appears to be empty or contains no extractable text');
+            }
+            console.log(`Extracted ${document.text.length} characters, ${document.pages.length} slides and ${document.headings.length} headings`);
+            return document;
+        } catch (error) {
+            console.error(`Error extracting text from ${filePath}:`, error);
+            throw new Error(`Failed to extract text from file: ${error.message}`);
+        }
+    }
+
+    const text = await extractTextFromFile(filePath, mimeType);
+    return { text, pages: [], headings: await detectDocumentHeadings(filePath, mimeType, text) };
+}
+
 async function extractTextFromFile(filePath, mimeType) {
     try {
         console.log(`Extracting text from file: ${filePath}, mimeType: ${mimeType}`);
@@ -527,16 +966,14 @@ async function extractTextFromFile(filePath, mimeType) {
             }
             console.log(`Extracted ${data.text.length} characters from PDF`);
             return data.text;
-        } else if (mimeType === 'text/plain') {
+        } else if (mimeType === 'text/plain' || isMarkdownFile(filePath, mimeType)) {
             const text = await fs.readFile(filePath, 'utf-8');
             if (!text || text.trim().length === 0) {
                 throw new Error('Text file is empty');
             }
             console.log(`Extracted ${text.length} characters from text file`);
             return text;
-        } else if (mimeType.includes('word') || mimeType.includes('document') ||
-                   mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-                   mimeType === 'application/msword') {
+        } else if (isWordDocument(mimeType)) {
             const result = await mammoth.extractRawText({ path: filePath });
             if (!result.value || result.value.trim().length === 0) {
                 throw new Error('Word document appears to be empty or contains no extractable text');
@@ -544,7 +981,7 @@ async function extractTextFromFile(filePath, mimeType) {
             console.log(`Extracted ${result.value.length} characters from Word document`);
             return result.value;
         } else {
-            throw new Error(`Unsupported file type: ${mimeType}. Only PDF, TXT, DOC, and DOCX files are allowed.`);
+            throw new Error(`Unsupported file type: ${mimeType}. Only PDF, TXT, Markdown, DOC, DOCX, PPTX, EPUB, HTML, PNG and JPG files are allowed.`);
         }
     } catch (error) {
         console.error(`Error extracting text from ${filePath}:`, error);
@@ -552,21 +989,6 @@ async function extractTextFromFile(filePath, mimeType) {
     }
 }
 
-async function generateEmbedding(text) {
-    try {
-        // Try OpenAI first with more accessible model
-        const response = await openai.embeddings.create({
-            model: "text-embedding-3-large", // Allowed embedding model
-            input: text.substring(0, 8000)
-        });
-        return response.data[0].embedding;
-    } catch (error) {
-        console.error('Error generating embedding:', error);
-        // Fallback to simple text hashing for basic similarity
-        return generateSimpleEmbedding(text);
-    }
-}
-
 // Simple embedding fallback using text hashing
 function generateSimpleEmbedding(text) {
     // Create a simple 1536-dimension vector based on text characteristics
@@ -585,10 +1007,137 @@ function generateSimpleEmbedding(text) {
         embedding[index] += 1 / words.length;
     }
 
-    console.log('Using fallback embedding for text analysis');
     return embedding;
 }
 
+// Marker stored alongside vectors produced by generateSimpleEmbedding
+const SIMPLE_EMBEDDING_MODEL = 'simple-hash';
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Embed many texts at once; falls back to hashing embeddings for the whole set so vectors stay comparable
+async function generateEmbeddings(texts) {
+    if (llm.embeddingModel) {
+        try {
+            const embeddings = [];
+            for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+                const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE).map(t => t.substring(0, 8000));
+                embeddings.push(...await llm.createEmbeddings(batch));
+            }
+            return { embeddings, model: llm.embeddingModel };
+        } catch (error) {
+            console.error('Error generating chunk embeddings, using fallback:', error.message);
+        }
+    }
+
+    console.log(`Using fallback embeddings for ${texts.length} chunks`);
+    return { embeddings: texts.map(t => generateSimpleEmbedding(t)), model: SIMPLE_EMBEDDING_MODEL };
+}
+
+// Split a file into overlapping chunks and store one embedding per chunk in file_chunks
+async function indexFileChunks(fileId, userId, text, pages = []) {
+    const chunks = chunkText(text, { pages });
+    if (chunks.length === 0) {
+        return 0;
+    }
+
+    const { embeddings, model } = await generateEmbeddings(chunks.map(c => c.text));
+
+    await db.collection('file_chunks').deleteMany({ fileId });
+    await db.collection('file_chunks').insertMany(chunks.map((chunk, idx) => ({
+        fileId,
+        userId,
+        ...chunk,
+        embedding: embeddings[idx],
+        embeddingModel: model,
+        createdAt: new Date()
+    })));
+
+    await db.collection('files').updateOne(
+        { _id: fileId },
+        { $set: { chunkCount: chunks.length, indexedAt: new Date() } }
+    );
+
+    console.log(`📑 Indexed ${chunks.length} chunks for file ${fileId} (${model})`);
+    return chunks.length;
+}
+
+// Files uploaded before chunk indexing existed get indexed on first search
+async function backfillFileChunks(userId) {
+    const unindexed = await db.collection('files').find({
+        userId,
+        chunkCount: { $exists: false }
+    }).project({ _id: 1, textContent: 1 }).toArray();
+
+    for (const file of unindexed) {
+        await indexFileChunks(file._id, userId, file.textContent || '');
+    }
+}
+
+// Files replaced by a newer version stay stored for the sessions and flashcards made from them,
+// but drop out of file lists, course material and search
+const CURRENT_FILES = { supersededBy: { $exists: false } };
+
+// Rank a user's chunks against a query by cosine similarity
+async function searchChunks(userId, query, options = {}) {
+    const limit = options.limit || 10;
+    await backfillFileChunks(userId);
+
+    const filter = { userId };
+    if (options.fileIds && options.fileIds.length > 0) {
+        filter.fileId = { $in: options.fileIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) };
+    } else {
+        const superseded = await db.collection('files').distinct('_id', { userId, supersededBy: { $exists: true } });
+        if (superseded.length > 0) {
+            filter.fileId = { $nin: superseded };
+        }
+    }
+
+    // Query vectors must come from the same model as the chunk vectors they are compared with
+    const queryEmbeddings = {};
+    for (const model of await db.collection('file_chunks').distinct('embeddingModel', filter)) {
+        if (model === SIMPLE_EMBEDDING_MODEL) {
+            queryEmbeddings[model] = generateSimpleEmbedding(query);
+        } else if (model === llm.embeddingModel) {
+            queryEmbeddings[model] = await llm.createEmbedding(query).catch(error => {
+                console.error(`Query embedding failed for ${model}:`, error.message);
+                return null;
+            });
+        }
+    }
+
+    const models = Object.keys(queryEmbeddings).filter(model => queryEmbeddings[model]);
+    if (models.length === 0) {
+        return [];
+    }
+
+    // Stream only the vectors and keep the best `limit`, so memory doesn't grow with the library
+    const best = [];
+    const cursor = db.collection('file_chunks').find(
+        { ...filter, embeddingModel: { $in: models } },
+        { projection: { embedding: 1, embeddingModel: 1 } }
+    );
+    for await (const chunk of cursor) {
+        const score = cosineSimilarity(queryEmbeddings[chunk.embeddingModel], chunk.embedding);
+        if (score <= 0 || (best.length === limit && score <= best[limit - 1].score)) {
+            continue;
+        }
+        best.push({ _id: chunk._id, score });
+        best.sort((a, b) => b.score - a.score);
+        best.length = Math.min(best.length, limit);
+    }
+    if (best.length === 0) {
+        return [];
+    }
+
+    const chunks = await db.collection('file_chunks')
+        .find({ _id: { $in: best.map(result => result._id) } }, { projection: { embedding: 0 } })
+        .toArray();
+    const byId = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+    return best
+        .filter(result => byId.has(result._id.toString()))
+        .map(result => ({ chunk: byId.get(result._id.toString()), score: result.score }));
+}
+
 // Request coalescing cache to prevent duplicate processing
 const inflightRequests = new Map();
 const contentCache = new Map();
@@ -635,8 +1184,7 @@ async function makeValidatedAPICall(prompt, schema, validator, type, batchName =
         const maxTokens = SCHEMA_MAX_TOKENS[type] || SCHEMA_MAX_TOKENS.default;
         
         const response = await Promise.race([
-            openai.chat.completions.create({
-                model: "gpt-4o-mini",
+            llm.createChatCompletion({
                 messages: [
                     {
                         role: "system",
@@ -664,7 +1212,7 @@ async function makeValidatedAPICall(prompt, schema, validator, type, batchName =
         ]);
 
         const endTime = Date.now();
-        console.log(`⚡ OpenAI API call for ${type}${batchName ? ' ' + batchName : ''} completed in ${endTime - startTime}ms`);
+        console.log(`⚡ LLM call for ${type}${batchName ? ' ' + batchName : ''} completed in ${endTime - startTime}ms`);
 
         const rawContent = response.choices[0].message.content;
 
@@ -690,7 +1238,7 @@ async function makeValidatedAPICall(prompt, schema, validator, type, batchName =
 
         // Track token usage with proper session tracking
         if (response.usage) {
-            trackTokenUsage(sessionId, 'gpt-4o-mini', response.usage);
+            trackTokenUsage(sessionId, llm.chatModel, response.usage);
         }
         
         console.log(`✅ Successfully generated and validated ${type}${batchName ? ' ' + batchName : ''} in ${endTime - startTime}ms`);
@@ -700,29 +1248,27 @@ async function makeValidatedAPICall(prompt, schema, validator, type, batchName =
     return await retryWithBackoff(operation, 2, 200); // Increased retries and delay for better reliability
 }
 
-// Generate batch of 20 questions at once for Keep Going feature
-async function generateQuestionBatch(text, sessionContext = null) {
-    console.log('🎯 Generating batch of 20 questions...');
+// Generate a batch of up to 20 multiple choice questions from one section, for the Keep Going feature
+async function generateQuestionBatch(text, count, sessionContext = null) {
+    console.log(`🎯 Generating batch of ${count} questions...`);
     
-    // Use context summary if available, otherwise create concise summary
-    const contextText = sessionContext?.contextSummary || text.substring(0, 1500);
     const previousTopics = sessionContext?.previousTopics || [];
     
-    const prompt = `Generate exactly 20 multiple choice questions. Keep it simple and fast.
+    const prompt = `Generate exactly ${count} multiple choice questions. Keep it simple and fast.
 
-Content: ${contextText}
+Content: ${truncateToTokenLimit(text, 1000)}
 
 ${previousTopics.length > 0 ? `Avoid these topics already covered: ${previousTopics.join(', ')}` : ''}
 
-Generate diverse questions covering different aspects.`;
+Generate diverse questions covering different aspects.
+${SOURCE_QUOTE_INSTRUCTION}`;
 
     const operation = async () => {
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini", // Fast model
+        const response = await llm.createChatCompletion({
             messages: [
                 {
                     role: "system",
-                    content: "Generate exactly 20 multiple choice questions. Each with 4 options and clear explanation."
+                    content: `Generate exactly ${count} multiple choice questions. Each with 4 options and clear explanation.`
                 },
                 { role: "user", content: prompt }
             ],
@@ -742,91 +1288,536 @@ Generate diverse questions covering different aspects.`;
         
         // Track token usage for batch generation
         if (response.usage) {
-            trackTokenUsage(sessionContext?.sessionId, 'gpt-4o-mini', response.usage);
+            trackTokenUsage(sessionContext?.sessionId, llm.chatModel, response.usage);
         }
         
-        return content.questions;
+        return content.questions.slice(0, count);
     };
 
     return await retryWithBackoff(operation, 2, 200);
 }
 
-// Generate template-based questions: 7 direct + 4 twisted 
-async function generateQuestionsBatched(text, sessionId = null) {
-    console.log('🔄 Starting optimized template-based questions generation (7 direct + 4 twisted)...');
+/**
+ * Map step of generation: call generate(sectionText, count) for each { section, count } part of a
+ * section plan in parallel and tag the items that come back with their section. A failed part is
+ * logged and skipped; the call only fails when every part does.
+ */
+async function generateFromSections(parts, label, generate) {
+    const results = await Promise.allSettled(parts.map(({ section, count }) =>
+        generate(section.text, count).then(items => items.map(item => ({ ...item, section: sectionRef(section) })))
+    ));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    for (const result of failed) {
+        console.error(`❌ ${label}: one section failed:`, result.reason.message);
+    }
+    if (parts.length > 0 && failed.length === parts.length) {
+        throw failed[0].reason;
+    }
+    return results.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+}
 
-    // Use token-aware truncation for optimal processing
-    const optimizedText = truncateToTokenLimit(text, 750); // ~750 tokens for faster processing
+// Run fn over items with at most `limit` calls in flight, keeping the results in order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
 
-    // Optimized concise prompt for direct questions
-    const directPrompt = `Generate 7 questions from key concepts in this content:
+// Sections summarised at once in the map step, and reduce rounds before giving up on merging further
+const MAP_CONCURRENCY = 4;
+const MAX_REDUCE_ROUNDS = 4;
 
-${optimizedText}
+async function summarizeText(text, label, sessionId = null) {
+    const prompt = `Summarise this part of a study document; the summaries of all its parts make up an overview of the whole document.
+Create 3 to 6 key concepts it covers, a short title naming its subject, and a summary of 2 to 3 sentences.
 
-Return JSON:
-{
-    "questions": [
-        {
-            "question": "Question text",
-            "options": ["A", "B", "C", "D"],
-            "correctAnswer": "A",
-            "explanation": "Brief explanation",
-            "difficulty": 2,
-            "topic": "Topic",
-            "type": "direct",
-            "learningObjective": "Learning goal",
-            "hints": ["Hint"],
-            "commonMistakes": ["Mistake"],
-            "timeEstimate": "2 minutes"
-        }
-    ]
-}`;
+Content: ${text}`;
+    return await makeValidatedAPICall(prompt, sectionSummarySchema, validateSectionSummary, 'section_summary', label, sessionId);
+}
 
-    // Optimized concise prompt for application questions
-    const twistedPrompt = `Generate 4 application questions using concepts from this content in new scenarios:
+// The stored summary of every section (null where there is none for the section's current text)
+async function storedSectionSummaries(sections) {
+    const stored = await db.collection('section_summaries').find({
+        $or: sections.map(section => ({ fileId: section.fileId, sectionIndex: section.sectionIndex }))
+    }).toArray();
 
-${optimizedText}
+    const summaries = new Map(stored.map(doc => [sectionKey(doc.fileId, doc.sectionIndex), doc]));
+    return sections.map(section => {
+        const doc = summaries.get(sectionKey(section.fileId, section.sectionIndex));
+        return doc && doc.startOffset === section.startOffset && doc.endOffset === section.endOffset ? doc : null;
+    });
+}
 
-Return JSON:
-{
-    "questions": [
-        {
-            "question": "Application question",
-            "options": ["A", "B", "C", "D"],
-            "correctAnswer": "A",
-            "explanation": "Brief connection to content",
-            "difficulty": 3,
-            "topic": "Application",
-            "type": "twisted",
-            "learningObjective": "Apply to new situation",
-            "hints": ["Hint"],
-            "commonMistakes": ["Mistake"],
-            "timeEstimate": "3 minutes"
+// Summary of every section (null where summarising failed). Summaries are stored per file section,
+// so each part of an upload is only summarised once.
+async function summarizeSections(sections, sessionId = null) {
+    const summaries = await storedSectionSummaries(sections);
+
+    const missing = sections.map((section, i) => ({ section, i })).filter(({ i }) => !summaries[i]);
+    if (missing.length > 0) {
+        console.log(`🗺️ Summarising ${missing.length} of ${sections.length} sections...`);
+    }
+    await mapWithConcurrency(missing, MAP_CONCURRENCY, async ({ section, i }) => {
+        try {
+            const summary = await summarizeText(section.text, `${section.filename} section ${section.sectionIndex + 1}`, sessionId);
+            const doc = {
+                fileId: section.fileId,
+                sectionIndex: section.sectionIndex,
+                startOffset: section.startOffset,
+                endOffset: section.endOffset,
+                ...summary,
+                model: llm.chatModel,
+                createdAt: new Date()
+            };
+            await db.collection('section_summaries').updateOne(
+                { fileId: section.fileId, sectionIndex: section.sectionIndex },
+                { $set: doc },
+                { upsert: true }
+            );
+            summaries[i] = doc;
+        } catch (error) {
+            console.error(`❌ Failed to summarise section ${section.sectionIndex + 1} of ${section.filename}:`, error.message);
         }
-    ]
-}`;
+    });
 
-    try {
-        // Generate direct and twisted questions in parallel with optimized timeout
-        console.log('🔄 Generating 7 direct + 4 twisted questions in parallel (optimized)...');
-        const startTime = Date.now();
-        
-        const [directResult, twistedResult] = await Promise.all([
-            makeValidatedAPICall(directPrompt, templateQuestionSchema, validateTemplateQuestions, 'template_questions', 'direct', sessionId),
-            makeValidatedAPICall(twistedPrompt, templateQuestionSchema, validateTemplateQuestions, 'template_questions', 'twisted', sessionId)
-        ]);
+    return summaries;
+}
 
-        const endTime = Date.now();
-        console.log(`⚡ Parallel generation completed in ${endTime - startTime}ms`);
+// Background summarising runs one batch at a time, so a burst of uploads doesn't flood the provider
+let sectionSummaryQueue = Promise.resolve();
 
-        // Combine into single set with template structure
-        const templateQuestions = {
-            title: "Template Practice Questions",
-            description: "7 content-focused + 4 creative application questions",
-            totalQuestions: 11,
-            contentQuestions: directResult.questions || [],
-            twistedQuestions: twistedResult.questions || [],
-            allQuestions: [...(directResult.questions || []), ...(twistedResult.questions || [])]
+// Summarise a file's sections after upload (or sections an overview found unsummarised) without anyone waiting on it
+function summarizeSectionsInBackground(sections, sessionId = null) {
+    const stored = sections.filter(section => section.fileId);
+    if (stored.length === 0) {
+        return;
+    }
+    sectionSummaryQueue = sectionSummaryQueue
+        .then(() => summarizeSections(stored, sessionId))
+        .catch(error => console.error('❌ Background section summaries failed:', error.message));
+}
+
+/**
+ * Reduce step: the whole material as its section summaries, merged group by group until the overview
+ * fits the whole-document prompts (summary, study plan, knowledge gaps). Summaries are built in the
+ * background after upload, so a section without one yet stands in as the start of its text (and is
+ * queued for summarising). Material that is a single section is used as it is.
+ */
+async function buildDocumentOverview(sections, text, sessionId = null) {
+    if (sections.length <= 1) {
+        return text;
+    }
+
+    const summaries = await storedSectionSummaries(sections);
+    const unsummarised = sections.filter((section, i) => !summaries[i]);
+    if (unsummarised.length > 0) {
+        summarizeSectionsInBackground(unsummarised, sessionId);
+    }
+
+    const blocks = sections.map((section, i) => (summaries[i] ? formatSectionSummary(summaries[i]) : truncateToTokenLimit(section.text, 150)));
+    return (await reduceSummaryBlocks(blocks, 'overview', sessionId)).join('\n\n');
+}
+
+// Merge text blocks (summaries, or raw text for long sections) group by group until they fit in OVERVIEW_MAX_CHARS
+async function reduceSummaryBlocks(blocks, label, sessionId = null) {
+    for (let round = 1; round <= MAX_REDUCE_ROUNDS && blocks.length > 0 && blocks.join('\n\n').length > OVERVIEW_MAX_CHARS; round++) {
+        const groups = groupByLength(blocks, OVERVIEW_MAX_CHARS);
+        console.log(`🗺️ Reducing ${blocks.length} blocks of ${label} into ${groups.length} (round ${round})...`);
+        blocks = await mapWithConcurrency(groups, MAP_CONCURRENCY, (group, i) =>
+            summarizeText(group.join('\n\n'), `${label} ${round}.${i + 1}`, sessionId)
+                .then(formatSectionSummary)
+                .catch(error => {
+                    console.error(`❌ Failed to merge ${label} summaries:`, error.message);
+                    return group.join('\n\n').substring(0, Math.floor(OVERVIEW_MAX_CHARS / groups.length));
+                })
+        );
+    }
+    return blocks;
+}
+
+// Sections with less text than this and no subsections get no summary of their own
+const MIN_OUTLINE_SUMMARY_CHARS = 80;
+
+// Summarise an outline bottom-up: each section from its own text plus its subsections' summaries,
+// so a chapter's summary covers all of its sections rather than its first pages
+async function summarizeOutline(outline, text, sessionId = null) {
+    for (const nodes of nodesBottomUp(outline.nodes)) {
+        await mapWithConcurrency(nodes, MAP_CONCURRENCY, async node => {
+            const intro = ownText(node, text);
+            node.summary = null;
+            node.keyConcepts = [];
+            if (node.children.length === 0 && intro.length < MIN_OUTLINE_SUMMARY_CHARS) {
+                return;
+            }
+
+            const blocks = [
+                ...chunkText(intro, { chunkSize: SECTION_SIZE, overlap: 0 }).map(chunk => chunk.text),
+                ...node.children.map(child => (child.summary ? `${child.title}: ${child.summary}` : child.title)).filter(Boolean)
+            ];
+            try {
+                const label = `outline ${node.id}`;
+                const result = await summarizeText((await reduceSummaryBlocks(blocks, label, sessionId)).join('\n\n'), label, sessionId);
+                node.title = node.title || result.title;
+                node.summary = result.summary;
+                node.keyConcepts = result.keyConcepts;
+            } catch (error) {
+                console.error(`❌ Failed to summarise outline section ${node.id}:`, error.message);
+            }
+        });
+    }
+    return outline;
+}
+
+// Material with more sections than this is read for concepts through its section summaries, a few sections per call
+const MAX_GRAPH_SECTIONS = 12;
+// Flashcard terms offered to the model so graph concepts line up with the cards they are reviewed with
+const MAX_KNOWN_CONCEPTS = 40;
+
+async function extractConcepts(text, label, knownConcepts = [], sessionId = null) {
+    const prompt = `Extract the key concepts of this content and how they relate to each other.
+Create 4 to 12 concepts, each with a short noun-phrase name and a one-sentence description, and up to 20 relations between them.
+Relation types (source -> target):
+- "is-a": the source is a kind of the target
+- "part-of": the source is a component of the target
+- "prerequisite-of": the source must be understood before the target
+- "causes": the source brings about the target
+Only relate concepts from your list, using their names exactly as listed.
+${knownConcepts.length > 0 ? `When a concept is one of these flashcard terms, use the term as its name: ${knownConcepts.join(', ')}\n` : ''}
+Content: ${text}`;
+    return await makeValidatedAPICall(prompt, conceptGraphSchema, validateConceptGraph, 'concept_graph', label, sessionId);
+}
+
+// Concepts and relations across all of the files: one extraction per section, or per group of
+// section summaries for long material, merged into one graph
+async function buildConceptGraph(files, knownConcepts, sessionId = null) {
+    const sections = planSections(files);
+    let parts = sections.map(section => ({ sections: [sectionRef(section)], text: section.text }));
+
+    if (sections.length > MAX_GRAPH_SECTIONS) {
+        const summaries = await summarizeSections(sections, sessionId);
+        const blocks = sections.map((section, i) => (summaries[i] ? formatSectionSummary(summaries[i]) : truncateToTokenLimit(section.text, 150)));
+        let next = 0;
+        parts = groupByLength(blocks, SECTION_SIZE).map(group => {
+            const covered = sections.slice(next, next + group.length);
+            next += group.length;
+            return { sections: covered.map(sectionRef), text: group.join('\n\n') };
+        });
+    }
+
+    console.log(`🕸️ Extracting concepts from ${parts.length} parts of ${files.length} files...`);
+    const extracted = await mapWithConcurrency(parts, MAP_CONCURRENCY, (part, i) =>
+        extractConcepts(part.text, `concepts ${i + 1}/${parts.length}`, knownConcepts, sessionId)
+            .then(result => ({ ...result, sections: part.sections }))
+            .catch(error => {
+                console.error(`❌ Failed to extract concepts from part ${i + 1}:`, error.message);
+                return null;
+            })
+    );
+    if (parts.length > 0 && extracted.every(part => part === null)) {
+        throw new Error('Concept extraction failed for every part of the material');
+    }
+    return mergeConceptGraphs(extracted.filter(Boolean));
+}
+
+async function extractGlossaryTerms(text, label, sessionId = null) {
+    const prompt = `List every term this content defines: a word or phrase together with the sentence that says what it means.
+For each defined term give:
+- "term": the term as the content writes it
+- "definition": one plain sentence saying what it means, faithful to the content
+- "sourceQuote": the sentence that defines the term, copied word for word from the content
+Only include terms the content actually defines, not ones it merely mentions. Return an empty list if it defines none.
+
+Content: ${text}`;
+    const result = await makeValidatedAPICall(prompt, glossarySchema, validateGlossary, 'glossary', label, sessionId);
+    return result.terms;
+}
+
+// Defined terms across the files, each grounded in its defining sentence. Sections with no wording
+// that introduces a definition are skipped; every other section is read.
+async function extractGlossary(files, sessionId = null) {
+    const sections = planSections(files).filter(section => hasDefinitionCues(section.text));
+    const grounder = fileGrounder(files);
+
+    console.log(`📖 Extracting glossary terms from ${sections.length} sections of ${files.length} files...`);
+    const extracted = await mapWithConcurrency(sections, MAP_CONCURRENCY, section =>
+        extractGlossaryTerms(section.text, `glossary ${section.filename} section ${section.sectionIndex + 1}`, sessionId)
+            // A definition whose sentence can't be found still belongs to the file it was read from
+            .then(terms => grounder.groundItems(terms).map(item => ({
+                ...item,
+                source: item.source.verified ? item.source : { ...item.source, fileId: section.fileId, filename: section.filename }
+            })))
+            .catch(error => {
+                console.error(`❌ Failed to extract glossary terms from ${section.filename} section ${section.sectionIndex + 1}:`, error.message);
+                return null;
+            })
+    );
+    if (sections.length > 0 && extracted.every(terms => terms === null)) {
+        throw new Error('Glossary extraction failed for every section');
+    }
+    return extracted.filter(Boolean).flat();
+}
+
+// Items generated so far from each section of these files (keyed by sectionKey), so new material starts elsewhere
+async function loadSectionCoverage(userId, files) {
+    if (userId === 'demo') {
+        return {};
+    }
+    const docs = await db.collection('section_coverage').find({
+        userId,
+        fileId: { $in: files.map(file => file._id.toString()) }
+    }).toArray();
+    return Object.fromEntries(docs.map(doc => [sectionKey(doc.fileId, doc.sectionIndex), (doc.questions || 0) + (doc.flashcards || 0)]));
+}
+
+// Split the files into sections and plan generation over them, least-covered sections first
+async function planMaterial(userId, files) {
+    return createSectionPlanner(planSections(files), await loadSectionCoverage(userId, files));
+}
+
+// Count generated questions or flashcards (kind) against the sections they came from
+async function recordSectionCoverage(userId, items, kind) {
+    if (userId === 'demo' || !Array.isArray(items)) {
+        return;
+    }
+
+    const counts = new Map();
+    for (const item of items) {
+        if (!item || !item.section) continue;
+        const key = sectionKey(item.section.fileId, item.section.sectionIndex);
+        counts.set(key, { ...item.section, count: (counts.has(key) ? counts.get(key).count : 0) + 1 });
+    }
+    if (counts.size === 0) {
+        return;
+    }
+
+    const now = new Date();
+    try {
+        await db.collection('section_coverage').bulkWrite([...counts.values()].map(({ fileId, sectionIndex, count }) => ({
+            updateOne: {
+                filter: { userId, fileId, sectionIndex },
+                update: { $inc: { [kind]: count }, $set: { lastCoveredAt: now } },
+                upsert: true
+            }
+        })));
+    } catch (error) {
+        console.error('Failed to record section coverage:', error.message);
+    }
+}
+
+// Pairwise similarity of question texts: embeddings when the provider has an embedding model,
+// otherwise shared content words. Returns the comparator and the threshold that marks a duplicate.
+async function questionSimilarity(texts) {
+    if (llm.embeddingModel) {
+        const { embeddings, model } = await generateEmbeddings(texts);
+        if (model === llm.embeddingModel) {
+            return { compare: (a, b) => cosineSimilarity(embeddings[a], embeddings[b]), threshold: EMBEDDING_DUPLICATE_THRESHOLD };
+        }
+    }
+    return { compare: (a, b) => lexicalSimilarity(texts[a], texts[b]), threshold: LEXICAL_DUPLICATE_THRESHOLD };
+}
+
+/**
+ * Quality gate for generated questions (see question-quality.js): repair or reject each item,
+ * drop near-duplicates of previousQuestions and of each other, and store a report for the batch
+ * under `prompt` so rejection rates can be compared per prompt. Returns the accepted questions.
+ */
+async function applyQualityGate(questions, context) {
+    const { prompt, format = DEFAULT_QUESTION_FORMAT, requested = questions.length, previousQuestions = [], sessionId = null, userId = null } = context;
+
+    const outcomes = questions.map(question => ({ text: questionText(question || {}), ...reviewQuestion(question) }));
+    const candidates = outcomes.filter(outcome => outcome.question);
+
+    if (candidates.length > 0) {
+        const previousTexts = previousQuestions.map(questionText);
+        const similarity = await questionSimilarity([...previousTexts, ...candidates.map(outcome => questionText(outcome.question))]);
+        const { duplicates } = selectDistinct(
+            candidates.length,
+            previousTexts.length,
+            (i, j) => similarity.compare(previousTexts.length + i, j),
+            similarity.threshold
+        );
+        for (const i of duplicates) {
+            candidates[i].rejections.push('near_duplicate');
+        }
+    }
+
+    const report = buildQualityReport(outcomes, requested);
+    console.log(`🔎 Quality gate ${prompt}: ${report.accepted}/${report.received} accepted, ${report.repaired} repaired${report.rejected ? `, rejected ${JSON.stringify(report.issues)}` : ''}`);
+
+    try {
+        await db.collection('question_quality_reports').insertOne({
+            prompt,
+            format,
+            ...(sessionId ? { sessionId: String(sessionId) } : {}),
+            ...(userId ? { userId } : {}),
+            model: llm.chatModel,
+            ...report,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.error('Failed to store quality report:', error.message);
+    }
+
+    return outcomes.filter(outcome => outcome.rejections.length === 0).map(outcome => outcome.question);
+}
+
+// Questions a Keep Going session already has (newest last), to keep new batches from repeating them
+const MAX_PREVIOUS_QUESTIONS = 200;
+
+async function loadSessionQuestions(sessionId) {
+    const batches = await db.collection('question_batches')
+        .find({ sessionId: new ObjectId(sessionId) })
+        .sort({ batchNumber: 1 })
+        .toArray();
+    return batches.flatMap(batch => batch.questions).slice(-MAX_PREVIOUS_QUESTIONS);
+}
+
+// Generate `count` questions in one of the additional formats (cloze, trueFalse, matching, ordering)
+async function generateFormatQuestions(format, text, count, sessionContext = {}) {
+    console.log(`🎯 Generating ${count} ${format} questions...`);
+    const prompt = buildFormatPrompt(format, count, truncateToTokenLimit(text, 1000), sessionContext.previousTopics || []);
+    const result = await makeValidatedAPICall(
+        prompt,
+        questionFormatSchemas[format],
+        questionFormatValidators[format],
+        'format_questions',
+        format,
+        sessionContext.sessionId || null
+    );
+    return result.questions.slice(0, count).map(item => toStoredQuestion(format, item));
+}
+
+// One Keep Going batch in the session's question format, drawn from the sections the user has
+// seen least of and passed through the quality gate
+async function generateSessionBatch(format, planner, sessionContext = {}) {
+    const questions = await generateFromSections(planner.allocate(FORMAT_BATCH_SIZE[format]), `keep going ${format}`, (text, count) =>
+        format === DEFAULT_QUESTION_FORMAT
+            ? generateQuestionBatch(text, count, sessionContext)
+            : generateFormatQuestions(format, text, count, sessionContext)
+    );
+
+    return await applyQualityGate(questions, {
+        prompt: `keep_going_${format}`,
+        format,
+        requested: FORMAT_BATCH_SIZE[format],
+        previousQuestions: sessionContext.previousQuestions || [],
+        sessionId: sessionContext.sessionId,
+        userId: sessionContext.userId
+    });
+}
+
+// Prompt for `count` template questions of one kind: "direct" (key concepts) or "twisted" (applied in new scenarios)
+function buildTemplateQuestionPrompt(kind, count, text) {
+    if (kind === 'twisted') {
+        return `Generate ${count} application questions using concepts from this content in new scenarios:
+
+${text}
+
+Return JSON:
+{
+    "questions": [
+        {
+            "question": "Application question",
+            "options": ["A", "B", "C", "D"],
+            "correctAnswer": "A",
+            "explanation": "Brief connection to content",
+            "difficulty": 3,
+            "topic": "Application",
+            "type": "twisted",
+            "learningObjective": "Apply to new situation",
+            "hints": ["Hint"],
+            "commonMistakes": ["Mistake"],
+            "timeEstimate": "3 minutes",
+            "sourceQuote": "Sentence from the content the scenario builds on"
+        }
+    ]
+}
+
+${SOURCE_QUOTE_INSTRUCTION}`;
+    }
+
+    return `Generate ${count} questions from key concepts in this content:
+
+${text}
+
+Return JSON:
+{
+    "questions": [
+        {
+            "question": "Question text",
+            "options": ["A", "B", "C", "D"],
+            "correctAnswer": "A",
+            "explanation": "Brief explanation",
+            "difficulty": 2,
+            "topic": "Topic",
+            "type": "direct",
+            "learningObjective": "Learning goal",
+            "hints": ["Hint"],
+            "commonMistakes": ["Mistake"],
+            "timeEstimate": "2 minutes",
+            "sourceQuote": "Sentence from the content the question tests"
+        }
+    ]
+}
+
+${SOURCE_QUOTE_INSTRUCTION}`;
+}
+
+// `count` template questions of one kind, one call per section of the part of the plan they were given
+function generateTemplateQuestions(kind, parts, sessionId = null) {
+    return generateFromSections(parts, `${kind} questions`, (text, count) =>
+        makeValidatedAPICall(
+            buildTemplateQuestionPrompt(kind, count, truncateToTokenLimit(text, 1000)),
+            templateQuestionSchema,
+            validateTemplateQuestions,
+            'template_questions',
+            kind,
+            sessionId
+        ).then(result => result.questions.slice(0, count))
+    );
+}
+
+// Generate template-based questions: 7 direct + 4 twisted, spread over the sections the planner hands out
+async function generateQuestionsBatched(planner, sessionId = null, gateContext = {}) {
+    console.log('🔄 Starting optimized template-based questions generation (7 direct + 4 twisted)...');
+
+    try {
+        // Generate direct and twisted questions in parallel with optimized timeout
+        console.log('🔄 Generating 7 direct + 4 twisted questions in parallel (optimized)...');
+        const startTime = Date.now();
+        
+        const [directQuestions, twistedGenerated] = await Promise.all([
+            generateTemplateQuestions('direct', planner.allocate(7), sessionId),
+            generateTemplateQuestions('twisted', planner.allocate(4), sessionId)
+        ]);
+
+        const endTime = Date.now();
+        console.log(`⚡ Parallel generation completed in ${endTime - startTime}ms`);
+
+        const contentQuestions = await applyQualityGate(directQuestions, { prompt: 'template_direct', requested: 7, ...gateContext });
+        const twistedQuestions = await applyQualityGate(twistedGenerated, {
+            prompt: 'template_twisted',
+            requested: 4,
+            previousQuestions: contentQuestions,
+            ...gateContext
+        });
+
+        // Combine into single set with template structure
+        const templateQuestions = {
+            title: "Template Practice Questions",
+            description: "7 content-focused + 4 creative application questions",
+            totalQuestions: contentQuestions.length + twistedQuestions.length,
+            contentQuestions,
+            twistedQuestions,
+            allQuestions: [...contentQuestions, ...twistedQuestions]
         };
 
         console.log(`✅ Generated template questions in parallel: ${templateQuestions.contentQuestions.length} direct + ${templateQuestions.twistedQuestions.length} twisted = ${templateQuestions.allQuestions.length} total`);
@@ -866,6 +1857,7 @@ Each flashcard must have ALL these elements:
 - category: Subject area classification
 - difficulty: 1-5 scale (1=basic, 5=advanced)
 - importance: 5 (all should be maximum importance)
+- sourceQuote: One sentence (at most 25 words) copied word for word from the content that defines or explains the concept
 
 Return ONLY this JSON structure:
 {
@@ -882,7 +1874,8 @@ Return ONLY this JSON structure:
             "memoryTips": "Specific study strategy for mastering this",
             "category": "Subject Area",
             "difficulty": 3,
-            "importance": 5
+            "importance": 5,
+            "sourceQuote": "Sentence copied from the content"
         }
     ]
 }`;
@@ -899,6 +1892,53 @@ Return ONLY this JSON structure:
     }
 }
 
+// Generate `count` (up to 10) simple flip cards from one section of the material
+async function generateSimpleFlashcards(text, count, sessionId = null) {
+    const prompt = `Create exactly ${count} simple flashcards. Each with:
+- Front: Critical term or concept (5-10 words)
+- Back: Clear explanation (20-40 words)
+- SourceQuote: One sentence (at most 25 words) copied word for word from the content that the card is based on
+
+Content: ${truncateToTokenLimit(text, 1000)}
+
+Focus on the most important concepts only.`;
+
+    const operation = async () => {
+        const response = await llm.createChatCompletion({
+            messages: [
+                {
+                    role: "system",
+                    content: "Create simple, clear flashcards for studying."
+                },
+                { role: "user", content: prompt }
+            ],
+            temperature: 0.3,
+            max_tokens: SCHEMA_MAX_TOKENS.simple_flashcards || 1200,
+            response_format: { 
+                type: "json_schema",
+                json_schema: {
+                    name: "flashcard_batch",
+                    strict: true,
+                    schema: simpleFlashcardSchema
+                }
+            }
+        });
+
+        const content = JSON.parse(response.choices[0].message.content);
+        return content.flashcards.slice(0, count);
+    };
+
+    const flashcards = await retryWithBackoff(operation, 2, 200);
+
+    // Track token usage for simple flashcards
+    if (sessionId) {
+        // Note: We don't have the usage data here, so we estimate
+        const estimatedTokens = estimateTokens(prompt) + 1200;
+        console.log(`💰 Estimated token usage for simple flashcards: ${estimatedTokens} tokens`);
+    }
+    return flashcards;
+}
+
 // Main function that routes to batched or regular generation
 // Cache cleanup - remove expired entries every 10 minutes
 setInterval(() => {
@@ -914,55 +1954,27 @@ async function generateStudyContent(text, type, options = {}) {
     const sessionId = options.sessionId || null;
     
     if (type === 'questions') {
-        return await generateQuestionsBatched(text, sessionId);
+        if (options.format && options.format !== DEFAULT_QUESTION_FORMAT) {
+            const generated = await generateFromSections(options.planner.allocate(FORMAT_BATCH_SIZE[options.format]), `${options.format} questions`, (sectionText, count) =>
+                generateFormatQuestions(options.format, sectionText, count, { sessionId })
+            );
+            const questions = await applyQualityGate(generated, {
+                prompt: `generate_${options.format}`,
+                format: options.format,
+                requested: FORMAT_BATCH_SIZE[options.format],
+                ...options.gateContext
+            });
+            // Ids let the client have each answer checked against the stored study session
+            return { format: options.format, questions: questions.map(q => ({ _id: new ObjectId(), ...q })) };
+        }
+        return await generateQuestionsBatched(options.planner, sessionId, options.gateContext);
     } else if (type === 'flashcards') {
-        // Generate 10 simple flashcards
+        // Generate 10 simple flashcards across the sections the planner hands out
         console.log('🔄 Generating 10 simple flashcards...');
-        
-        const prompt = `Create exactly 10 simple flashcards. Each with:
-- Front: Critical term or concept (5-10 words)
-- Back: Clear explanation (20-40 words)
-
-Content: ${text.substring(0, 2000)}
-
-Focus on the most important concepts only.`;
-
-        const operation = async () => {
-            const response = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Create simple, clear flashcards for studying."
-                    },
-                    { role: "user", content: prompt }
-                ],
-                temperature: 0.3,
-                max_tokens: SCHEMA_MAX_TOKENS.simple_flashcards || 1200,
-                response_format: { 
-                    type: "json_schema",
-                    json_schema: {
-                        name: "flashcard_batch",
-                        strict: true,
-                        schema: simpleFlashcardSchema
-                    }
-                }
-            });
-
-            const content = JSON.parse(response.choices[0].message.content);
-            return content.flashcards;
-        };
-
         try {
-            const flashcards = await retryWithBackoff(operation, 2, 200);
-            
-            // Track token usage for simple flashcards
-            if (options.sessionId) {
-                // Note: We don't have the usage data here, so we estimate
-                const estimatedTokens = estimateTokens(prompt) + 1200;
-                console.log(`💰 Estimated token usage for simple flashcards: ${estimatedTokens} tokens`);
-            }
-            
+            const flashcards = await generateFromSections(options.planner.allocate(10), 'flashcards', (sectionText, count) =>
+                generateSimpleFlashcards(sectionText, count, sessionId)
+            );
             console.log(`✅ Generated ${flashcards.length} simple flashcards`);
             return { flashcards };
         } catch (error) {
@@ -1020,11 +2032,10 @@ Focus on the most important concepts only.`;
     };
 
     try {
-        console.log(`Generating ${type} with OpenAI...`);
+        console.log(`Generating ${type} with ${llm.name} provider...`);
 
         const response = await Promise.race([
-            openai.chat.completions.create({
-                model: "gpt-4o-mini",
+            llm.createChatCompletion({
                 messages: [
                     {
                         role: "system",
@@ -1227,28 +2238,78 @@ function getFallbackContent(type) {
     return fallbacks[type] || { error: "Fallback content not available" };
 }
 
-function calculateSpacedRepetition(quality, repetitions, easeFactor, interval) {
-    if (quality < 3) {
-        repetitions = 0;
-        interval = 1;
+const SCHEDULERS = ['sm2', 'fsrs'];
+
+// User-level scheduler settings, overridden by the card's course (deck) when it sets its own
+async function getSpacedRepetitionSettings(userId, courseId = null) {
+    const defaults = { scheduler: 'sm2', requestRetention: DEFAULT_REQUEST_RETENTION, fsrsWeights: null };
+    if (userId === 'demo' || !ObjectId.isValid(userId)) {
+        return defaults;
+    }
+
+    const user = await db.collection('users').findOne(
+        { _id: new ObjectId(userId) },
+        { projection: { spacedRepetition: 1 } }
+    );
+    const settings = { ...defaults, ...(user && user.spacedRepetition) };
+
+    const course = courseId ? await db.collection('courses').findOne({ _id: courseId, userId }) : null;
+    if (course && course.scheduler) settings.scheduler = course.scheduler;
+    if (course && course.requestRetention) settings.requestRetention = course.requestRetention;
+
+    return settings;
+}
+
+// Run one review through the user's scheduler. Returns the card fields to $set and the review log entry.
+function scheduleReview(card, quality, settings, responseTimeMs = null, now = new Date()) {
+    const elapsedDays = card.lastReview ? Math.max(0, (now - new Date(card.lastReview)) / (24 * 60 * 60 * 1000)) : 0;
+    const previousInterval = card.interval || 0;
+    let update;
+
+    if (settings.scheduler === 'fsrs') {
+        const result = scheduleFsrs(card.fsrs || null, card.lastReview, quality, {
+            weights: settings.fsrsWeights || FSRS_DEFAULT_WEIGHTS,
+            requestRetention: settings.requestRetention,
+            now
+        });
+        update = {
+            repetitions: result.rating > 1 ? (card.repetitions || 0) + 1 : 0,
+            interval: result.interval,
+            easeFactor: card.easeFactor || 2.5,
+            nextReview: result.nextReview,
+            fsrs: result.fsrs
+        };
     } else {
-        if (repetitions === 0) {
-            interval = 1;
-        } else if (repetitions === 1) {
-            interval = 6;
-        } else {
-            interval = Math.round(interval * easeFactor);
-        }
-        repetitions += 1;
+        update = calculateSpacedRepetition(
+            quality,
+            card.repetitions || 0,
+            card.easeFactor || 2.5,
+            card.interval || 1
+        );
     }
 
-    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    update.scheduler = settings.scheduler;
+    update.lastReview = now;
 
     return {
-        repetitions,
-        interval,
-        easeFactor,
-        nextReview: new Date(Date.now() + interval * 24 * 60 * 60 * 1000)
+        update,
+        log: {
+            userId: card.userId,
+            cardId: card._id,
+            sessionId: card.sessionId || null,
+            courseId: card.courseId || null,
+            scheduler: settings.scheduler,
+            quality,
+            rating: qualityToRating(quality),
+            firstReview: !card.lastReview,
+            elapsedDays,
+            previousInterval,
+            interval: update.interval,
+            stability: update.fsrs ? update.fsrs.stability : null,
+            difficulty: update.fsrs ? update.fsrs.difficulty : null,
+            responseTimeMs,
+            reviewedAt: now
+        }
     };
 }
 
@@ -1429,6 +2490,19 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// Files still waiting in upload jobs count towards the free tier limit along with stored files
+async function pendingUploadCount(userId) {
+    const [result] = await db.collection('upload_jobs').aggregate([
+        { $match: { userId } },
+        { $unwind: '$files' },
+        { $match: { 'files.state': { $nin: FINISHED_STATES } } },
+        { $count: 'count' }
+    ]).toArray();
+    return result ? result.count : 0;
+}
+
+// Uploads are queued as a job and processed in the background (see runUploadWorker); the client
+// polls GET /api/uploads/:jobId. Demo uploads are not stored, so they are still extracted here.
 app.post('/api/upload', authenticateToken, upload.array('files', 20), async (req, res) => {
     try {
         await initializeDatabase();
@@ -1445,9 +2519,23 @@ app.post('/api/upload', authenticateToken, upload.array('files', 20), async (req
 
         const isProUser = userWithDefaults.subscription && userWithDefaults.subscription.status === 'active';
 
+        const course = req.body.courseId ? await findCourse(req.userId, req.body.courseId) : null;
+        if (req.body.courseId && !course && req.userId !== 'demo') {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const contentHashes = await Promise.all(req.files.map(file => fs.readFile(file.path).then(hashBytes)));
+
         if (!isProUser) {
-            const existingFiles = req.userId === 'demo' ? 0 : await db.collection('files').countDocuments({ userId: req.userId });
-            const newFileCount = req.files.length;
+            const existingFiles = req.userId === 'demo'
+                ? 0
+                // Every stored version counts, so versioning can't be used to get round the limit
+                : await db.collection('files').countDocuments({ userId: req.userId }) + await pendingUploadCount(req.userId);
+            // Exact copies of stored files (or of each other) are linked rather than stored, so they don't count
+            const storedHashes = req.userId === 'demo'
+                ? []
+                : await db.collection('files').distinct('contentHash', { userId: req.userId, contentHash: { $in: contentHashes }, ...CURRENT_FILES });
+            const newFileCount = new Set(contentHashes.filter(hash => !storedHashes.includes(hash))).size;
 
             if (existingFiles + newFileCount > 15) {
                 return res.status(400).json({
@@ -1460,99 +2548,1456 @@ app.post('/api/upload', authenticateToken, upload.array('files', 20), async (req
             }
         }
 
-        const processedFiles = [];
-
-        for (const file of req.files) {
-            const allowedExtensions = ['.pdf', '.txt', '.doc', '.docx', '.md'];
-            const fileExtension = path.extname(file.originalname).toLowerCase();
+        const allowedExtensions = ['.pdf', '.txt', '.doc', '.docx', '.md', '.markdown', '.pptx', '.epub', '.html', '.htm', '.xhtml', '.png', '.jpg', '.jpeg'];
+        const rejected = req.files.find(file => !allowedExtensions.includes(path.extname(file.originalname).toLowerCase()));
+        if (rejected) {
+            return res.status(400).json({
+                error: `File type ${path.extname(rejected.originalname).toLowerCase()} not allowed. Only PDF, TXT, Markdown, DOC, DOCX, PPTX, EPUB, HTML, PNG and JPG files are supported.`,
+                code: 'INVALID_FILE_TYPE',
+                fileName: rejected.originalname
+            });
+        }
 
-            if (!allowedExtensions.includes(fileExtension)) {
-                return res.status(400).json({
-                    error: `File type ${fileExtension} not allowed. Only PDF, TXT, DOC, DOCX, and MD files are supported.`,
-                    code: 'INVALID_FILE_TYPE',
-                    fileName: file.originalname
-                });
+        if (req.userId === 'demo') {
+            const processedFiles = [];
+            const failed = [];
+            for (const file of req.files) {
+                try {
+                    const { text, ocr } = await extractDocumentFromFile(file.path, file.mimetype);
+                    processedFiles.push({
+                        id: 'demo-file-' + Date.now(),
+                        filename: file.originalname,
+                        wordCount: text.split(/\s+/).length,
+                        textContent: text,
+                        ...(ocr ? { ocr } : {})
+                    });
+                } catch (error) {
+                    failed.push({ filename: file.originalname, error: error.message });
+                }
             }
 
-            const text = await extractTextFromFile(file.path, file.mimetype);
-            const embedding = await generateEmbedding(text);
-
-            if (req.userId === 'demo') {
-                processedFiles.push({
-                    id: 'demo-file-' + Date.now(),
-                    filename: file.originalname,
-                    wordCount: text.split(/\s+/).length,
-                    textContent: text
-                });
-            } else {
-                const fileDoc = {
-                    userId: req.userId,
-                    filename: file.originalname,
-                    path: file.path,
-                    mimeType: file.mimetype,
-                    size: file.size,
-                    textContent: text,
-                    embedding: embedding,
-                    uploadedAt: new Date(),
-                    wordCount: text.split(/\s+/).length
-                };
-
-                const result = await db.collection('files').insertOne(fileDoc);
-
-                processedFiles.push({
-                    id: result.insertedId,
-                    filename: file.originalname,
-                    wordCount: fileDoc.wordCount
-                });
-            }
+            return res.json({
+                success: true,
+                files: processedFiles,
+                failed,
+                totalWords: processedFiles.reduce((sum, f) => sum + f.wordCount, 0)
+            });
         }
 
-        res.json({
-            success: true,
-            files: processedFiles,
-            totalWords: processedFiles.reduce((sum, f) => sum + f.wordCount, 0)
-        });
+        const now = new Date();
+        const job = {
+            userId: req.userId,
+            ...(course ? { courseId: course._id } : {}),
+            // fileId is the id the file gets in the files collection once it is ready
+            files: req.files.map((file, index) => ({
+                fileId: new ObjectId(),
+                filename: file.originalname,
+                path: file.path,
+                mimeType: file.mimetype,
+                size: file.size,
+                contentHash: contentHashes[index],
+                state: 'queued',
+                attempts: 0
+            })),
+            createdAt: now,
+            updatedAt: now
+        };
+        await db.collection('upload_jobs').insertOne(job);
+        runUploadWorker();
+
+        res.status(202).json({ success: true, ...formatUploadJob(job) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get user files endpoint
-app.get('/api/files', authenticateToken, async (req, res) => {
-    try {
-        await initializeDatabase();
-        
-        if (req.userId === 'demo') {
-            // Return demo files or empty for demo users
-            res.json({ files: [] });
-            return;
-        }
-        
-        const files = await db.collection('files').find({ userId: req.userId })
-            .sort({ uploadedAt: -1 })
-            .project({ filename: 1, _id: 1, uploadedAt: 1, wordCount: 1 })
-            .toArray();
-            
-        // Convert _id to id for frontend compatibility
-        const formattedFiles = files.map(file => ({
-            id: file._id.toString(),
-            filename: file.filename,
+// Background upload processing. Jobs live in upload_jobs, so queued files survive a restart, and
+// each file is claimed atomically, so several server processes can share the queue.
+let uploadWorkerRunning = false;
+
+async function claimQueuedUpload() {
+    const claimId = crypto.randomBytes(8).toString('hex');
+    const { value: job } = await db.collection('upload_jobs').findOneAndUpdate(
+        { 'files.state': 'queued' },
+        {
+            $set: { 'files.$.state': 'extracting', 'files.$.claimId': claimId, 'files.$.claimedAt': new Date(), updatedAt: new Date() },
+            $inc: { 'files.$.attempts': 1 }
+        },
+        { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+    return job ? { job, entry: job.files.find(file => file.claimId === claimId), claimId } : null;
+}
+
+// Update a claimed file; matches nothing once the claim was given up as stale and taken by another worker
+function updateClaimedUpload(jobId, claimId, fields) {
+    const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`files.$.${key}`, value]));
+    return db.collection('upload_jobs').updateOne(
+        { _id: jobId, 'files.claimId': claimId },
+        { $set: { ...$set, updatedAt: new Date() } }
+    );
+}
+
+// Files stored before uploads were fingerprinted get their text hash and signature on the next upload
+async function backfillFileFingerprints(userId) {
+    const unhashed = await db.collection('files').find({ userId, textHash: { $exists: false }, ...CURRENT_FILES })
+        .project({ textContent: 1 }).toArray();
+    for (const file of unhashed) {
+        await db.collection('files').updateOne(
+            { _id: file._id },
+            { $set: { textHash: hashText(file.textContent), signature: textSignature(file.textContent || '') } }
+        );
+    }
+}
+
+// An exact copy of a file the user already has: the upload is linked to that file instead of stored again
+async function linkDuplicateUpload(job, entry, claimId, existing) {
+    const linked = await updateClaimedUpload(job._id, claimId, {
+        state: 'ready',
+        fileId: existing._id,
+        duplicateOf: existing._id,
+        wordCount: existing.wordCount,
+        chunkCount: existing.chunkCount || 0,
+        ...(existing.ocr ? { ocr: existing.ocr } : {}),
+        claimId: null,
+        finishedAt: new Date()
+    });
+    if (linked.matchedCount === 0) {
+        return;
+    }
+    await fs.unlink(entry.path).catch(() => {});
+    console.log(`🔗 Upload ${entry.filename} is a copy of ${existing.filename}; linked to the existing file`);
+}
+
+// Whether this worker still holds its claim on the file, i.e. it has not been requeued as stale
+async function holdsUploadClaim(jobId, claimId) {
+    return await db.collection('upload_jobs').countDocuments({ _id: jobId, 'files.claimId': claimId }, { limit: 1 }) > 0;
+}
+
+async function processClaimedUpload({ job, entry, claimId }) {
+    // Keep the claim fresh while extraction (OCR especially) and embedding run, so it isn't requeued as stale
+    const heartbeat = setInterval(() => {
+        updateClaimedUpload(job._id, claimId, { claimedAt: new Date() })
+            .catch(error => console.error('❌ Upload claim refresh failed:', error.message));
+    }, CLAIM_REFRESH_MS);
+
+    try {
+        const duplicateFields = { _id: 1, filename: 1, wordCount: 1, chunkCount: 1, ocr: 1 };
+        // The upload's own file (stored by an earlier attempt) is not a duplicate of it
+        const otherFiles = { userId: job.userId, _id: { $ne: entry.fileId }, ...CURRENT_FILES };
+        // Jobs queued before uploads were hashed have no contentHash
+        const sameBytes = entry.contentHash && await db.collection('files').findOne(
+            { ...otherFiles, contentHash: entry.contentHash },
+            { projection: duplicateFields }
+        );
+        if (sameBytes) {
+            return await linkDuplicateUpload(job, entry, claimId, sameBytes);
+        }
+
+        const { text, pages, headings, ocr } = await extractDocumentFromFile(entry.path, entry.mimeType);
+
+        // The same text in a different file (exported again, or another format) is a copy too
+        await backfillFileFingerprints(job.userId);
+        const textHash = hashText(text);
+        const sameText = await db.collection('files').findOne(
+            { ...otherFiles, textHash },
+            { projection: duplicateFields }
+        );
+        if (sameText) {
+            return await linkDuplicateUpload(job, entry, claimId, sameText);
+        }
+
+        // A near copy is stored as its own file; the client offers to make it a new version of the match
+        const signature = textSignature(text);
+        const candidates = await db.collection('files').find({ ...otherFiles, signature: { $exists: true } })
+            .project({ filename: 1, signature: 1 }).toArray();
+        const similar = findNearDuplicate(signature, candidates);
+
+        const embedding = await updateClaimedUpload(job._id, claimId, { state: 'embedding' });
+        if (embedding.matchedCount === 0) {
+            return;
+        }
+        const chunkCount = await indexFileChunks(entry.fileId, job.userId, text, pages);
+
+        // The file only appears in the library once its chunks are indexed, and only from the worker
+        // that still holds the claim. Replacing keeps a retried file from being stored twice.
+        if (!await holdsUploadClaim(job._id, claimId)) {
+            return;
+        }
+        const fileDoc = {
+            userId: job.userId,
+            filename: entry.filename,
+            path: entry.path,
+            mimeType: entry.mimeType,
+            size: entry.size,
+            textContent: text,
+            pages,
+            headings,
+            ...(ocr ? { ocr } : {}),
+            ...(job.courseId ? { courseId: job.courseId } : {}),
+            uploadedAt: job.createdAt,
+            wordCount: text.split(/\s+/).length,
+            chunkCount,
+            indexedAt: new Date(),
+            contentHash: entry.contentHash,
+            textHash,
+            signature
+        };
+        await db.collection('files').replaceOne({ _id: entry.fileId }, fileDoc, { upsert: true });
+
+        await updateClaimedUpload(job._id, claimId, {
+            state: 'ready',
+            wordCount: fileDoc.wordCount,
+            chunkCount,
+            ...(ocr ? { ocr } : {}),
+            ...(similar ? {
+                similarTo: { fileId: similar.file._id, filename: similar.file.filename, similarity: Math.round(similar.similarity * 100) / 100 }
+            } : {}),
+            claimId: null,
+            finishedAt: new Date()
+        });
+        console.log(`✅ Processed upload ${entry.filename}: ${fileDoc.wordCount} words, ${chunkCount} chunks`);
+        // Section summaries for document overviews are ready before the file is first studied
+        summarizeSectionsInBackground(planSections([{ _id: entry.fileId, filename: entry.filename, textContent: text, pages }]), job.userId);
+    } catch (error) {
+        console.error(`❌ Upload processing failed for ${entry.filename}:`, error);
+        // Another worker now owns a requeued file, chunks included
+        if (await holdsUploadClaim(job._id, claimId)) {
+            await db.collection('file_chunks').deleteMany({ fileId: entry.fileId });
+            await updateClaimedUpload(job._id, claimId, { state: 'failed', error: error.message, claimId: null, finishedAt: new Date() });
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Work through queued files one at a time; a no-op while this process is already doing so
+async function runUploadWorker() {
+    if (uploadWorkerRunning) {
+        return;
+    }
+    uploadWorkerRunning = true;
+    try {
+        await initializeDatabase();
+        let claim;
+        while ((claim = await claimQueuedUpload())) {
+            await processClaimedUpload(claim);
+        }
+    } catch (error) {
+        console.error('❌ Upload worker error:', error);
+    } finally {
+        uploadWorkerRunning = false;
+    }
+}
+
+// Files left extracting or embedding by a worker that died (a restart or crash) go back on the queue
+async function requeueStaleUploads() {
+    const staleFile = { state: { $in: ['extracting', 'embedding'] }, claimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } };
+    await db.collection('upload_jobs').updateMany(
+        { files: { $elemMatch: staleFile } },
+        { $set: { 'files.$[stale].state': 'queued', 'files.$[stale].claimId': null, updatedAt: new Date() } },
+        { arrayFilters: [{ 'stale.state': staleFile.state, 'stale.claimedAt': staleFile.claimedAt }] }
+    );
+}
+
+// Sweep the queue every minute: picks up stale files and jobs queued by other processes
+setInterval(() => {
+    if (!db) {
+        return;
+    }
+    requeueStaleUploads()
+        .then(runUploadWorker)
+        .catch(error => console.error('❌ Upload queue sweep error:', error));
+}, 60000);
+
+async function findUploadJob(userId, jobId) {
+    if (userId === 'demo' || !ObjectId.isValid(jobId)) {
+        return null;
+    }
+    return await db.collection('upload_jobs').findOne({ _id: new ObjectId(jobId), userId });
+}
+
+app.get('/api/uploads/:jobId', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const job = await findUploadJob(req.userId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Upload job not found' });
+        }
+        res.json(formatUploadJob(job));
+    } catch (error) {
+        console.error('❌ Upload job error:', error);
+        res.status(500).json({ error: 'Failed to fetch upload job' });
+    }
+});
+
+// Queue failed files again: every failed file in the job, or only the one at body.index
+app.post('/api/uploads/:jobId/retry', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const job = await findUploadJob(req.userId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Upload job not found' });
+        }
+
+        const { index } = req.body || {};
+        if (index !== undefined && !(Number.isInteger(index) && job.files[index])) {
+            return res.status(400).json({ error: 'index must be the position of a file in the job' });
+        }
+        const indexes = index === undefined
+            ? job.files.map((file, i) => i).filter(i => job.files[i].state === 'failed')
+            : [index];
+        if (indexes.length === 0 || indexes.some(i => job.files[i].state !== 'failed')) {
+            return res.status(409).json({ error: 'Only failed files can be retried' });
+        }
+
+        const result = await db.collection('upload_jobs').updateOne(
+            { _id: job._id, ...Object.fromEntries(indexes.map(i => [`files.${i}.state`, 'failed'])) },
+            {
+                $set: { ...Object.fromEntries(indexes.map(i => [`files.${i}.state`, 'queued'])), updatedAt: new Date() },
+                $unset: Object.fromEntries(indexes.flatMap(i => [[`files.${i}.error`, ''], [`files.${i}.finishedAt`, '']]))
+            }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ error: 'Only failed files can be retried' });
+        }
+        runUploadWorker();
+
+        res.json(formatUploadJob(await db.collection('upload_jobs').findOne({ _id: job._id })));
+    } catch (error) {
+        console.error('❌ Upload retry error:', error);
+        res.status(500).json({ error: 'Failed to retry upload' });
+    }
+});
+
+// Get user files endpoint
+app.get('/api/files', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        
+        if (req.userId === 'demo') {
+            // Return demo files or empty for demo users
+            res.json({ files: [] });
+            return;
+        }
+        
+        const query = { userId: req.userId, ...CURRENT_FILES };
+        if (req.query.courseId) {
+            query.courseId = courseIdParam(req.query.courseId);
+            if (query.courseId === undefined) {
+                return res.status(400).json({ error: 'Invalid courseId' });
+            }
+        }
+
+        const files = await db.collection('files').find(query)
+            .sort({ uploadedAt: -1 })
+            .project({ filename: 1, _id: 1, uploadedAt: 1, wordCount: 1, courseId: 1, version: 1, previousVersionId: 1, 'ocr.averageConfidence': 1, 'ocr.lowConfidencePages': 1 })
+            .toArray();
+            
+        // Convert _id to id for frontend compatibility
+        const formattedFiles = files.map(file => ({
+            id: file._id.toString(),
+            filename: file.filename,
             uploadedAt: file.uploadedAt,
-            wordCount: file.wordCount
+            wordCount: file.wordCount,
+            courseId: file.courseId ? file.courseId.toString() : null,
+            version: file.version || 1,
+            ...(file.previousVersionId ? { previousVersionId: file.previousVersionId.toString() } : {}),
+            ...(file.ocr ? { ocr: file.ocr } : {})
         }));
             
         res.json({ files: formattedFiles });
     } catch (error) {
-        console.error('❌ Error fetching files:', error);
-        res.status(500).json({ error: 'Failed to fetch files' });
+        console.error('❌ Error fetching files:', error);
+        res.status(500).json({ error: 'Failed to fetch files' });
+    }
+});
+
+const versionSummary = file => ({
+    id: file._id.toString(),
+    filename: file.filename,
+    version: file.version || 1,
+    uploadedAt: file.uploadedAt,
+    wordCount: file.wordCount,
+    current: !file.supersededBy
+});
+
+// Earlier versions of a file, newest first, following previousVersionId back
+app.get('/api/files/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+
+        const projection = { filename: 1, version: 1, uploadedAt: 1, wordCount: 1, supersededBy: 1, previousVersionId: 1 };
+        let file = await db.collection('files').findOne({ _id: new ObjectId(req.params.id), userId: req.userId }, { projection });
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const versions = [];
+        while (file) {
+            versions.push(versionSummary(file));
+            file = file.previousVersionId
+                ? await db.collection('files').findOne({ _id: file.previousVersionId, userId: req.userId }, { projection })
+                : null;
+        }
+        res.json({ versions });
+    } catch (error) {
+        console.error('❌ File versions error:', error);
+        res.status(500).json({ error: 'Failed to fetch file versions' });
+    }
+});
+
+// Make body.fileId the newest version of file :id after an upload was found similar to it; the two
+// must be near copies, as on upload. The new version takes over the course; the earlier one keeps
+// its sessions and flashcards.
+app.post('/api/files/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { fileId } = req.body;
+        if (!ObjectId.isValid(req.params.id) || !ObjectId.isValid(fileId)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+        if (req.params.id === fileId) {
+            return res.status(400).json({ error: 'A file cannot be a version of itself' });
+        }
+
+        const [previous, latest] = await Promise.all([req.params.id, fileId].map(id =>
+            db.collection('files').findOne({ _id: new ObjectId(id), userId: req.userId, ...CURRENT_FILES })
+        ));
+        if (!previous || !latest) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (latest.previousVersionId) {
+            return res.status(409).json({ error: 'The file is already a version of another file' });
+        }
+
+        const similarity = signatureSimilarity(
+            previous.signature || textSignature(previous.textContent || ''),
+            latest.signature || textSignature(latest.textContent || '')
+        );
+        if (similarity < NEAR_DUPLICATE_THRESHOLD) {
+            return res.status(400).json({
+                error: 'The files are too different to be versions of each other',
+                similarity: Math.round(similarity * 100) / 100
+            });
+        }
+
+        const version = (previous.version || 1) + 1;
+        await db.collection('files').updateOne(
+            { _id: latest._id },
+            {
+                $set: {
+                    previousVersionId: previous._id,
+                    version,
+                    ...(previous.courseId ? { courseId: previous.courseId } : {})
+                }
+            }
+        );
+        await db.collection('files').updateOne(
+            { _id: previous._id },
+            { $set: { supersededBy: latest._id, supersededAt: new Date() } }
+        );
+
+        res.json({ success: true, file: versionSummary({ ...latest, version }) });
+    } catch (error) {
+        console.error('❌ File version error:', error);
+        res.status(500).json({ error: 'Failed to record the new version' });
+    }
+});
+
+// Courses organise files, generated sessions and flashcards. A course may sit inside another
+// (parentId), so folders, courses and decks are all the same kind of node.
+async function findCourse(userId, courseId) {
+    if (userId === 'demo' || !courseId || !ObjectId.isValid(courseId)) {
+        return null;
+    }
+    return await db.collection('courses').findOne({ _id: new ObjectId(courseId), userId });
+}
+
+// Validate the editable course fields, looking up the new parent if there is one. Returns { fields } or { error }.
+async function validateCourseFields(userId, body, courseId = null) {
+    const { fields, error } = validateCourseSettings(body, SCHEDULERS);
+    if (error) {
+        return { error };
+    }
+
+    if (body.parentId !== undefined) {
+        if (body.parentId === null) {
+            fields.parentId = null;
+        } else {
+            const parent = await findCourse(userId, body.parentId);
+            if (!parent) {
+                return { error: 'Parent course not found' };
+            }
+            // Walk up from the new parent to make sure we aren't nesting a course inside itself
+            for (let node = parent; node; node = node.parentId ? await db.collection('courses').findOne({ _id: node.parentId, userId }) : null) {
+                if (courseId && node._id.equals(courseId)) {
+                    return { error: 'A course cannot be moved inside itself' };
+                }
+            }
+            fields.parentId = parent._id;
+        }
+    }
+
+    return { fields };
+}
+
+app.get('/api/courses', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+
+        if (req.userId === 'demo') {
+            return res.json({ courses: [] });
+        }
+
+        const courses = await db.collection('courses').find({ userId: req.userId }).sort({ name: 1 }).toArray();
+        const now = new Date();
+
+        const formatted = await Promise.all(courses.map(async course => ({
+            id: course._id.toString(),
+            name: course.name,
+            description: course.description || '',
+            parentId: course.parentId ? course.parentId.toString() : null,
+            scheduler: course.scheduler || null,
+            requestRetention: course.requestRetention || null,
+            createdAt: course.createdAt,
+            fileCount: await db.collection('files').countDocuments({ userId: req.userId, courseId: course._id, ...CURRENT_FILES }),
+            sessionCount: await db.collection('studySessions').countDocuments({ userId: req.userId, courseId: course._id }),
+            cardCount: await db.collection('flashcards').countDocuments({ userId: req.userId, courseId: course._id }),
+            dueCount: await db.collection('flashcards').countDocuments({ userId: req.userId, courseId: course._id, nextReview: { $lte: now } })
+        })));
+
+        res.json({ courses: formatted });
+    } catch (error) {
+        console.error('❌ Error fetching courses:', error);
+        res.status(500).json({ error: 'Failed to fetch courses' });
+    }
+});
+
+app.post('/api/courses', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to create courses' });
+        }
+        if (!req.body.name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        const { fields, error } = await validateCourseFields(req.userId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const course = {
+            userId: req.userId,
+            name: fields.name,
+            description: fields.description || '',
+            parentId: fields.parentId || null,
+            scheduler: fields.scheduler || null,
+            requestRetention: fields.requestRetention || null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('courses').insertOne(course);
+        res.status(201).json({ id: result.insertedId, ...course });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/courses/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const [children, files, sessions, cardCount] = await Promise.all([
+            db.collection('courses').find({ userId: req.userId, parentId: course._id }).project({ name: 1 }).toArray(),
+            db.collection('files').find({ userId: req.userId, courseId: course._id, ...CURRENT_FILES })
+                .project({ filename: 1, uploadedAt: 1, wordCount: 1 }).sort({ uploadedAt: -1 }).toArray(),
+            db.collection('studySessions').find({ userId: req.userId, courseId: course._id })
+                .project({ mode: 1, fileIds: 1, createdAt: 1 }).sort({ createdAt: -1 }).toArray(),
+            db.collection('flashcards').countDocuments({ userId: req.userId, courseId: course._id })
+        ]);
+
+        res.json({
+            id: course._id,
+            name: course.name,
+            description: course.description || '',
+            parentId: course.parentId || null,
+            scheduler: course.scheduler || null,
+            requestRetention: course.requestRetention || null,
+            createdAt: course.createdAt,
+            children: children.map(child => ({ id: child._id, name: child.name })),
+            files: files.map(file => ({ id: file._id, filename: file.filename, uploadedAt: file.uploadedAt, wordCount: file.wordCount })),
+            sessions: sessions.map(session => ({ id: session._id, mode: session.mode, fileIds: session.fileIds, createdAt: session.createdAt })),
+            cardCount
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/courses/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const { fields, error } = await validateCourseFields(req.userId, req.body, course._id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.collection('courses').updateOne(
+            { _id: course._id },
+            { $set: { ...fields, updatedAt: new Date() } }
+        );
+
+        res.json({ id: course._id, ...course, ...fields });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Deleting a course keeps its material: sub-courses move up a level and items become unassigned
+app.delete('/api/courses/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        await db.collection('courses').updateMany(
+            { userId: req.userId, parentId: course._id },
+            { $set: { parentId: course.parentId || null } }
+        );
+        for (const collection of ['files', 'studySessions', 'flashcards']) {
+            await db.collection(collection).updateMany(
+                { userId: req.userId, courseId: course._id },
+                { $unset: { courseId: '' } }
+            );
+        }
+        await db.collection('review_logs').updateMany(
+            { userId: req.userId, courseId: course._id },
+            { $set: { courseId: null } }
+        );
+        // A concept graph only means something for its course
+        await db.collection('concept_graphs').deleteMany({ userId: req.userId, courseId: course._id });
+        // Plans keep their files and dates; only the course link goes
+        await db.collection('study_plans').updateMany(
+            { userId: req.userId, courseId: course._id },
+            { $set: { courseId: null } }
+        );
+        await db.collection('courses').deleteOne({ _id: course._id });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add files, sessions and individual cards to a course, or take them out of it (assign = false).
+// Cards generated in a listed session follow that session.
+async function assignCourseItems(userId, course, body, assign) {
+    const update = assign ? { $set: { courseId: course._id } } : { $unset: { courseId: '' } };
+    const scope = assign ? { userId } : { userId, courseId: course._id };
+    const fileIds = toObjectIds(body.fileIds);
+    const sessionIds = toObjectIds(body.sessionIds);
+    const cardIds = toObjectIds(body.cardIds);
+
+    const files = fileIds.length > 0
+        ? await db.collection('files').updateMany({ _id: { $in: fileIds }, ...scope }, update)
+        : { modifiedCount: 0 };
+    const sessions = sessionIds.length > 0
+        ? await db.collection('studySessions').updateMany({ _id: { $in: sessionIds }, ...scope }, update)
+        : { modifiedCount: 0 };
+    let cards = { modifiedCount: 0 };
+    if (sessionIds.length > 0 || cardIds.length > 0) {
+        const cardFilter = { ...scope, $or: [{ _id: { $in: cardIds } }, { sessionId: { $in: sessionIds } }] };
+        const movedCards = await db.collection('flashcards').find(cardFilter, { projection: { _id: 1 } }).toArray();
+        cards = await db.collection('flashcards').updateMany(cardFilter, update);
+
+        // Review history follows the card so per-course analytics stay consistent
+        await db.collection('review_logs').updateMany(
+            { userId, cardId: { $in: movedCards.map(card => card._id) } },
+            { $set: { courseId: assign ? course._id : null } }
+        );
+    }
+
+    return { files: files.modifiedCount, sessions: sessions.modifiedCount, cards: cards.modifiedCount };
+}
+
+app.put('/api/courses/:id/items', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        res.json({ assigned: await assignCourseItems(req.userId, course, req.body, true) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/courses/:id/items', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        res.json({ removed: await assignCourseItems(req.userId, course, req.body, false) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Concept graph of a course's files. Building it takes one model call per section of the material,
+// so it is built on request and stored; GET serves the stored graph as JSON or Graphviz DOT.
+app.post('/api/courses/:id/concept-graph', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const [files, cards] = await Promise.all([
+            db.collection('files').find({ userId: req.userId, courseId: course._id, ...CURRENT_FILES }).toArray(),
+            db.collection('flashcards').find({ userId: req.userId, courseId: course._id }, { projection: { term: 1, front: 1 } }).toArray()
+        ]);
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'The course has no files to build a concept graph from' });
+        }
+
+        const knownConcepts = [...new Set(cards.map(card => card.term || card.front).filter(Boolean))].slice(0, MAX_KNOWN_CONCEPTS);
+        const graph = await buildConceptGraph(files, knownConcepts, req.userId);
+        const doc = {
+            userId: req.userId,
+            courseId: course._id,
+            fileIds: files.map(file => file._id.toString()),
+            ...graph,
+            createdAt: new Date()
+        };
+        await db.collection('concept_graphs').updateOne(
+            { userId: req.userId, courseId: course._id },
+            { $set: doc },
+            { upsert: true }
+        );
+
+        console.log(`🕸️ Concept graph for course ${course._id}: ${graph.nodes.length} concepts, ${graph.edges.length} relations`);
+        res.json({ courseId: course._id, fileIds: doc.fileIds, nodes: graph.nodes, edges: graph.edges, createdAt: doc.createdAt });
+    } catch (error) {
+        console.error('❌ Concept graph error:', error);
+        res.status(500).json({ error: 'Failed to build concept graph' });
+    }
+});
+
+app.get('/api/courses/:id/concept-graph', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const graph = await db.collection('concept_graphs').findOne({ userId: req.userId, courseId: course._id });
+        if (!graph) {
+            return res.status(404).json({ error: 'No concept graph has been built for this course yet' });
+        }
+
+        if (req.query.format === 'dot') {
+            return res.type('text/vnd.graphviz').send(toDot(graph, course.name));
+        }
+        res.json({ courseId: course._id, fileIds: graph.fileIds, nodes: graph.nodes, edges: graph.edges, createdAt: graph.createdAt });
+    } catch (error) {
+        console.error('❌ Concept graph error:', error);
+        res.status(500).json({ error: 'Failed to load concept graph' });
+    }
+});
+
+// Concepts of the course's graph to review next: weak concepts that many others build on first,
+// with the flashcards that cover each one
+app.get('/api/courses/:id/concept-graph/recommendations', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const course = await findCourse(req.userId, req.params.id);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const graph = await db.collection('concept_graphs').findOne({ userId: req.userId, courseId: course._id });
+        if (!graph) {
+            return res.status(404).json({ error: 'No concept graph has been built for this course yet' });
+        }
+
+        const [results, cards] = await Promise.all([
+            db.collection('testResults').find({ userId: req.userId, courseId: course._id }, { projection: { correct: 1, topic: 1 } }).toArray(),
+            db.collection('flashcards').find(
+                { userId: req.userId, courseId: course._id },
+                { projection: { term: 1, front: 1, repetitions: 1, interval: 1, fsrs: 1, lastReview: 1 } }
+            ).toArray()
+        ]);
+
+        const mastery = buildMasteryIndex(computeConceptMastery(cards).concepts, computeTopicAccuracy(results));
+        const cardIds = new Map();
+        for (const card of cards) {
+            const key = conceptKey(card.term || card.front);
+            if (!cardIds.has(key)) cardIds.set(key, []);
+            cardIds.get(key).push(card._id);
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        res.json({
+            recommendations: rankReviewPriorities(graph, mastery)
+                .slice(0, limit)
+                .map(item => ({ ...item, cardIds: cardIds.get(item.id) || [] }))
+        });
+    } catch (error) {
+        console.error('❌ Concept recommendations error:', error);
+        res.status(500).json({ error: 'Failed to load recommendations' });
+    }
+});
+
+// Extract the terms defined in the given files (fileIds or courseId; every file by default) and merge
+// them into the user's glossary, replacing what was previously extracted from those files
+app.post('/api/glossary/build', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to build a glossary from your files' });
+        }
+
+        let fileIds = null;
+        if (req.body.fileIds || req.body.courseId) {
+            const scope = await resolveGenerationScope(req.userId, req.body);
+            if (scope.error) {
+                return res.status(scope.status).json({ error: scope.error });
+            }
+            fileIds = scope.fileIds;
+        }
+
+        const files = fileIds
+            ? await loadGenerationFiles(req.userId, fileIds)
+            : await db.collection('files').find({ userId: req.userId, ...CURRENT_FILES }).toArray();
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'No files to build a glossary from' });
+        }
+
+        const extracted = await extractGlossary(files, req.userId);
+        const existing = await db.collection('glossary_terms').find({ userId: req.userId }).toArray();
+        const { entries, removed } = mergeGlossary(existing, extracted, files.map(file => file._id.toString()));
+
+        const now = new Date();
+        const operations = entries.map(({ _id, createdAt, ...entry }) => ({
+            updateOne: {
+                filter: { userId: req.userId, key: entry.key },
+                update: { $set: { ...entry, userId: req.userId, updatedAt: now }, $setOnInsert: { createdAt: now } },
+                upsert: true
+            }
+        }));
+        if (removed.length > 0) {
+            operations.push({ deleteMany: { filter: { userId: req.userId, key: { $in: removed } } } });
+        }
+        if (operations.length > 0) {
+            await db.collection('glossary_terms').bulkWrite(operations);
+        }
+
+        const existingKeys = new Set(existing.map(entry => entry.key));
+        res.json({
+            files: files.length,
+            extracted: extracted.length,
+            terms: entries.length,
+            added: entries.filter(entry => !existingKeys.has(entry.key)).length,
+            removed: removed.length
+        });
+    } catch (error) {
+        console.error('❌ Glossary build error:', error);
+        res.status(500).json({ error: 'Failed to build glossary' });
+    }
+});
+
+// The user's glossary in alphabetical order: ?q= searches terms, other spellings and definitions;
+// ?courseId= keeps the terms defined in that course's files
+app.get('/api/glossary', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.userId === 'demo') {
+            return res.json({ terms: [], total: 0 });
+        }
+
+        const query = { userId: req.userId };
+        if (req.query.q && String(req.query.q).trim()) {
+            Object.assign(query, glossarySearchFilter(req.query.q));
+        }
+        if (req.query.courseId) {
+            const course = await findCourse(req.userId, req.query.courseId);
+            if (!course) {
+                return res.status(404).json({ error: 'Course not found' });
+            }
+            const courseFiles = await db.collection('files').find({ userId: req.userId, courseId: course._id, ...CURRENT_FILES }, { projection: { _id: 1 } }).toArray();
+            query.fileIds = { $in: courseFiles.map(file => file._id.toString()) };
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const [terms, total] = await Promise.all([
+            db.collection('glossary_terms').find(query).sort({ key: 1 }).skip(offset).limit(limit).toArray(),
+            db.collection('glossary_terms').countDocuments(query)
+        ]);
+
+        res.json({ terms, total });
+    } catch (error) {
+        console.error('❌ Glossary error:', error);
+        res.status(500).json({ error: 'Failed to load glossary' });
+    }
+});
+
+// Turn glossary terms into flashcards: the listed termIds, or every term that has no card yet
+// (optionally only those defined in courseId's files, whose cards go into that course)
+app.post('/api/glossary/flashcards', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to make flashcards from your glossary' });
+        }
+
+        const query = { userId: req.userId };
+        let course = null;
+        if (Array.isArray(req.body.termIds) && req.body.termIds.length > 0) {
+            query._id = { $in: toObjectIds(req.body.termIds) };
+        } else {
+            query.flashcardId = { $exists: false };
+        }
+        if (req.body.courseId) {
+            course = await findCourse(req.userId, req.body.courseId);
+            if (!course) {
+                return res.status(404).json({ error: 'Course not found' });
+            }
+            const courseFiles = await db.collection('files').find({ userId: req.userId, courseId: course._id, ...CURRENT_FILES }, { projection: { _id: 1 } }).toArray();
+            query.fileIds = { $in: courseFiles.map(file => file._id.toString()) };
+        }
+
+        const entries = await db.collection('glossary_terms').find(query).sort({ key: 1 }).toArray();
+        if (entries.length === 0) {
+            return res.json({ created: 0, flashcards: [] });
+        }
+
+        const flashcards = await persistFlashcards(req.userId, {
+            fileIds: [...new Set(entries.flatMap(entry => entry.fileIds || []))],
+            sessionId: null,
+            courseId: course ? course._id : null
+        }, entries.map(glossaryFlashcard));
+
+        await db.collection('glossary_terms').bulkWrite(flashcards.map(card => ({
+            updateOne: { filter: { _id: card.glossaryTermId }, update: { $set: { flashcardId: card._id } } }
+        })));
+
+        console.log(`📖 Made ${flashcards.length} flashcards from glossary terms`);
+        res.json({ created: flashcards.length, flashcards });
+    } catch (error) {
+        console.error('❌ Glossary flashcards error:', error);
+        res.status(500).json({ error: 'Failed to create flashcards from glossary' });
+    }
+});
+
+// Study plans: topics of the given files scheduled onto the days up to an exam within a daily time budget,
+// with spaced reviews and mock exams. Missed days are spread over the days left whenever the plan is read.
+const DAILY_MINUTES_LIMITS = { min: 15, max: 720 };
+const MAX_PLAN_DAYS = 365;
+
+// examDate (YYYY-MM-DD, after today and within MAX_PLAN_DAYS) and dailyMinutes, or an error message
+function validatePlanSettings({ examDate, dailyMinutes }, today) {
+    if (examDate !== undefined) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(examDate)) || isNaN(Date.parse(examDate))) {
+            return 'examDate must be a date (YYYY-MM-DD)';
+        }
+        if (examDate <= today || examDate > addDays(today, MAX_PLAN_DAYS)) {
+            return `examDate must be between tomorrow and ${MAX_PLAN_DAYS} days from now`;
+        }
+    }
+    if (dailyMinutes !== undefined &&
+        (!Number.isInteger(dailyMinutes) || dailyMinutes < DAILY_MINUTES_LIMITS.min || dailyMinutes > DAILY_MINUTES_LIMITS.max)) {
+        return `dailyMinutes must be a whole number from ${DAILY_MINUTES_LIMITS.min} to ${DAILY_MINUTES_LIMITS.max}`;
+    }
+    return null;
+}
+
+// Topics to study in each file, from its outline (the stored one, or one built from its headings)
+function planTopics(files, dailyMinutes) {
+    return files.flatMap(file => {
+        const text = file.textContent || '';
+        const outline = file.outline || buildOutline(text, fileHeadings(file), file.pages || []);
+        return topicsFromOutline({ fileId: file._id.toString(), filename: file.filename }, outline.nodes, text, dailyMinutes);
+    });
+}
+
+// A plan as the client sees it, with its progress. Work left undone on past days is first rebalanced
+// over the days left and the plan saved.
+async function currentStudyPlan(plan) {
+    const today = toDateString(new Date());
+    if (today < plan.examDate && missedItems(plan, today).length > 0) {
+        const { days, unscheduled } = rebalanceStudyPlan(plan, { today });
+        const rebalancedAt = new Date();
+        await db.collection('study_plans').updateOne({ _id: plan._id }, { $set: { days, unscheduled, rebalancedAt } });
+        plan = { ...plan, days, unscheduled, rebalancedAt };
+        console.log(`📅 Rebalanced study plan ${plan._id} from ${today}`);
+    }
+    // The feed token is only handed out when the feed URL is created
+    const { feedToken, ...visible } = plan;
+    return { ...visible, calendarFeed: Boolean(feedToken), today, progress: planProgress(plan, today) };
+}
+
+async function findStudyPlan(userId, planId) {
+    if (userId === 'demo' || !ObjectId.isValid(planId)) {
+        return null;
+    }
+    return await db.collection('study_plans').findOne({ _id: new ObjectId(planId), userId });
+}
+
+// Create a plan for fileIds or a course's files: { examDate, dailyMinutes, title? }
+app.post('/api/study-plans', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to create study plans' });
+        }
+
+        const { examDate, dailyMinutes, title } = req.body;
+        const today = toDateString(new Date());
+        if (examDate === undefined || dailyMinutes === undefined) {
+            return res.status(400).json({ error: 'examDate and dailyMinutes are required' });
+        }
+        const settingsError = validatePlanSettings({ examDate, dailyMinutes }, today);
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+
+        const scope = await resolveGenerationScope(req.userId, req.body);
+        if (scope.error) {
+            return res.status(scope.status).json({ error: scope.error });
+        }
+        const files = await loadGenerationFiles(req.userId, scope.fileIds);
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'No files found' });
+        }
+
+        const topics = planTopics(files, dailyMinutes);
+        if (topics.length === 0) {
+            return res.status(400).json({ error: 'The files have no text to plan from' });
+        }
+
+        const { days, unscheduled } = buildStudyPlan({ topics, startDate: today, examDate, dailyMinutes });
+        const now = new Date();
+        const plan = {
+            userId: req.userId,
+            title: (title && String(title).trim()) || (scope.course ? scope.course.name : files.map(file => file.filename).join(', ')),
+            courseId: scope.course ? scope.course._id : null,
+            fileIds: files.map(file => file._id.toString()),
+            examDate,
+            dailyMinutes,
+            startDate: today,
+            topics,
+            days,
+            unscheduled,
+            createdAt: now,
+            updatedAt: now
+        };
+        const result = await db.collection('study_plans').insertOne(plan);
+
+        console.log(`📅 Planned ${topics.length} topics over ${days.length} days until ${examDate}`);
+        res.status(201).json(await currentStudyPlan({ _id: result.insertedId, ...plan }));
+    } catch (error) {
+        console.error('❌ Study plan creation error:', error);
+        res.status(500).json({ error: 'Failed to create study plan' });
+    }
+});
+
+// The user's plans, soonest exam first, without their days
+app.get('/api/study-plans', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.userId === 'demo') {
+            return res.json({ plans: [] });
+        }
+
+        const plans = await db.collection('study_plans').find({ userId: req.userId }).sort({ examDate: 1 }).toArray();
+        const current = await Promise.all(plans.map(currentStudyPlan));
+        res.json({
+            plans: current.map(({ days, topics, unscheduled, ...plan }) => plan)
+        });
+    } catch (error) {
+        console.error('❌ Study plans error:', error);
+        res.status(500).json({ error: 'Failed to load study plans' });
+    }
+});
+
+app.get('/api/study-plans/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        res.json(await currentStudyPlan(plan));
+    } catch (error) {
+        console.error('❌ Study plan error:', error);
+        res.status(500).json({ error: 'Failed to load study plan' });
+    }
+});
+
+// Change a plan's title, exam date or daily budget; a new date or budget reschedules the work left from today
+app.patch('/api/study-plans/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const { examDate, dailyMinutes, title } = req.body;
+        const today = toDateString(new Date());
+        const settingsError = validatePlanSettings({ examDate, dailyMinutes }, today);
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+
+        const update = { updatedAt: new Date() };
+        if (title !== undefined && String(title).trim()) {
+            update.title = String(title).trim();
+        }
+        if (examDate !== undefined || dailyMinutes !== undefined) {
+            Object.assign(update, {
+                examDate: examDate || plan.examDate,
+                dailyMinutes: dailyMinutes || plan.dailyMinutes,
+                ...rebalanceStudyPlan(plan, { today, examDate, dailyMinutes }),
+                rebalancedAt: update.updatedAt
+            });
+        }
+
+        await db.collection('study_plans').updateOne({ _id: plan._id }, { $set: update });
+        res.json(await currentStudyPlan({ ...plan, ...update }));
+    } catch (error) {
+        console.error('❌ Study plan update error:', error);
+        res.status(500).json({ error: 'Failed to update study plan' });
+    }
+});
+
+// Mark one item of a plan done, skipped, or pending again: { status }
+app.patch('/api/study-plans/:id/items/:itemId', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { status } = req.body;
+        if (!['done', 'skipped', 'pending'].includes(status)) {
+            return res.status(400).json({ error: 'status must be done, skipped or pending' });
+        }
+
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const item = plan.days.flatMap(day => day.items).find(candidate => candidate.id === req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Plan item not found' });
+        }
+        item.status = status;
+        if (status === 'pending') {
+            delete item.completedAt;
+        } else {
+            item.completedAt = new Date();
+        }
+
+        plan.updatedAt = new Date();
+        await db.collection('study_plans').updateOne({ _id: plan._id }, { $set: { days: plan.days, updatedAt: plan.updatedAt } });
+        res.json(await currentStudyPlan(plan));
+    } catch (error) {
+        console.error('❌ Study plan item error:', error);
+        res.status(500).json({ error: 'Failed to update plan item' });
+    }
+});
+
+// Calendar apps can't send the Authorization header, so a plan's .ics feed is protected by a secret token
+// in its URL instead. Creating the feed URL again replaces the token, which cuts off the old URL.
+app.post('/api/study-plans/:id/calendar', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const feedToken = crypto.randomBytes(24).toString('hex');
+        await db.collection('study_plans').updateOne({ _id: plan._id }, { $set: { feedToken } });
+        res.json({ url: `${req.protocol}://${req.get('host')}/api/study-plans/${plan._id}/calendar.ics?token=${feedToken}` });
+    } catch (error) {
+        console.error('❌ Calendar feed token error:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+app.delete('/api/study-plans/:id/calendar', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        await db.collection('study_plans').updateOne({ _id: plan._id }, { $unset: { feedToken: '' } });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Calendar feed revoke error:', error);
+        res.status(500).json({ error: 'Failed to turn off calendar feed' });
+    }
+});
+
+// Digests are always the same length, so timingSafeEqual can't throw on multi-byte input
+const feedTokenDigest = token => crypto.createHash('sha256').update(token).digest();
+const feedTokenMatches = (expected, given) => typeof given === 'string' &&
+    crypto.timingSafeEqual(feedTokenDigest(given), feedTokenDigest(expected));
+
+// The plan as an iCalendar feed, built on every request so it follows rebalancing and the flashcards coming due
+app.get('/api/study-plans/:id/calendar.ics', async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = ObjectId.isValid(req.params.id)
+            ? await db.collection('study_plans').findOne({ _id: new ObjectId(req.params.id) })
+            : null;
+        if (!plan || !plan.feedToken || !feedTokenMatches(plan.feedToken, req.query.token)) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const current = await currentStudyPlan(plan);
+        const cards = await db.collection('flashcards').find(
+            { userId: plan.userId, ...(plan.courseId ? { courseId: plan.courseId } : {}) },
+            { projection: { nextReview: 1 } }
+        ).toArray();
+        const forecast = forecastReviewLoad(cards, Math.max(1, current.progress.daysLeft));
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'no-cache');
+        res.send(buildPlanCalendar(current, Object.fromEntries(forecast.days.map(day => [day.date, day.due]))));
+    } catch (error) {
+        console.error('❌ Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+app.delete('/api/study-plans/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const plan = await findStudyPlan(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        await db.collection('study_plans').deleteOne({ _id: plan._id });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Study plan delete error:', error);
+        res.status(500).json({ error: 'Failed to delete study plan' });
+    }
+});
+
+// Semantic search across the user's document chunks
+app.get('/api/search', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        // A repeated parameter arrives as an array
+        const { q = '', fileIds: fileIdsParam = '' } = req.query;
+        if (typeof q !== 'string' || typeof fileIdsParam !== 'string') {
+            return res.status(400).json({ error: 'q and fileIds must each be given once' });
+        }
+        const query = q.trim();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const fileIds = fileIdsParam ? fileIdsParam.split(',') : [];
+
+        if (!query) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        if (req.userId === 'demo') {
+            return res.json({ query, results: [] });
+        }
+
+        const matches = await searchChunks(req.userId, query, { limit, fileIds });
+
+        const files = await db.collection('files').find({
+            _id: { $in: [...new Set(matches.map(m => m.chunk.fileId.toString()))].map(id => new ObjectId(id)) }
+        }).project({ filename: 1 }).toArray();
+        const filenames = new Map(files.map(f => [f._id.toString(), f.filename]));
+
+        res.json({
+            query,
+            results: matches.map(({ chunk, score }) => ({
+                fileId: chunk.fileId.toString(),
+                filename: filenames.get(chunk.fileId.toString()) || null,
+                chunkIndex: chunk.chunkIndex,
+                page: chunk.page,
+                startOffset: chunk.startOffset,
+                endOffset: chunk.endOffset,
+                score: Math.round(score * 10000) / 10000,
+                snippet: chunk.text.substring(0, 300)
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+// Passage of a file around a character range, used to open citations in the document
+app.get('/api/files/:id/passage', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+
+        const file = await db.collection('files').findOne(
+            { _id: new ObjectId(id), userId: req.userId },
+            { projection: { filename: 1, textContent: 1, pages: 1 } }
+        );
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const text = file.textContent || '';
+        const start = Math.max(0, Math.min(parseInt(req.query.start) || 0, text.length));
+        const end = Math.max(start, Math.min(parseInt(req.query.end) || start, text.length));
+        const contextChars = 400;
+        const passageStart = Math.max(0, start - contextChars);
+        const passageEnd = Math.min(text.length, end + contextChars);
+
+        res.json({
+            fileId: id,
+            filename: file.filename,
+            page: pageForOffset(file.pages, start),
+            passageStart,
+            passageEnd,
+            before: text.substring(passageStart, start),
+            highlight: text.substring(start, end),
+            after: text.substring(end, passageEnd)
+        });
+    } catch (error) {
+        console.error('❌ Passage error:', error);
+        res.status(500).json({ error: 'Failed to load passage' });
+    }
+});
+
+// Which sections of a file the user's generated questions and flashcards have come from so far
+app.get('/api/files/:id/coverage', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+
+        const file = await db.collection('files').findOne(
+            { _id: new ObjectId(id), userId: req.userId },
+            { projection: { filename: 1, textContent: 1, pages: 1 } }
+        );
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const sections = planSections([file]);
+        const [coverageDocs, summaries] = await Promise.all([
+            db.collection('section_coverage').find({ userId: req.userId, fileId: id }).toArray(),
+            db.collection('section_summaries').find({ fileId: id }, { projection: { sectionIndex: 1, title: 1 } }).toArray()
+        ]);
+        const titles = Object.fromEntries(summaries.map(summary => [summary.sectionIndex, summary.title]));
+
+        res.json(buildCoverageReport(file, sections, coverageDocs, titles));
+    } catch (error) {
+        console.error('❌ Coverage error:', error);
+        res.status(500).json({ error: 'Failed to load coverage' });
+    }
+});
+
+// Chapter/section outline of a file with a summary per section. Built on first request and stored on the
+// file; ?refresh=true rebuilds it.
+app.get('/api/files/:id/outline', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+
+        const file = await db.collection('files').findOne(
+            { _id: new ObjectId(id), userId: req.userId },
+            { projection: { filename: 1, textContent: 1, pages: 1, headings: 1, outline: 1 } }
+        );
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (file.outline && req.query.refresh !== 'true') {
+            return res.json({ fileId: id, filename: file.filename, outline: file.outline });
+        }
+
+        const text = file.textContent || '';
+        const headings = fileHeadings(file);
+
+        console.log(`📑 Building outline for ${file.filename} from ${headings.length} headings...`);
+        const outline = await summarizeOutline(buildOutline(text, headings, file.pages || []), text, req.userId);
+        const stored = { ...outline, generatedAt: new Date() };
+        await db.collection('files').updateOne({ _id: file._id }, { $set: { outline: stored } });
+
+        res.json({ fileId: id, filename: file.filename, outline: stored });
+    } catch (error) {
+        console.error('❌ Outline error:', error);
+        res.status(500).json({ error: 'Failed to build outline' });
     }
 });
 
+// Topics of a new batch that the session hasn't covered yet, fed back into later prompts
+const MAX_PREVIOUS_TOPICS = 50;
+
+function coveredTopics(questions, previousTopics = []) {
+    const known = new Set(previousTopics.map(topic => topic.toLowerCase()));
+    const topics = [];
+    for (const question of questions) {
+        const topic = (question.topic || question.question.substring(0, 60)).trim();
+        if (topic && !known.has(topic.toLowerCase())) {
+            known.add(topic.toLowerCase());
+            topics.push(topic);
+        }
+    }
+    return topics;
+}
+
 // Create study session for Keep Going feature
 app.post('/api/sessions', authenticateToken, async (req, res) => {
     try {
         await initializeDatabase();
-        const { fileIds, topic } = req.body;
+        const { fileIds, topic, questionFormat = DEFAULT_QUESTION_FORMAT } = req.body;
+
+        if (!QUESTION_FORMATS.includes(questionFormat)) {
+            return res.status(400).json({ error: `questionFormat must be one of: ${QUESTION_FORMATS.join(', ')}` });
+        }
         
         // Get file content
         const files = await db.collection('files').find({
@@ -1564,18 +4009,16 @@ app.post('/api/sessions', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Files not found' });
         }
         
-        const combinedText = files.map(f => f.textContent).join('\n\n');
-        
-        // Create context summary (keep it short for speed)
-        const contextSummary = combinedText.substring(0, 800);
         const topicKey = topic || `study_${Date.now()}`;
         
         // Create session
+        const courseId = generationCourseId(null, files);
         const session = {
             userId: req.userId,
             topicKey,
             sourceFileIds: fileIds,
-            contextSummary,
+            ...(courseId ? { courseId } : {}),
+            questionFormat,
             currentBatch: 1,
             totalGenerated: 0,
             previousTopics: [],
@@ -1586,9 +4029,14 @@ app.post('/api/sessions', authenticateToken, async (req, res) => {
         const result = await db.collection('study_sessions').insertOne(session);
         const sessionId = result.insertedId.toString();
         
-        // Generate first batch of 20 questions
-        console.log('🚀 Generating initial batch of 20 questions for session...');
-        const questions = await generateQuestionBatch(combinedText, { contextSummary });
+        // Generate the first batch (20 multiple choice questions, fewer for the larger formats)
+        console.log(`🚀 Generating initial ${questionFormat} batch for session...`);
+        const questions = groundGenerated(
+            'session questions',
+            await generateSessionBatch(questionFormat, await planMaterial(req.userId, files), { sessionId, userId: req.userId }),
+            fileGrounder(files)
+        );
+        await recordSectionCoverage(req.userId, questions, 'questions');
         
         // Store questions with status tracking
         const batch = {
@@ -1609,14 +4057,13 @@ app.post('/api/sessions', authenticateToken, async (req, res) => {
         await db.collection('study_sessions').updateOne(
             { _id: new ObjectId(sessionId) },
             { 
-                $set: { totalGenerated: 20 },
-                $push: { previousTopics: { $each: questions.slice(0, 5).map(q => q.question.substring(0, 30)) } }
+                $set: { totalGenerated: questions.length },
+                $push: { previousTopics: { $each: coveredTopics(questions, []), $slice: -MAX_PREVIOUS_TOPICS } }
             }
         );
         
         // Cache session for fast access
         questionSessionCache.set(sessionId, {
-            contextSummary,
             topicKey,
             questions: batch.questions
         });
@@ -1637,7 +4084,7 @@ app.get('/api/sessions/:id/next', authenticateToken, async (req, res) => {
     try {
         await initializeDatabase();
         const { id } = req.params;
-        const limit = parseInt(req.query.limit) || 5;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
         
         // Try cache first
         const cached = questionSessionCache.get(id);
@@ -1666,18 +4113,25 @@ app.get('/api/sessions/:id/next', authenticateToken, async (req, res) => {
             if (!session) {
                 return res.status(404).json({ error: 'Session not found' });
             }
+            if (session.kind === 'exam') {
+                return res.status(400).json({ error: 'Exam questions are served by /api/exams' });
+            }
             
             // Generate next batch
-            console.log('🔄 Generating next batch of 20 questions...');
+            const questionFormat = session.questionFormat || DEFAULT_QUESTION_FORMAT;
+            console.log(`🔄 Generating next ${questionFormat} batch...`);
             const files = await db.collection('files').find({
                 _id: { $in: session.sourceFileIds.map(fid => new ObjectId(fid)) }
             }).toArray();
             
-            const combinedText = files.map(f => f.textContent).join('\n\n');
-            const questions = await generateQuestionBatch(combinedText, {
-                contextSummary: session.contextSummary,
-                previousTopics: session.previousTopics
+            const generated = await generateSessionBatch(questionFormat, await planMaterial(session.userId, files), {
+                previousTopics: session.previousTopics,
+                previousQuestions: await loadSessionQuestions(id),
+                sessionId: id,
+                userId: session.userId
             });
+            const questions = groundGenerated('session questions', generated, fileGrounder(files));
+            await recordSectionCoverage(session.userId, questions, 'questions');
             
             // Store new batch
             const newBatch = {
@@ -1700,12 +4154,13 @@ app.get('/api/sessions/:id/next', authenticateToken, async (req, res) => {
                 { 
                     $set: { 
                         currentBatch: session.currentBatch + 1,
-                        totalGenerated: session.totalGenerated + 20,
+                        totalGenerated: session.totalGenerated + questions.length,
                         updatedAt: new Date()
                     },
                     $push: { 
                         previousTopics: { 
-                            $each: questions.slice(0, 5).map(q => q.question.substring(0, 30)) 
+                            $each: coveredTopics(questions, session.previousTopics || []),
+                            $slice: -MAX_PREVIOUS_TOPICS
                         }
                     }
                 }
@@ -1713,7 +4168,6 @@ app.get('/api/sessions/:id/next', authenticateToken, async (req, res) => {
             
             // Update cache
             questionSessionCache.set(id, {
-                contextSummary: session.contextSummary,
                 topicKey: session.topicKey,
                 questions: newBatch.questions
             });
@@ -1723,70 +4177,659 @@ app.get('/api/sessions/:id/next', authenticateToken, async (req, res) => {
             
             return res.json({ 
                 questions: returnQuestions,
-                remaining: 20 - limit,
+                remaining: Math.max(0, newBatch.questions.length - limit),
                 newBatchGenerated: true
             });
         }
-        
-        // Get unseen questions
-        const unseenQuestions = batch.questions
-            .filter(q => q.status === 'unseen')
-            .slice(0, limit);
-        
-        if (unseenQuestions.length > 0) {
-            // Mark as shown in database
-            const questionIds = unseenQuestions.map(q => q._id);
-            await db.collection('question_batches').updateOne(
-                { _id: batch._id },
-                { 
-                    $set: {
-                        'questions.$[elem].status': 'shown',
-                        'questions.$[elem].seenAt': new Date()
-                    }
-                },
-                {
-                    arrayFilters: [{ 'elem._id': { $in: questionIds } }]
-                }
-            );
-            
-            res.json({ 
-                questions: unseenQuestions,
-                remaining: batch.questions.filter(q => q.status === 'unseen').length - unseenQuestions.length
-            });
-        } else {
-            res.json({ 
-                questions: [],
-                remaining: 0,
-                needsNewBatch: true
-            });
+        
+        // Get unseen questions
+        const unseenQuestions = batch.questions
+            .filter(q => q.status === 'unseen')
+            .slice(0, limit);
+        
+        if (unseenQuestions.length > 0) {
+            // Mark as shown in database
+            const questionIds = unseenQuestions.map(q => q._id);
+            await db.collection('question_batches').updateOne(
+                { _id: batch._id },
+                { 
+                    $set: {
+                        'questions.$[elem].status': 'shown',
+                        'questions.$[elem].seenAt': new Date()
+                    }
+                },
+                {
+                    arrayFilters: [{ 'elem._id': { $in: questionIds } }]
+                }
+            );
+            
+            res.json({ 
+                questions: unseenQuestions,
+                remaining: batch.questions.filter(q => q.status === 'unseen').length - unseenQuestions.length
+            });
+        } else {
+            res.json({ 
+                questions: [],
+                remaining: 0,
+                needsNewBatch: true
+            });
+        }
+        
+    } catch (error) {
+        console.error('❌ Error getting next questions:', error);
+        res.status(500).json({ error: 'Failed to get questions' });
+    }
+});
+
+// Store answered questions as testResults (one per question) and count them in the user's
+// studyStats and today's dailyStats. Each result needs at least { correct, answeredAt }.
+async function recordTestResults(userId, results) {
+    if (results.length === 0) return;
+
+    await db.collection('testResults').insertMany(results.map(result => ({
+        userId,
+        ...result,
+        accuracy: result.correct ? 100 : 0,
+        date: result.answeredAt
+    })));
+
+    if (ObjectId.isValid(userId)) {
+        await db.collection('users').updateOne(
+            { _id: new ObjectId(userId) },
+            { $inc: { 'studyStats.questionsAnswered': results.length } }
+        );
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    await db.collection('dailyStats').updateOne(
+        { userId, date: today },
+        {
+            $inc: {
+                questionsAnswered: results.length,
+                correctAnswers: results.filter(result => result.correct).length
+            },
+            $setOnInsert: { date: today, userId }
+        },
+        { upsert: true }
+    );
+}
+
+// Record an answer to a Keep Going question: the attempt is kept on the question in its batch
+// and as a testResults entry, and counts towards the user's questionsAnswered.
+// Multiple choice answers come as selectedOption; the other formats send a `response`.
+app.post('/api/sessions/:id/answers', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { id } = req.params;
+        const { questionId, selectedOption, response, timeTakenMs, hintsUsed = 0 } = req.body;
+
+        if (!ObjectId.isValid(id) || !questionId || !ObjectId.isValid(questionId)) {
+            return res.status(400).json({ error: 'Valid session and questionId are required' });
+        }
+        if (timeTakenMs !== undefined && timeTakenMs !== null && !(Number.isFinite(timeTakenMs) && timeTakenMs >= 0)) {
+            return res.status(400).json({ error: 'timeTakenMs must be a non-negative number of milliseconds' });
+        }
+        if (!Number.isInteger(hintsUsed) || hintsUsed < 0) {
+            return res.status(400).json({ error: 'hintsUsed must be a non-negative integer' });
+        }
+
+        const session = await db.collection('study_sessions').findOne({ _id: new ObjectId(id), userId: req.userId });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        // Exam answers stay hidden until the exam is submitted
+        if (session.kind === 'exam') {
+            return res.status(400).json({ error: 'Exam answers are recorded by /api/exams' });
+        }
+
+        const questionObjectId = new ObjectId(questionId);
+        const batch = await db.collection('question_batches').findOne({
+            sessionId: session._id,
+            'questions._id': questionObjectId
+        });
+        const question = batch && batch.questions.find(q => q._id.equals(questionObjectId));
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found in this session' });
+        }
+
+        const isMultipleChoice = (question.format || DEFAULT_QUESTION_FORMAT) === DEFAULT_QUESTION_FORMAT;
+        const check = checkResponse(question, isMultipleChoice ? selectedOption : response);
+        if (check.error) {
+            return res.status(400).json({ error: check.error });
+        }
+
+        const { correct, score } = check;
+        const answeredAt = new Date();
+        const attempt = {
+            ...(isMultipleChoice ? { selectedOption } : { response }),
+            correct,
+            score,
+            timeTakenMs: timeTakenMs === undefined ? null : timeTakenMs,
+            hintsUsed,
+            answeredAt
+        };
+
+        await db.collection('question_batches').updateOne(
+            { _id: batch._id },
+            {
+                $set: { 'questions.$[elem].status': 'answered' },
+                $push: { 'questions.$[elem].attempts': attempt }
+            },
+            { arrayFilters: [{ 'elem._id': questionObjectId }] }
+        );
+
+        // Keep the cached copy in step so /next doesn't hand the question out again
+        const cached = questionSessionCache.get(id);
+        const cachedQuestion = cached && cached.questions.find(q => q._id.equals(questionObjectId));
+        if (cachedQuestion) {
+            cachedQuestion.status = 'answered';
+        }
+
+        await recordTestResults(req.userId, [{
+            type: 'practice',
+            sessionId: session._id,
+            questionId: questionObjectId,
+            ...(session.courseId ? { courseId: session.courseId } : {}),
+            topic: question.topic || session.topicKey,
+            question: question.question,
+            format: question.format || DEFAULT_QUESTION_FORMAT,
+            ...attempt
+        }]);
+
+        res.json({
+            correct,
+            score,
+            correctAnswer: check.correctAnswer,
+            details: check.details,
+            explanation: question.explanation,
+            attempts: (question.attempts || []).length + 1
+        });
+    } catch (error) {
+        console.error('❌ Error recording answer:', error);
+        res.status(500).json({ error: 'Failed to record answer' });
+    }
+});
+
+// Check an answer to a question generated by /api/generate, looked up in the saved study session
+app.post('/api/questions/check', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { sessionId, questionId, response, timeTakenMs } = req.body;
+
+        if (!ObjectId.isValid(sessionId) || !ObjectId.isValid(questionId)) {
+            return res.status(400).json({ error: 'Valid sessionId and questionId are required' });
+        }
+        if (timeTakenMs !== undefined && timeTakenMs !== null && !(Number.isFinite(timeTakenMs) && timeTakenMs >= 0)) {
+            return res.status(400).json({ error: 'timeTakenMs must be a non-negative number of milliseconds' });
+        }
+
+        const studySession = await db.collection('studySessions').findOne({ _id: new ObjectId(sessionId), userId: req.userId });
+        if (!studySession) {
+            return res.status(404).json({ error: 'Study session not found' });
+        }
+
+        const generated = studySession.content && studySession.content.questions;
+        const question = generated && Array.isArray(generated.questions)
+            ? generated.questions.find(q => q._id && q._id.toString() === questionId)
+            : null;
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found in this study session' });
+        }
+
+        const check = checkResponse(question, response);
+        if (check.error) {
+            return res.status(400).json({ error: check.error });
+        }
+
+        await recordTestResults(req.userId, [{
+            type: 'practice',
+            sessionId: studySession._id,
+            questionId: question._id,
+            ...(studySession.courseId ? { courseId: studySession.courseId } : {}),
+            topic: question.topic || 'General',
+            question: question.question,
+            format: question.format,
+            response,
+            correct: check.correct,
+            score: check.score,
+            timeTakenMs: timeTakenMs === undefined ? null : timeTakenMs,
+            hintsUsed: 0,
+            answeredAt: new Date()
+        }]);
+
+        res.json({
+            correct: check.correct,
+            score: check.score,
+            correctAnswer: check.correctAnswer,
+            details: check.details,
+            explanation: question.explanation
+        });
+    } catch (error) {
+        console.error('❌ Error checking answer:', error);
+        res.status(500).json({ error: 'Failed to check answer' });
+    }
+});
+
+// Generate an exam's questions: each type is spread over the least-covered sections of the material
+// (up to one section per question), at most 10 questions per call, so the exam draws on all of it
+// rather than its first pages.
+const EXAM_QUESTIONS_PER_CALL = 10;
+
+async function generateExamQuestions(planner, allocation, sessionId = null, userId = null) {
+    const calls = [];
+    for (const [type, count] of Object.entries(allocation)) {
+        for (const { section, count: sectionCount } of planner.allocate(count)) {
+            for (let generated = 0; generated < sectionCount; generated += EXAM_QUESTIONS_PER_CALL) {
+                calls.push({ type, section, count: Math.min(EXAM_QUESTIONS_PER_CALL, sectionCount - generated) });
+            }
+        }
+    }
+
+    const results = await Promise.all(calls.map(call =>
+        generateTemplateQuestions(call.type, [{ section: call.section, count: call.count }], sessionId)
+            .then(questions => questions.map(q => ({ ...q, type: call.type })))
+    ));
+
+    // Gate one call at a time so each is checked against the questions already accepted
+    const accepted = [];
+    for (const [i, generated] of results.entries()) {
+        accepted.push(...await applyQualityGate(generated, {
+            prompt: `exam_${calls[i].type}`,
+            requested: calls[i].count,
+            previousQuestions: accepted,
+            sessionId,
+            userId
+        }));
+    }
+
+    // Interleave the types so the exam doesn't front-load one kind of question
+    const questions = accepted.sort(() => Math.random() - 0.5);
+    return questions.map((q, index) => ({
+        _id: new ObjectId(),
+        ...q,
+        status: 'exam',
+        index
+    }));
+}
+
+async function loadExam(userId, examId) {
+    if (!ObjectId.isValid(examId)) return null;
+    return await db.collection('study_sessions').findOne({ _id: new ObjectId(examId), userId, kind: 'exam' });
+}
+
+async function loadExamQuestions(examId) {
+    const batch = await db.collection('question_batches').findOne({ sessionId: examId, batchNumber: 1 });
+    return batch ? batch.questions : [];
+}
+
+// Score an exam once (on submit, or on first access after the deadline) and record its answers
+async function finalizeExam(session, submittedAt = new Date()) {
+    if (session.exam.status === 'submitted') {
+        return session;
+    }
+
+    const deadline = new Date(session.exam.deadline);
+    const exam = { ...session.exam, submittedAt: submittedAt > deadline ? deadline : submittedAt };
+    const questions = await loadExamQuestions(session._id);
+    const report = buildExamReport(exam, questions);
+
+    const finalized = await db.collection('study_sessions').findOneAndUpdate(
+        { _id: session._id, 'exam.status': 'in_progress' },
+        {
+            $set: {
+                'exam.status': 'submitted',
+                'exam.submittedAt': exam.submittedAt,
+                'exam.score': { correct: report.score, total: report.total, percentage: report.percentage },
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+
+    // Another request finished it first
+    if (!finalized.value) {
+        return await db.collection('study_sessions').findOne({ _id: session._id });
+    }
+
+    await recordTestResults(session.userId, report.questions
+        .filter(item => item.selectedOption !== null)
+        .map(item => ({
+            type: 'exam',
+            sessionId: session._id,
+            questionId: item.questionId,
+            ...(session.courseId ? { courseId: session.courseId } : {}),
+            topic: item.topic,
+            question: item.question,
+            selectedOption: item.selectedOption,
+            correct: item.correct,
+            timeTakenMs: item.timeTakenMs,
+            hintsUsed: 0,
+            answeredAt: exam.answers[item.questionId.toString()].answeredAt
+        })));
+
+    console.log(`📝 Exam ${session._id} scored ${report.score}/${report.total}`);
+    return finalized.value;
+}
+
+async function buildReportForExam(session) {
+    const questions = await loadExamQuestions(session._id);
+    // Earlier scored attempts on the same set of files, newest first
+    const previousAttempts = await db.collection('study_sessions').find({
+        userId: session.userId,
+        kind: 'exam',
+        'exam.status': 'submitted',
+        'exam.fileKey': session.exam.fileKey,
+        'exam.submittedAt': { $lt: session.exam.submittedAt }
+    }).sort({ 'exam.submittedAt': -1 }).limit(10).toArray();
+
+    return buildExamReport(session.exam, questions, previousAttempts);
+}
+
+// Running exams finalize themselves once the deadline has passed
+async function refreshExam(session) {
+    if (session.exam.status === 'in_progress' && Date.now() > new Date(session.exam.deadline).getTime() + SUBMISSION_GRACE_MS) {
+        return await finalizeExam(session);
+    }
+    return session;
+}
+
+function examSummary(session) {
+    return {
+        examId: session._id,
+        status: session.exam.status,
+        questionCount: session.exam.questionCount,
+        timeLimitMinutes: session.exam.timeLimitMinutes,
+        mix: session.exam.mix,
+        startedAt: session.exam.startedAt,
+        deadline: session.exam.deadline,
+        remainingMs: session.exam.status === 'in_progress' ? Math.max(0, new Date(session.exam.deadline) - Date.now()) : 0,
+        answeredCount: Object.keys(session.exam.answers || {}).length,
+        score: session.exam.score || null
+    };
+}
+
+// Start a timed mock exam: generates the questions and starts the clock
+app.post('/api/exams', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const questionCount = req.body.questionCount === undefined ? 20 : req.body.questionCount;
+        const timeLimitMinutes = req.body.timeLimitMinutes === undefined ? 30 : req.body.timeLimitMinutes;
+        const mix = req.body.mix || DEFAULT_EXAM_MIX;
+
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to take mock exams' });
+        }
+        if (!Number.isInteger(questionCount) || questionCount < EXAM_LIMITS.minQuestions || questionCount > EXAM_LIMITS.maxQuestions) {
+            return res.status(400).json({ error: `questionCount must be an integer from ${EXAM_LIMITS.minQuestions} to ${EXAM_LIMITS.maxQuestions}` });
+        }
+        if (typeof timeLimitMinutes !== 'number' || timeLimitMinutes < EXAM_LIMITS.minMinutes || timeLimitMinutes > EXAM_LIMITS.maxMinutes) {
+            return res.status(400).json({ error: `timeLimitMinutes must be between ${EXAM_LIMITS.minMinutes} and ${EXAM_LIMITS.maxMinutes}` });
+        }
+        const mixError = validateExamMix(mix);
+        if (mixError) {
+            return res.status(400).json({ error: mixError });
+        }
+
+        const scope = await resolveGenerationScope(req.userId, req.body);
+        if (scope.error) {
+            return res.status(scope.status).json({ error: scope.error });
+        }
+
+        const files = await loadGenerationFiles(req.userId, scope.fileIds);
+        const combinedText = files.map(f => f.textContent).join('\n\n');
+        if (files.length === 0 || combinedText.trim().length === 0) {
+            return res.status(400).json({ error: 'No text content found in the selected files' });
+        }
+
+        const sessionId = new ObjectId();
+        const allocation = allocateQuestionTypes(questionCount, mix);
+        console.log(`📝 Generating mock exam: ${JSON.stringify(allocation)} in ${timeLimitMinutes} minutes`);
+        const questions = groundGenerated(
+            'exam questions',
+            await generateExamQuestions(await planMaterial(req.userId, files), allocation, sessionId.toString(), req.userId),
+            fileGrounder(files)
+        );
+        await recordSectionCoverage(req.userId, questions, 'questions');
+
+        // The clock starts once the questions are ready, not while they are generated
+        const startedAt = new Date();
+        const fileIds = files.map(f => f._id.toString());
+        const courseId = generationCourseId(scope.course, files);
+        const session = {
+            _id: sessionId,
+            userId: req.userId,
+            kind: 'exam',
+            topicKey: `exam_${Date.now()}`,
+            sourceFileIds: fileIds,
+            ...(courseId ? { courseId } : {}),
+            exam: {
+                status: 'in_progress',
+                questionCount: questions.length,
+                timeLimitMinutes,
+                mix,
+                fileKey: [...fileIds].sort().join(','),
+                startedAt,
+                deadline: new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000),
+                answers: {}
+            },
+            createdAt: startedAt,
+            updatedAt: startedAt
+        };
+
+        await db.collection('study_sessions').insertOne(session);
+        await db.collection('question_batches').insertOne({
+            sessionId,
+            batchNumber: 1,
+            questions,
+            createdAt: startedAt
+        });
+
+        res.status(201).json({
+            ...examSummary(session),
+            questions: questions.map(publicExamQuestion)
+        });
+    } catch (error) {
+        console.error('❌ Error creating exam:', error);
+        res.status(500).json({ error: `Failed to create exam: ${error.message}` });
+    }
+});
+
+app.get('/api/exams', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const exams = await db.collection('study_sessions')
+            .find({ userId: req.userId, kind: 'exam' })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .toArray();
+
+        res.json({ exams: await Promise.all(exams.map(async exam => examSummary(await refreshExam(exam)))) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/exams/:id', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        let session = await loadExam(req.userId, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+        session = await refreshExam(session);
+
+        const questions = await loadExamQuestions(session._id);
+        res.json({
+            ...examSummary(session),
+            questions: questions.map(publicExamQuestion),
+            answers: Object.fromEntries(Object.entries(session.exam.answers).map(([id, answer]) => [id, answer.selectedOption]))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save (or change) the answer to one question while the exam is running
+app.post('/api/exams/:id/answers', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { questionId, selectedOption, timeTakenMs } = req.body;
+
+        let session = await loadExam(req.userId, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+        session = await refreshExam(session);
+        if (session.exam.status !== 'in_progress') {
+            return res.status(409).json({ error: 'This exam is closed; no more answers are accepted', code: 'EXAM_CLOSED' });
+        }
+
+        if (typeof selectedOption !== 'string' || selectedOption.length === 0) {
+            return res.status(400).json({ error: 'selectedOption is required' });
+        }
+        if (timeTakenMs !== undefined && timeTakenMs !== null && !(Number.isFinite(timeTakenMs) && timeTakenMs >= 0)) {
+            return res.status(400).json({ error: 'timeTakenMs must be a non-negative number of milliseconds' });
+        }
+
+        const questions = await loadExamQuestions(session._id);
+        const question = questions.find(q => q._id.toString() === String(questionId));
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found in this exam' });
+        }
+
+        const answer = {
+            selectedOption,
+            timeTakenMs: timeTakenMs === undefined ? null : timeTakenMs,
+            answeredAt: new Date()
+        };
+        await db.collection('study_sessions').updateOne(
+            { _id: session._id, 'exam.status': 'in_progress' },
+            { $set: { [`exam.answers.${question._id.toString()}`]: answer, updatedAt: new Date() } }
+        );
+
+        res.json({
+            saved: true,
+            answeredCount: Object.keys({ ...session.exam.answers, [question._id.toString()]: answer }).length,
+            remainingMs: Math.max(0, new Date(session.exam.deadline) - Date.now())
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/exams/:id/submit', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const session = await loadExam(req.userId, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const finalized = await finalizeExam(session);
+        res.json(await buildReportForExam(finalized));
+    } catch (error) {
+        console.error('❌ Error submitting exam:', error);
+        res.status(500).json({ error: `Failed to submit exam: ${error.message}` });
+    }
+});
+
+app.get('/api/exams/:id/report', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        let session = await loadExam(req.userId, req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Exam not found' });
         }
-        
+        session = await refreshExam(session);
+        if (session.exam.status !== 'submitted') {
+            return res.status(409).json({ error: 'The exam is still running; submit it to see the report', code: 'EXAM_IN_PROGRESS' });
+        }
+
+        res.json(await buildReportForExam(session));
     } catch (error) {
-        console.error('❌ Error getting next questions:', error);
-        res.status(500).json({ error: 'Failed to get questions' });
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/generate', authenticateToken, async (req, res) => {
+// Grade a short-answer or essay response against the question's rubric and key points. The
+// question, and with it the rubric and points, is looked up in the saved study session.
+app.post('/api/answers/grade', authenticateToken, async (req, res) => {
     try {
         await initializeDatabase();
-        const { fileIds, mode } = req.body;
+        const { sessionId, questionId, answer } = req.body;
 
-        console.log(`🔍 Starting content generation for mode: ${mode}, fileIds: ${fileIds}`);
+        if (!ObjectId.isValid(sessionId) || !ObjectId.isValid(questionId)) {
+            return res.status(400).json({ error: 'Valid sessionId and questionId are required' });
+        }
+        if (typeof answer !== 'string' || answer.trim().length === 0) {
+            return res.status(400).json({ error: 'answer is required' });
+        }
+        if (answer.length > MAX_ANSWER_LENGTH) {
+            return res.status(400).json({ error: `answer must be at most ${MAX_ANSWER_LENGTH} characters` });
+        }
 
-        if (!fileIds || !Array.isArray(fileIds) || fileIds.length === 0) {
-            console.error('❌ Invalid or missing fileIds in request body');
-            return res.status(400).json({ error: 'fileIds array is required and must not be empty' });
+        const studySession = await db.collection('studySessions').findOne({ _id: new ObjectId(sessionId), userId: req.userId });
+        if (!studySession) {
+            return res.status(404).json({ error: 'Study session not found' });
+        }
+        const found = freeTextQuestions(studySession.content && studySession.content.questions)
+            .find(({ question }) => question._id && question._id.toString() === questionId);
+        if (!found) {
+            return res.status(404).json({ error: 'Question not found in this study session' });
         }
+        const { question, questionType } = found;
+
+        const maxPoints = questionPoints(questionType, question);
+        const criteria = gradingCriteria(questionType, question);
+
+        const result = await makeValidatedAPICall(
+            buildGradingPrompt(questionType, question, answer.trim(), criteria),
+            answerGradeSchema,
+            validateAnswerGrade,
+            'answer_grade',
+            questionType,
+            req.userId
+        );
+        const grade = scoreGrade(result, criteria, maxPoints);
 
-        let files = [];
+        const answeredAt = new Date();
+        const attempt = {
+            userId: req.userId,
+            sessionId: studySession._id,
+            questionId: question._id,
+            questionType,
+            question: question.question,
+            answer: answer.trim(),
+            grade,
+            gradedBy: llm.chatModel,
+            answeredAt
+        };
+        const { insertedId } = await db.collection('free_text_attempts').insertOne(attempt);
+
+        await recordTestResults(req.userId, [{
+            type: questionType,
+            sessionId: studySession._id,
+            questionId: question._id,
+            ...(studySession.courseId ? { courseId: studySession.courseId } : {}),
+            attemptId: insertedId,
+            topic: question.topic || 'General',
+            question: question.question,
+            correct: grade.passed,
+            score: grade.score,
+            maxScore: grade.maxScore,
+            timeTakenMs: null,
+            hintsUsed: 0,
+            answeredAt
+        }]);
+
+        res.json({ attemptId: insertedId, ...grade });
+    } catch (error) {
+        console.error('❌ Error grading answer:', error);
+        res.status(500).json({ error: `Failed to grade answer: ${error.message}` });
+    }
+});
 
-        if (req.userId === 'demo') {
-            // For demo mode, create mock file data
-            files = [{
-                _id: 'demo-file',
-                filename: 'demo-content.txt',
-                textContent: `Artificial Intelligence Overview
+const DEMO_FILE_TEXT = `Artificial Intelligence Overview
 
 AI is a branch of computer science that aims to create intelligent machines. Key concepts include:
 
@@ -1803,24 +4846,235 @@ Applications:
 - Virtual assistants
 - Recommendation systems
 
-Ethical considerations include bias, privacy, job displacement, and AI safety.`,
-                userId: 'demo',
-                uploadedAt: new Date(),
-                wordCount: 87
-            }];
-        } else {
-            // Convert fileIds to ObjectIds, filtering out invalid ones
-            const validObjectIds = fileIds
-                .filter(id => id && id !== 'demo' && ObjectId.isValid(id))
-                .map(id => new ObjectId(id));
-
-            if (validObjectIds.length > 0) {
-                files = await db.collection('files').find({
-                    _id: { $in: validObjectIds },
-                    userId: req.userId
-                }).toArray();
-            }
+Ethical considerations include bias, privacy, job displacement, and AI safety.`;
+
+// Load the files a generation request refers to (demo users get a built-in sample document)
+async function loadGenerationFiles(userId, fileIds) {
+    if (userId === 'demo') {
+        return [{
+            _id: 'demo-file',
+            filename: 'demo-content.txt',
+            textContent: DEMO_FILE_TEXT,
+            userId: 'demo',
+            uploadedAt: new Date(),
+            wordCount: 87
+        }];
+    }
+
+    // Convert fileIds to ObjectIds, filtering out invalid ones
+    const validObjectIds = fileIds
+        .filter(id => id && id !== 'demo' && ObjectId.isValid(id))
+        .map(id => new ObjectId(id));
+
+    if (validObjectIds.length === 0) {
+        return [];
+    }
+
+    return await db.collection('files').find({
+        _id: { $in: validObjectIds },
+        userId
+    }).toArray();
+}
+
+// Source grounding for items generated from these files (see source-grounding.js)
+function fileGrounder(files) {
+    return createGrounder(files.map(file => ({
+        fileId: file._id ? file._id.toString() : null,
+        filename: file.filename,
+        text: file.textContent || file.content || '',
+        pages: file.pages || []
+    })));
+}
+
+// Replace the model's quotes in a list of questions or flashcards with checked source references
+function groundGenerated(label, items, grounder) {
+    const grounded = grounder.groundItems(items);
+    const summary = groundingSummary(grounded);
+    if (summary.total > 0) {
+        console.log(`📖 ${label}: ${summary.verified}/${summary.total} quotes found in the source${summary.unverified ? `, ${summary.unverified} possibly hallucinated` : ''}`);
+    }
+    return grounded;
+}
+
+// Questions or flashcards of a normalized artifact (none for the other artifacts)
+function artifactItems(key, data) {
+    if (key === 'flashcards') {
+        return Array.isArray(data) ? data : [];
+    }
+    if (key === 'questions' && data) {
+        return data.questions || data.allQuestions || [];
+    }
+    return [];
+}
+
+// Ground the questions or flashcards of a normalized artifact; other artifacts pass through
+function groundArtifact(key, data, grounder) {
+    if (key === 'flashcards' && Array.isArray(data)) {
+        return groundGenerated(key, data, grounder);
+    }
+    if (key !== 'questions' || !data) {
+        return data;
+    }
+    if (Array.isArray(data.questions)) {
+        return { ...data, questions: groundGenerated(key, data.questions, grounder) };
+    }
+    if (Array.isArray(data.allQuestions)) {
+        const contentQuestions = groundGenerated('direct questions', data.contentQuestions || [], grounder);
+        const twistedQuestions = groundGenerated('twisted questions', data.twistedQuestions || [], grounder);
+        return { ...data, contentQuestions, twistedQuestions, allQuestions: [...contentQuestions, ...twistedQuestions] };
+    }
+    return data;
+}
+
+// One [key, promise] pair per artifact the mode produces; comprehensive mode fans out all four in parallel.
+// Questions and flashcards are spread over the planner's sections; the whole-document artifacts work from
+// the reduced overview of every section, built once and shared. Quality reports are filed under the
+// user and the study session the results will be saved as.
+function buildGenerationTasks(combinedText, planner, mode, userId, questionFormat = DEFAULT_QUESTION_FORMAT, sessionId = null) {
+    const tasks = [];
+    const gateContext = { userId, sessionId };
+    let overview = null;
+    const fromOverview = (type, options) => {
+        overview = overview || buildDocumentOverview(planner.sections, combinedText, userId);
+        return overview.then(text => generateStudyContent(text, type, options));
+    };
+
+    if (mode === 'comprehensive') {
+        tasks.push(['summary', fromOverview('summary', { sessionId: userId })]);
+        tasks.push(['studyPlan', fromOverview('studyPlan', { days: 7, sessionId: userId })]);
+        tasks.push(['questions', generateStudyContent(combinedText, 'questions', { sessionId: userId, format: questionFormat, planner, gateContext })]);
+        tasks.push(['flashcards', generateStudyContent(combinedText, 'flashcards', { sessionId: userId, planner })]);
+        return tasks;
+    }
+
+    if (mode === 'summary') {
+        tasks.push(['summary', fromOverview('summary', { sessionId: userId })]);
+    }
+    if (mode === 'practice' || mode === 'questions') {
+        tasks.push(['questions', generateStudyContent(combinedText, 'questions', { sessionId: userId, format: questionFormat, planner, gateContext })]);
+    }
+    if (mode === 'flashcards') {
+        tasks.push(['flashcards', generateStudyContent(combinedText, 'flashcards', { sessionId: userId, planner })]);
+    }
+    if (mode === 'gaps') {
+        tasks.push(['knowledgeGaps', fromOverview('knowledgeGaps', { sessionId: userId })]);
+    }
+    // Only generate study plan if no specific mode requested or if summary mode
+    if (mode === 'summary') {
+        tasks.push(['studyPlan', fromOverview('studyPlan', { days: 7, sessionId: userId })]);
+    }
+
+    return tasks;
+}
+
+// Unwrap generator results into the shapes the frontend renders
+function normalizeArtifact(key, data) {
+    // Written questions get ids so /api/answers/grade can find them in the saved session
+    if (key === 'questions') {
+        for (const { question } of freeTextQuestions(data)) {
+            question._id = question._id || new ObjectId();
+        }
+    }
+
+    if (key === 'flashcards' && data && data.flashcards) {
+        return data.flashcards;
+    }
+
+    if (key === 'studyPlan' && data && data.studyPlan) {
+        if (typeof data.studyPlan === 'object' && !Array.isArray(data.studyPlan)) {
+            return Object.values(data.studyPlan);
+        } else if (Array.isArray(data.studyPlan)) {
+            return data.studyPlan;
+        }
+    }
+
+    return data;
+}
+
+// source: { fileIds, sessionId, courseId } shared by the session and the cards generated in it
+// Work out which files to generate from: the listed fileIds, or every file in the given course.
+// Returns { fileIds, course } or { status, error }.
+async function resolveGenerationScope(userId, { fileIds, courseId }) {
+    let course = null;
+    if (courseId) {
+        course = await findCourse(userId, courseId);
+        if (!course) {
+            return { status: 404, error: 'Course not found' };
+        }
+    }
+
+    if ((!fileIds || (Array.isArray(fileIds) && fileIds.length === 0)) && course) {
+        const courseFiles = await db.collection('files').find(
+            { userId, courseId: course._id, ...CURRENT_FILES },
+            { projection: { _id: 1 } }
+        ).toArray();
+        fileIds = courseFiles.map(file => file._id.toString());
+    }
+
+    if (!fileIds || !Array.isArray(fileIds) || fileIds.length === 0) {
+        return { status: 400, error: 'fileIds array is required and must not be empty' };
+    }
+
+    return { fileIds, course };
+}
+
+async function saveStudySession(userId, source, mode, content) {
+    console.log('💾 Saving study session to database...');
+    const dbResult = await db.collection('studySessions').insertOne({
+        _id: source.sessionId,
+        userId,
+        fileIds: source.fileIds,
+        ...(source.courseId ? { courseId: source.courseId } : {}),
+        content,
+        mode,
+        createdAt: new Date()
+    });
+    console.log('✅ Study session saved successfully');
+    return dbResult.insertedId;
+}
+
+// Save generated cards as reviewable flashcards with fresh SM-2 state.
+// Returns the cards with their _id so the client can review them; demo cards aren't stored.
+async function persistFlashcards(userId, source, cards) {
+    if (userId === 'demo' || !Array.isArray(cards) || cards.length === 0) {
+        return cards;
+    }
+
+    const now = new Date();
+    const docs = cards.map(card => ({
+        ...card,
+        userId,
+        sourceFileIds: source.fileIds,
+        sessionId: source.sessionId,
+        ...(source.courseId ? { courseId: source.courseId } : {}),
+        ...newCardState(now),
+        createdAt: now
+    }));
+
+    const result = await db.collection('flashcards').insertMany(docs);
+    console.log(`🗂️ Saved ${result.insertedCount} flashcards for spaced repetition`);
+    return docs.map((doc, index) => ({ ...doc, _id: result.insertedIds[index] }));
+}
+
+app.post('/api/generate', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { mode, questionFormat = DEFAULT_QUESTION_FORMAT } = req.body;
+
+        if (!QUESTION_FORMATS.includes(questionFormat)) {
+            return res.status(400).json({ error: `questionFormat must be one of: ${QUESTION_FORMATS.join(', ')}` });
+        }
+
+        const scope = await resolveGenerationScope(req.userId, req.body);
+        if (scope.error) {
+            console.error(`❌ Invalid generation request: ${scope.error}`);
+            return res.status(scope.status).json({ error: scope.error });
         }
+        const { fileIds } = scope;
+
+        console.log(`🔍 Starting content generation for mode: ${mode}, fileIds: ${fileIds}`);
+
+        const files = await loadGenerationFiles(req.userId, fileIds);
 
         console.log(`📁 Found ${files.length} files for processing`);
 
@@ -1838,7 +5092,7 @@ Ethical considerations include bias, privacy, job displacement, and AI safety.`,
         }
 
         // Request coalescing - prevent duplicate processing
-        const requestKey = generateRequestKey(req.userId, fileIds, mode, combinedText.length);
+        const requestKey = generateRequestKey(req.userId, fileIds, `${mode}:${questionFormat}`, combinedText.length);
         
         // Check if identical request is already in flight
         if (inflightRequests.has(requestKey)) {
@@ -1854,112 +5108,44 @@ Ethical considerations include bias, privacy, job displacement, and AI safety.`,
             return res.json(cachedResult.data);
         }
 
-        let content = {};
         const generationPromise = (async () => {
             try {
                 console.log(`🔄 Starting optimized parallel content generation for mode: ${mode}...`);
                 const startTime = Date.now();
+                const content = {};
+                const source = { fileIds, sessionId: new ObjectId(), courseId: generationCourseId(scope.course, files) };
+                const tasks = buildGenerationTasks(combinedText, await planMaterial(req.userId, files), mode, req.userId, questionFormat, source.sessionId);
+
+                // Execute all tasks in parallel using Promise.allSettled for better error handling
+                console.log(`⚡ Executing ${tasks.length} content generation tasks in parallel...`);
+                const results = await Promise.allSettled(tasks.map(([key, promise]) => 
+                    promise.then(result => ({ key, result }))
+                ));
                 
-                // Define content generation tasks based on mode
-                const tasks = [];
-                
-                if (mode === 'comprehensive') {
-                    // Optimize comprehensive mode to run all generation in parallel
-                    console.log('🚀 Starting parallel comprehensive generation...');
-                    
-                    // Run ALL content generation in parallel for maximum speed
-                    const comprehensiveTasks = [
-                        ['summary', generateStudyContent(combinedText, 'summary', { sessionId: req.userId })],
-                        ['studyPlan', generateStudyContent(combinedText, 'studyPlan', { days: 7, sessionId: req.userId })],
-                        ['questions', generateStudyContent(combinedText, 'questions', { sessionId: req.userId })],
-                        ['flashcards', generateStudyContent(combinedText, 'flashcards', { sessionId: req.userId })]
-                    ];
-                    
-                    console.log('⚡ Generating all content types in parallel (4 tasks)...');
-                    const comprehensiveResults = await Promise.allSettled(comprehensiveTasks.map(([key, promise]) => 
-                        promise.then(result => ({ key, result }))
-                    ));
-                    
-                    // Process all results
-                    for (const result of comprehensiveResults) {
-                        if (result.status === 'fulfilled') {
-                            const { key, result: data } = result.value;
-                            content[key] = data;
-                            console.log(`✅ ${key} generated successfully`);
-                        } else {
-                            console.error(`❌ Failed to generate ${result.reason?.message || 'unknown content'}`);
-                        }
-                    }
-                    
-                    console.log('🎯 Parallel comprehensive generation completed');
-                    
-                } else {
-                    // Individual modes with parallel execution where possible
-                    if (mode === 'summary') {
-                        tasks.push(['summary', generateStudyContent(combinedText, 'summary', { sessionId: req.userId })]);
-                    }
-                    if (mode === 'practice' || mode === 'questions') {
-                        tasks.push(['questions', generateStudyContent(combinedText, 'questions', { sessionId: req.userId })]);
-                    }
-                    if (mode === 'flashcards') {
-                        tasks.push(['flashcards', generateStudyContent(combinedText, 'flashcards', { sessionId: req.userId })]);
-                    }
-                    if (mode === 'gaps') {
-                        tasks.push(['knowledgeGaps', generateStudyContent(combinedText, 'knowledgeGaps', { sessionId: req.userId })]);
-                    }
-                    // Only generate study plan if no specific mode requested or if summary mode
-                    if (mode === 'summary') {
-                        tasks.push(['studyPlan', generateStudyContent(combinedText, 'studyPlan', { days: 7, sessionId: req.userId })]);
-                    }
-                    
-                    // Execute all tasks in parallel using Promise.allSettled for better error handling
-                    console.log(`⚡ Executing ${tasks.length} content generation tasks in parallel...`);
-                    const results = await Promise.allSettled(tasks.map(([key, promise]) => 
-                        promise.then(result => ({ key, result }))
-                    ));
-                    
-                    // Process results and handle any failures gracefully
-                    for (const result of results) {
-                        if (result.status === 'fulfilled') {
-                            const { key, result: data } = result.value;
-                            content[key] = data;
-                            console.log(`✅ ${key} generated successfully`);
-                        } else {
-                            console.error(`❌ Failed to generate content:`, result.reason.message);
-                            // Continue with partial results rather than failing completely
-                        }
+                // Process results and handle any failures gracefully
+                const grounder = fileGrounder(files);
+                for (const result of results) {
+                    if (result.status === 'fulfilled') {
+                        const { key, result: data } = result.value;
+                        content[key] = groundArtifact(key, normalizeArtifact(key, data), grounder);
+                        await recordSectionCoverage(req.userId, artifactItems(key, content[key]), key);
+                        console.log(`✅ ${key} generated successfully`);
+                    } else {
+                        console.error(`❌ Failed to generate content:`, result.reason.message);
+                        // Continue with partial results rather than failing completely
                     }
                 }
                 
                 const endTime = Date.now();
                 console.log(`⚡ Parallel content generation completed in ${endTime - startTime}ms`);
 
-            if (content.flashcards && content.flashcards.flashcards) {
-                content.flashcards = content.flashcards.flashcards;
-            }
-
-            if (content.studyPlan && content.studyPlan.studyPlan) {
-                if (typeof content.studyPlan.studyPlan === 'object' && !Array.isArray(content.studyPlan.studyPlan)) {
-                    content.studyPlan = Object.values(content.studyPlan.studyPlan);
-                } else if (Array.isArray(content.studyPlan.studyPlan)) {
-                    content.studyPlan = content.studyPlan.studyPlan;
+                if (content.flashcards) {
+                    content.flashcards = await persistFlashcards(req.userId, source, content.flashcards);
                 }
-            }
-
-                const session = {
-                    userId: req.userId,
-                    fileIds,
-                    content,
-                    mode,
-                    createdAt: new Date()
-                };
-
-                console.log('💾 Saving study session to database...');
-                const dbResult = await db.collection('studySessions').insertOne(session);
-                console.log('✅ Study session saved successfully');
+                const sessionId = await saveStudySession(req.userId, source, mode, content);
 
                 const responseData = {
-                    sessionId: dbResult.insertedId,
+                    sessionId,
                     content: content
                 };
                 
@@ -1995,10 +5181,81 @@ Ethical considerations include bias, privacy, job displacement, and AI safety.`,
     }
 });
 
+// Streaming variant of /api/generate: emits each artifact as soon as it is ready
+app.post('/api/generate/stream', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { mode, questionFormat = DEFAULT_QUESTION_FORMAT } = req.body;
+
+        if (!QUESTION_FORMATS.includes(questionFormat)) {
+            return res.status(400).json({ error: `questionFormat must be one of: ${QUESTION_FORMATS.join(', ')}` });
+        }
+
+        const scope = await resolveGenerationScope(req.userId, req.body);
+        if (scope.error) {
+            return res.status(scope.status).json({ error: scope.error });
+        }
+        const { fileIds } = scope;
+
+        const files = await loadGenerationFiles(req.userId, fileIds);
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files found for processing' });
+        }
+
+        const combinedText = files.map(f => f.textContent).join('\n\n');
+        if (combinedText.length === 0) {
+            return res.status(400).json({ error: 'No text content found in uploaded files' });
+        }
+
+        const stream = openEventStream(res);
+        const content = {};
+        // Saved before anything is generated, so every artifact (and its flashcards) is stored as soon as it is ready
+        const source = { fileIds, sessionId: new ObjectId(), courseId: generationCourseId(scope.course, files) };
+        const sessionId = await saveStudySession(req.userId, source, mode, content);
+        const tasks = buildGenerationTasks(combinedText, await planMaterial(req.userId, files), mode, req.userId, questionFormat, source.sessionId);
+        const grounder = fileGrounder(files);
+
+        stream.send('start', { sessionId, mode, questionFormat, tasks: tasks.map(([key]) => key) });
+
+        let completed = 0;
+        await Promise.all(tasks.map(async ([key, promise]) => {
+            try {
+                let artifact = groundArtifact(key, normalizeArtifact(key, await promise), grounder);
+                await recordSectionCoverage(req.userId, artifactItems(key, artifact), key);
+                if (key === 'flashcards') {
+                    artifact = await persistFlashcards(req.userId, source, artifact);
+                }
+                await db.collection('studySessions').updateOne({ _id: sessionId }, { $set: { [`content.${key}`]: artifact } });
+                content[key] = artifact;
+                completed++;
+                console.log(`✅ ${key} generated successfully (streamed)`);
+                stream.send('artifact', { key, content: artifact, completed, total: tasks.length });
+            } catch (error) {
+                completed++;
+                console.error(`❌ Failed to generate ${key}:`, error.message);
+                stream.send('artifact_error', { key, error: error.message, completed, total: tasks.length });
+            }
+        }));
+
+        stream.send('done', { sessionId, content });
+        stream.end();
+    } catch (error) {
+        console.error('❌ Generate stream error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: `Content generation failed: ${error.message}` });
+        }
+        if (eventStreamOpen(res)) {
+            writeEvent(res, 'error', { error: error.message });
+            res.end();
+        }
+    }
+});
+
 // Generate more flashcards endpoint
 app.post('/api/generate-more-flashcards', authenticateToken, async (req, res) => {
     try {
-        const { fileIds, existingTerms = [] } = req.body;
+        await initializeDatabase();
+        const { fileIds, existingTerms = [], sessionId } = req.body;
 
         if (!fileIds || fileIds.length === 0) {
             return res.status(400).json({ error: 'File IDs are required' });
@@ -2019,17 +5276,16 @@ app.post('/api/generate-more-flashcards', authenticateToken, async (req, res) =>
             return res.status(404).json({ error: 'No files found' });
         }
 
-        const allContent = files.map(file => file.textContent || file.content).join('\n\n'); // Handle cases where content might be stored differently
-        const contentChunks = allContent.split('\n\n').filter(chunk => chunk.trim().length > 50);
+        // Generate 6 more flashcards from the section the user has the fewest cards and questions on
+        const MORE_BATCH_SIZE = 6;
+        const [part] = (await planMaterial(req.userId, files)).allocate(MORE_BATCH_SIZE, 1);
 
-        if (contentChunks.length === 0) {
+        if (!part) {
             return res.status(400).json({ error: 'No substantial content found in files' });
         }
 
-        // Generate 6 more flashcards
-        const MORE_BATCH_SIZE = 6;
         const usedTermsList = existingTerms.join(', ');
-        const topic = contentChunks[Math.floor(Math.random() * contentChunks.length)]; // Random chunk for variety
+        const topic = truncateToTokenLimit(part.section.text, 1000);
 
         const prompt = `Create EXACTLY ${MORE_BATCH_SIZE} premium flashcards with enhanced features from this content:
 
@@ -2052,6 +5308,7 @@ Each flashcard must have ALL these elements:
 - category: Subject area
 - difficulty: 1-5 scale
 - importance: 1-5 scale
+- sourceQuote: One sentence (at most 25 words) copied word for word from the content that defines or explains the concept
 
 Return ONLY this JSON structure:
 {
@@ -2068,7 +5325,8 @@ Return ONLY this JSON structure:
             "memoryTips": "Study strategies",
             "category": "Subject",
             "difficulty": 3,
-            "importance": 4
+            "importance": 4,
+            "sourceQuote": "Sentence copied from the content"
         }
     ]
 }`;
@@ -2076,7 +5334,21 @@ Return ONLY this JSON structure:
         const result = await makeValidatedAPICall(prompt, flashcardBatchSchema, validateFlashcardBatch, 'batch_flashcards', 'additional', req.userId);
 
         console.log(`✅ Generated ${result.flashcards.length} additional flashcards`);
-        res.json({ success: true, flashcards: result.flashcards });
+        // Extra cards join the session (and course) they were requested from
+        const session = req.userId !== 'demo' && sessionId && ObjectId.isValid(sessionId)
+            ? await db.collection('studySessions').findOne({ _id: new ObjectId(sessionId), userId: req.userId })
+            : null;
+        const flashcards = await persistFlashcards(req.userId, {
+            fileIds,
+            sessionId: session ? session._id : null,
+            courseId: session ? session.courseId : generationCourseId(null, files)
+        }, groundGenerated(
+            'additional flashcards',
+            result.flashcards.map(card => ({ ...card, section: sectionRef(part.section) })),
+            fileGrounder(files)
+        ));
+        await recordSectionCoverage(req.userId, flashcards, 'flashcards');
+        res.json({ success: true, flashcards });
 
     } catch (error) {
         console.error('❌ Additional flashcards generation failed:', error);
@@ -2087,185 +5359,210 @@ Return ONLY this JSON structure:
     }
 });
 
-// Chat endpoint
-app.post('/api/chat', authenticateToken, async (req, res) => {
-    try {
-        await initializeDatabase();
-        const { message, sessionId } = req.body;
-
-        let session = null;
-
-        if (req.userId === 'demo') {
-            // Demo mode - create mock session with template content
-            session = {
-                _id: 'demo-session',
-                userId: 'demo',
-                fileIds: ['demo-file'],
-                content: {
-                    summary: { overview: "Demo AI content session covering machine learning fundamentals" },
-                    flashcards: [
-                        {
-                            _id: 'demo-card-1',
-                            term: 'Machine Learning',
-                            definition: 'A subset of AI that enables systems to automatically learn and improve from experience without being explicitly programmed',
-                            visualDescription: 'Imagine a student who learns to recognize patterns by studying many examples',
-                            mnemonic: 'ML = Making Learning automatic',
-                            multipleExamples: ['Image recognition systems', 'Recommendation algorithms', 'Spam email detection'],
-                            commonMisconceptions: ['ML is not just automation', 'It requires large amounts of data', 'Not all AI is machine learning'],
-                            connections: ['Connects to neural networks', 'Foundation for deep learning', 'Used in data science'],
-                            practiceQuestion: 'How does supervised learning differ from unsupervised learning?',
-                            memoryTips: 'Think of ML as teaching computers to learn like humans do - through examples and practice',
-                            category: 'AI Fundamentals',
-                            difficulty: 3,
-                            importance: 5
-                        },
-                        {
-                            _id: 'demo-card-2',
-                            term: 'Neural Network',
-                            definition: 'A computing system inspired by biological neural networks that uses interconnected nodes to process information',
-                            visualDescription: 'Like a web of connected brain cells, each node processes and passes information',
-                            mnemonic: 'Neural = Network of artificial neurons',
-                            multipleExamples: ['Image classification networks', 'Language processing models', 'Voice recognition systems'],
-                            commonMisconceptions: ['Not exactly like human brains', 'Requires training to function', 'More nodes doesn\'t always mean better'],
-                            connections: ['Foundation of deep learning', 'Uses machine learning principles', 'Inspired by neuroscience'],
-                            practiceQuestion: 'What role do weights and biases play in neural networks?',
-                            memoryTips: 'Picture neurons in your brain - that\'s the inspiration for artificial neural networks',
-                            category: 'AI Fundamentals',
-                            difficulty: 4,
-                            importance: 4
-                        },
+// Build the Socratic tutor prompt for a message, grounded in the chunks most relevant to it.
+// Returns null when the referenced study session doesn't exist.
+async function prepareTutorChat(userId, message, sessionId) {
+    let session = null;
+
+    if (userId === 'demo') {
+        // Demo mode - create mock session with template content
+        session = {
+            _id: 'demo-session',
+            userId: 'demo',
+            fileIds: ['demo-file'],
+            content: {
+                summary: { overview: "Demo AI content session covering machine learning fundamentals" },
+                flashcards: [
+                    {
+                        _id: 'demo-card-1',
+                        term: 'Machine Learning',
+                        definition: 'A subset of AI that enables systems to automatically learn and improve from experience without being explicitly programmed',
+                        visualDescription: 'Imagine a student who learns to recognize patterns by studying many examples',
+                        mnemonic: 'ML = Making Learning automatic',
+                        multipleExamples: ['Image recognition systems', 'Recommendation algorithms', 'Spam email detection'],
+                        commonMisconceptions: ['ML is not just automation', 'It requires large amounts of data', 'Not all AI is machine learning'],
+                        connections: ['Connects to neural networks', 'Foundation for deep learning', 'Used in data science'],
+                        practiceQuestion: 'How does supervised learning differ from unsupervised learning?',
+                        memoryTips: 'Think of ML as teaching computers to learn like humans do - through examples and practice',
+                        category: 'AI Fundamentals',
+                        difficulty: 3,
+                        importance: 5
+                    },
+                    {
+                        _id: 'demo-card-2',
+                        term: 'Neural Network',
+                        definition: 'A computing system inspired by biological neural networks that uses interconnected nodes to process information',
+                        visualDescription: 'Like a web of connected brain cells, each node processes and passes information',
+                        mnemonic: 'Neural = Network of artificial neurons',
+                        multipleExamples: ['Image classification networks', 'Language processing models', 'Voice recognition systems'],
+                        commonMisconceptions: ['Not exactly like human brains', 'Requires training to function', 'More nodes doesn\'t always mean better'],
+                        connections: ['Foundation of deep learning', 'Uses machine learning principles', 'Inspired by neuroscience'],
+                        practiceQuestion: 'What role do weights and biases play in neural networks?',
+                        memoryTips: 'Picture neurons in your brain - that\'s the inspiration for artificial neural networks',
+                        category: 'AI Fundamentals',
+                        difficulty: 4,
+                        importance: 4
+                    },
+                    {
+                        _id: 'demo-card-3',
+                        term: 'Deep Learning',
+                        definition: 'A subset of machine learning that uses neural networks with multiple layers to model complex patterns in data',
+                        visualDescription: 'Like a multi-story building where each floor processes different aspects of information',
+                        mnemonic: 'Deep = Multiple layers Deep down',
+                        multipleExamples: ['Computer vision systems', 'Natural language processing', 'Autonomous vehicle perception'],
+                        commonMisconceptions: ['Not always better than simple ML', 'Requires significant computational power', 'Black box nature can be problematic'],
+                        connections: ['Advanced form of neural networks', 'Powers modern AI applications', 'Requires machine learning foundations'],
+                        practiceQuestion: 'Why are multiple layers important in deep learning architectures?',
+                        memoryTips: 'The \'deep\' refers to many layers, like diving deep into an ocean of data',
+                        category: 'Advanced AI',
+                        difficulty: 4,
+                        importance: 5
+                    },
+                    {
+                        _id: 'demo-card-4',
+                        term: 'Natural Language Processing',
+                        definition: 'A field of AI focused on enabling computers to understand, interpret, and generate human language',
+                        visualDescription: 'Like a universal translator that understands the meaning behind words and sentences',
+                        mnemonic: 'NLP = Natural Language Processing for computers',
+                        multipleExamples: ['Chatbots and virtual assistants', 'Language translation services', 'Sentiment analysis tools'],
+                        commonMisconceptions: ['Not just keyword matching', 'Context matters significantly', 'Cultural nuances are challenging'],
+                        connections: ['Uses machine learning techniques', 'Often employs neural networks', 'Combines linguistics with AI'],
+                        practiceQuestion: 'How does tokenization help in natural language processing?',
+                        memoryTips: 'Think of NLP as teaching computers to \'speak human\' naturally',
+                        category: 'AI Applications',
+                        difficulty: 3,
+                        importance: 4
+                    },
+                    {
+                        _id: 'demo-card-5',
+                        term: 'Computer Vision',
+                        definition: 'A field of AI that enables computers to interpret and understand visual information from the world',
+                        visualDescription: 'Like giving computers eyes and the brain power to understand what they see',
+                        mnemonic: 'CV = Computer Vision for seeing and understanding',
+                        multipleExamples: ['Medical image analysis', 'Facial recognition systems', 'Object detection in autonomous vehicles'],
+                        commonMisconceptions: ['Not just image filtering', 'Requires understanding context', 'Lighting and angles affect performance'],
+                        connections: ['Heavily uses deep learning', 'Applications in robotics', 'Combines with sensor technology'],
+                        practiceQuestion: 'What are the main challenges in computer vision compared to human vision?',
+                        memoryTips: 'Computer Vision is like teaching a computer to \'see\' and understand images like humans do',
+                        category: 'AI Applications',
+                        difficulty: 4,
+                        importance: 4
+                    }
+                ],
+                questions: {
+                    allQuestions: [
                         {
-                            _id: 'demo-card-3',
-                            term: 'Deep Learning',
-                            definition: 'A subset of machine learning that uses neural networks with multiple layers to model complex patterns in data',
-                            visualDescription: 'Like a multi-story building where each floor processes different aspects of information',
-                            mnemonic: 'Deep = Multiple layers Deep down',
-                            multipleExamples: ['Computer vision systems', 'Natural language processing', 'Autonomous vehicle perception'],
-                            commonMisconceptions: ['Not always better than simple ML', 'Requires significant computational power', 'Black box nature can be problematic'],
-                            connections: ['Advanced form of neural networks', 'Powers modern AI applications', 'Requires machine learning foundations'],
-                            practiceQuestion: 'Why are multiple layers important in deep learning architectures?',
-                            memoryTips: 'The \'deep\' refers to many layers, like diving deep into an ocean of data',
-                            category: 'Advanced AI',
-                            difficulty: 4,
-                            importance: 5
+                            question: "What is the primary characteristic that defines machine learning?",
+                            options: ["Learning from data without explicit programming", "Using only rule-based systems", "Requiring manual updates for new scenarios", "Operating without any training data"],
+                            correctAnswer: "Learning from data without explicit programming",
+                            explanation: "Machine learning's key feature is its ability to learn and improve from data automatically, without being explicitly programmed for every scenario.",
+                            difficulty: 2,
+                            topic: "Machine Learning Fundamentals",
+                            type: "direct",
+                            learningObjective: "Understand the core definition of machine learning",
+                            hints: ["Think about what makes ML different from traditional programming"],
+                            commonMistakes: ["Confusing ML with simple automation"],
+                            timeEstimate: "2 minutes"
                         },
                         {
-                            _id: 'demo-card-4',
-                            term: 'Natural Language Processing',
-                            definition: 'A field of AI focused on enabling computers to understand, interpret, and generate human language',
-                            visualDescription: 'Like a universal translator that understands the meaning behind words and sentences',
-                            mnemonic: 'NLP = Natural Language Processing for computers',
-                            multipleExamples: ['Chatbots and virtual assistants', 'Language translation services', 'Sentiment analysis tools'],
-                            commonMisconceptions: ['Not just keyword matching', 'Context matters significantly', 'Cultural nuances are challenging'],
-                            connections: ['Uses machine learning techniques', 'Often employs neural networks', 'Combines linguistics with AI'],
-                            practiceQuestion: 'How does tokenization help in natural language processing?',
-                            memoryTips: 'Think of NLP as teaching computers to \'speak human\' naturally',
-                            category: 'AI Applications',
+                            question: "In a neural network, what role do weights play?",
+                            options: ["They determine the strength of connections between neurons", "They count the number of layers", "They store the training data", "They determine the network architecture"],
+                            correctAnswer: "They determine the strength of connections between neurons",
+                            explanation: "Weights in neural networks control how much influence one neuron has on another, essentially determining the strength of connections.",
                             difficulty: 3,
-                            importance: 4
+                            topic: "Neural Networks",
+                            type: "direct",
+                            learningObjective: "Understand the function of weights in neural networks",
+                            hints: ["Consider how neurons communicate with each other"],
+                            commonMistakes: ["Thinking weights are just storage for data"],
+                            timeEstimate: "2 minutes"
                         },
                         {
-                            _id: 'demo-card-5',
-                            term: 'Computer Vision',
-                            definition: 'A field of AI that enables computers to interpret and understand visual information from the world',
-                            visualDescription: 'Like giving computers eyes and the brain power to understand what they see',
-                            mnemonic: 'CV = Computer Vision for seeing and understanding',
-                            multipleExamples: ['Medical image analysis', 'Facial recognition systems', 'Object detection in autonomous vehicles'],
-                            commonMisconceptions: ['Not just image filtering', 'Requires understanding context', 'Lighting and angles affect performance'],
-                            connections: ['Heavily uses deep learning', 'Applications in robotics', 'Combines with sensor technology'],
-                            practiceQuestion: 'What are the main challenges in computer vision compared to human vision?',
-                            memoryTips: 'Computer Vision is like teaching a computer to \'see\' and understand images like humans do',
-                            category: 'AI Applications',
-                            difficulty: 4,
-                            importance: 4
+                            question: "What distinguishes deep learning from traditional machine learning?",
+                            options: ["Multiple layers of neural networks", "Faster processing speed", "Less data requirements", "Simpler algorithms"],
+                            correctAnswer: "Multiple layers of neural networks",
+                            explanation: "Deep learning uses neural networks with multiple hidden layers (\"deep\" architecture) to learn complex patterns, unlike traditional ML which often uses simpler, single-layer approaches.",
+                            difficulty: 3,
+                            topic: "Deep Learning",
+                            type: "direct",
+                            learningObjective: "Differentiate deep learning from traditional ML approaches",
+                            hints: ["The word 'deep' refers to the architecture"],
+                            commonMistakes: ["Thinking deep learning is always better than traditional ML"],
+                            timeEstimate: "2 minutes"
                         }
-                    ],
-                    questions: {
-                        allQuestions: [
-                            {
-                                question: "What is the primary characteristic that defines machine learning?",
-                                options: ["Learning from data without explicit programming", "Using only rule-based systems", "Requiring manual updates for new scenarios", "Operating without any training data"],
-                                correctAnswer: "Learning from data without explicit programming",
-                                explanation: "Machine learning's key feature is its ability to learn and improve from data automatically, without being explicitly programmed for every scenario.",
-                                difficulty: 2,
-                                topic: "Machine Learning Fundamentals",
-                                type: "direct",
-                                learningObjective: "Understand the core definition of machine learning",
-                                hints: ["Think about what makes ML different from traditional programming"],
-                                commonMistakes: ["Confusing ML with simple automation"],
-                                timeEstimate: "2 minutes"
-                            },
-                            {
-                                question: "In a neural network, what role do weights play?",
-                                options: ["They determine the strength of connections between neurons", "They count the number of layers", "They store the training data", "They determine the network architecture"],
-                                correctAnswer: "They determine the strength of connections between neurons",
-                                explanation: "Weights in neural networks control how much influence one neuron has on another, essentially determining the strength of connections.",
-                                difficulty: 3,
-                                topic: "Neural Networks",
-                                type: "direct",
-                                learningObjective: "Understand the function of weights in neural networks",
-                                hints: ["Consider how neurons communicate with each other"],
-                                commonMistakes: ["Thinking weights are just storage for data"],
-                                timeEstimate: "2 minutes"
-                            },
-                            {
-                                question: "What distinguishes deep learning from traditional machine learning?",
-                                options: ["Multiple layers of neural networks", "Faster processing speed", "Less data requirements", "Simpler algorithms"],
-                                correctAnswer: "Multiple layers of neural networks",
-                                explanation: "Deep learning uses neural networks with multiple hidden layers (\"deep\" architecture) to learn complex patterns, unlike traditional ML which often uses simpler, single-layer approaches.",
-                                difficulty: 3,
-                                topic: "Deep Learning",
-                                type: "direct",
-                                learningObjective: "Differentiate deep learning from traditional ML approaches",
-                                hints: ["The word 'deep' refers to the architecture"],
-                                commonMistakes: ["Thinking deep learning is always better than traditional ML"],
-                                timeEstimate: "2 minutes"
-                            }
-                        ]
-                    }
-                },
-                mode: 'comprehensive',
-                createdAt: new Date()
-            };
-        } else if (sessionId && ObjectId.isValid(sessionId)) {
-            session = await db.collection('studySessions').findOne({
-                _id: new ObjectId(sessionId),
-                userId: req.userId
-            });
+                    ]
+                }
+            },
+            mode: 'comprehensive',
+            createdAt: new Date()
+        };
+    } else if (sessionId && ObjectId.isValid(sessionId)) {
+        session = await db.collection('studySessions').findOne({
+            _id: new ObjectId(sessionId),
+            userId: userId
+        });
 
-            if (!session) {
-                return res.status(404).json({ error: 'Session not found' });
-            }
-        } else {
-            // Create a default session for the user
-            session = {
-                _id: 'default-session',
-                userId: req.userId,
-                fileIds: [],
-                content: {},
-                mode: 'chat',
-                createdAt: new Date()
-            };
+        if (!session) {
+            return null;
         }
+    } else {
+        // Create a default session for the user
+        session = {
+            _id: 'default-session',
+            userId: userId,
+            fileIds: [],
+            content: {},
+            mode: 'chat',
+            createdAt: new Date()
+        };
+    }
 
-        // Get conversation history for context
-        const conversationHistory = req.userId === 'demo' ? [] : await db.collection('chatHistory').find({
-            sessionId: sessionId,
-            userId: req.userId
-        }).sort({ timestamp: -1 }).limit(10).toArray();
-
-        const files = req.userId === 'demo' || !session ? [] : await db.collection('files').find({
-            _id: { $in: session.fileIds.filter(id => id && id !== 'demo').map(id => new ObjectId(id)) }
+    // Get conversation history for context
+    const conversationHistory = userId === 'demo' ? [] : await db.collection('chatHistory').find({
+        sessionId,
+        userId
+    }).sort({ timestamp: -1 }).limit(10).toArray();
+
+    // Retrieve the chunks most relevant to this message from the session's files (all files for the default session)
+    const sessionFileIds = (session.fileIds || []).filter(id => id && id !== 'demo' && ObjectId.isValid(id));
+    const matches = userId === 'demo' ? [] : await searchChunks(userId, message, { limit: 5, fileIds: sessionFileIds });
+
+    const sourceFiles = matches.length === 0 ? [] : await db.collection('files').find({
+        _id: { $in: [...new Set(matches.map(m => m.chunk.fileId.toString()))].map(id => new ObjectId(id)) }
+    }).project({ filename: 1 }).toArray();
+    const filenames = new Map(sourceFiles.map(f => [f._id.toString(), f.filename]));
+
+    const citations = matches.map(({ chunk }, idx) => ({
+        index: idx + 1,
+        fileId: chunk.fileId.toString(),
+        filename: filenames.get(chunk.fileId.toString()) || 'Document',
+        page: chunk.page,
+        chunkIndex: chunk.chunkIndex,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        snippet: chunk.text.substring(0, 200)
+    }));
+
+    let context = matches.map(({ chunk }, idx) => {
+        const citation = citations[idx];
+        return `[${citation.index}] ${citation.filename}${citation.page ? `, page ${citation.page}` : ''}:\n${chunk.text}`;
+    }).join('\n\n');
+
+    // No indexed chunks (demo user or files without text) - fall back to the start of the session's files
+    if (!context && userId !== 'demo' && sessionFileIds.length > 0) {
+        const files = await db.collection('files').find({
+            _id: { $in: sessionFileIds.map(id => new ObjectId(id)) },
+            userId
         }).toArray();
+        context = files.map(f => f.textContent).join('\n\n').substring(0, 2000);
+    }
 
-        const context = files.map(f => f.textContent).join('\n\n').substring(0, 4000);
-
-        // Build conversation context
-        const recentHistory = conversationHistory.reverse().slice(0, 5);
-        const historyContext = recentHistory.map(h => `${h.role}: ${h.message}`).join('\n');
+    // Build conversation context
+    const recentHistory = conversationHistory.reverse().slice(0, 5);
+    const historyContext = recentHistory.map(h => `${h.role}: ${h.message}`).join('\n');
 
-        // Enhanced Socratic tutoring prompt (inspired by Khanmigo)
-        const tutorPrompt = `You are an expert AI tutor using the Socratic method to help students learn. Your role is to GUIDE students to discover answers through thoughtful questioning rather than giving direct answers.
+    // Enhanced Socratic tutoring prompt (inspired by Khanmigo)
+    const tutorPrompt = `You are an expert AI tutor using the Socratic method to help students learn. Your role is to GUIDE students to discover answers through thoughtful questioning rather than giving direct answers.
 
 CORE PRINCIPLES:
 1. Ask leading questions that help students think through problems
@@ -2276,7 +5573,8 @@ CORE PRINCIPLES:
 6. Adapt to the student's learning level and pace
 
 CONVERSATION CONTEXT:
-Study Material: ${context ? context.substring(0, 2000) : 'General academic content'}
+Study Material (numbered sources):
+${context || 'General academic content'}
 
 RECENT CONVERSATION:
 ${historyContext}
@@ -2290,45 +5588,137 @@ RESPONSE GUIDELINES:
 - If student answers correctly, praise them and ask deeper questions to extend learning
 - Keep responses conversational, encouraging, and educational
 - Limit responses to 2-3 sentences to maintain engagement
+- When you draw on a numbered source, cite it inline as [1], [2], etc.
 
 Respond as an encouraging tutor who helps students discover knowledge through questioning:`;
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                {
-                    role: "system",
-                    content: tutorPrompt
-                },
-                {
-                    role: "user",
-                    content: message
-                }
-            ],
+    return { tutorPrompt, citations };
+}
+
+// Keep only the sources the tutor actually cited (all of them if it cited none) and save the exchange
+async function recordTutorReply(userId, sessionId, message, aiResponse, citations) {
+    const citedIndexes = new Set([...aiResponse.matchAll(/\[(\d+)\]/g)].map(m => parseInt(m[1], 10)));
+    if (citations.some(c => citedIndexes.has(c.index))) {
+        citations = citations.filter(c => citedIndexes.has(c.index));
+    }
+
+    await db.collection('chatHistory').insertOne({
+        userId,
+        sessionId,
+        message,
+        response: aiResponse,
+        citations,
+        timestamp: new Date()
+    });
+
+    return citations;
+}
+
+function buildTutorMessages(tutorPrompt, message) {
+    return [
+        {
+            role: "system",
+            content: tutorPrompt
+        },
+        {
+            role: "user",
+            content: message
+        }
+    ];
+}
+
+// Chat endpoint
+app.post('/api/chat', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { message, sessionId } = req.body;
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message must be a non-empty string' });
+        }
+
+        const tutorChat = await prepareTutorChat(req.userId, message, sessionId);
+        if (!tutorChat) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const response = await llm.createChatCompletion({
+            messages: buildTutorMessages(tutorChat.tutorPrompt, message),
             temperature: 0.7,
             max_tokens: 500
         });
 
         const aiResponse = response.choices[0].message.content;
+        const citations = await recordTutorReply(req.userId, sessionId, message, aiResponse, tutorChat.citations);
 
-        await db.collection('chatHistory').insertOne({
-            userId: req.userId,
-            sessionId,
-            message,
-            response: aiResponse,
-            timestamp: new Date()
-        });
-
-        res.json({ response: aiResponse });
+        res.json({ response: aiResponse, citations });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Streaming chat: sends the tutor reply token by token, then the final response with citations
+app.post('/api/chat/stream', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { message, sessionId } = req.body;
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message must be a non-empty string' });
+        }
+
+        const tutorChat = await prepareTutorChat(req.userId, message, sessionId);
+        if (!tutorChat) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const stream = openEventStream(res);
+        let aiResponse = '';
+
+        for await (const part of llm.streamChatCompletion({
+            messages: buildTutorMessages(tutorChat.tutorPrompt, message),
+            temperature: 0.7,
+            max_tokens: 500
+        }, { signal: stream.signal })) {
+            if (part.delta) {
+                aiResponse += part.delta;
+                stream.send('token', { text: part.delta });
+            }
+            if (part.usage) {
+                trackTokenUsage(req.userId, llm.chatModel, part.usage);
+            }
+        }
+
+        // A reply cut off by the client leaving is not saved
+        if (stream.signal.aborted) {
+            return;
+        }
+        const citations = await recordTutorReply(req.userId, sessionId, message, aiResponse, tutorChat.citations);
+        stream.send('done', { response: aiResponse, citations });
+        stream.end();
+    } catch (error) {
+        if (res.headersSent && !eventStreamOpen(res)) {
+            console.log(`🔌 Chat stream closed by the client (${error.message})`);
+            return;
+        }
+        console.error('❌ Chat stream error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: error.message });
+        }
+        writeEvent(res, 'error', { error: error.message });
+        res.end();
+    }
+});
+
 app.post('/api/spaced-repetition/review', authenticateToken, async (req, res) => {
     try {
         await initializeDatabase();
-        const { cardId, quality } = req.body;
+        const { cardId, quality, responseTimeMs } = req.body;
+
+        if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+            return res.status(400).json({ error: 'quality must be an integer from 0 to 5' });
+        }
+        if (responseTimeMs !== undefined && responseTimeMs !== null && !(Number.isFinite(responseTimeMs) && responseTimeMs >= 0)) {
+            return res.status(400).json({ error: 'responseTimeMs must be a non-negative number of milliseconds' });
+        }
 
         let card = null;
 
@@ -2361,44 +5751,223 @@ app.post('/api/spaced-repetition/review', authenticateToken, async (req, res) =>
             });
         }
 
-        if (!card && req.userId !== 'demo') {
+        if (!card) {
             return res.status(404).json({ error: 'Card not found' });
         }
 
+        const settings = await getSpacedRepetitionSettings(req.userId, card.courseId);
+        const { update, log } = scheduleReview(card, quality, settings, responseTimeMs === undefined ? null : responseTimeMs);
+
+        // Demo cards aren't stored, so just report the schedule they would get
         if (req.userId !== 'demo') {
-            const { repetitions, interval, easeFactor, nextReview } = calculateSpacedRepetition(
-                quality,
-                card.repetitions || 0,
-                card.easeFactor || 2.5,
-                card.interval || 1
-            );
+            await db.collection('flashcards').updateOne({ _id: card._id }, { $set: update });
+            await db.collection('review_logs').insertOne(log);
 
-            await db.collection('flashcards').updateOne(
-                { _id: cardId && cardId !== 'demo' ? new ObjectId(cardId) : null },
+            await db.collection('users').updateOne(
+                { _id: new ObjectId(req.userId) },
                 {
-                    $set: {
-                        repetitions,
-                        interval,
-                        easeFactor,
-                        nextReview,
-                        lastReview: new Date()
+                    $inc: {
+                        'studyStats.cardsReviewed': 1
                     }
                 }
             );
 
-            if (req.userId !== 'demo') {
-                await db.collection('users').updateOne(
-                    { _id: new ObjectId(req.userId) },
-                    {
-                        $inc: {
-                            'studyStats.cardsReviewed': 1
-                        }
-                    }
-                );
+            const today = log.reviewedAt.toISOString().split('T')[0];
+            await db.collection('dailyStats').updateOne(
+                { userId: req.userId, date: today },
+                {
+                    $inc: { cardsReviewed: 1 },
+                    $setOnInsert: { date: today, userId: req.userId }
+                },
+                { upsert: true }
+            );
+        }
+
+        res.json({
+            cardId: card._id,
+            scheduler: update.scheduler,
+            repetitions: update.repetitions,
+            interval: update.interval,
+            easeFactor: update.easeFactor,
+            nextReview: update.nextReview,
+            fsrs: update.fsrs || card.fsrs || null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/spaced-repetition/settings', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const settings = await getSpacedRepetitionSettings(req.userId);
+        res.json({ ...settings, schedulers: SCHEDULERS, defaultFsrsWeights: FSRS_DEFAULT_WEIGHTS });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/spaced-repetition/settings', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const { scheduler, requestRetention } = req.body;
+
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to change scheduler settings' });
+        }
+        if (scheduler !== undefined && !SCHEDULERS.includes(scheduler)) {
+            return res.status(400).json({ error: `scheduler must be one of: ${SCHEDULERS.join(', ')}` });
+        }
+        if (requestRetention !== undefined && !(typeof requestRetention === 'number' && requestRetention >= 0.7 && requestRetention <= 0.99)) {
+            return res.status(400).json({ error: 'requestRetention must be a number between 0.7 and 0.99' });
+        }
+
+        const $set = {};
+        if (scheduler !== undefined) $set['spacedRepetition.scheduler'] = scheduler;
+        if (requestRetention !== undefined) $set['spacedRepetition.requestRetention'] = requestRetention;
+
+        if (Object.keys($set).length > 0) {
+            await db.collection('users').updateOne({ _id: new ObjectId(req.userId) }, { $set });
+        }
+
+        res.json(await getSpacedRepetitionSettings(req.userId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Review logs a fit reads at most (several seconds of fitting); the cards reviewed most recently are used whole
+const MAX_FIT_REVIEW_LOGS = 20000;
+// A fit still marked running after this long died with its server process and may be started again
+const FSRS_FIT_STALE_MS = 10 * 60 * 1000;
+
+// Review histories ([{ rating, elapsedDays }] per card, oldest first) of the cards reviewed most recently
+async function loadFitHistories(userId) {
+    const cards = await db.collection('review_logs').aggregate([
+        { $match: { userId } },
+        { $group: { _id: '$cardId', reviews: { $sum: 1 }, lastReviewedAt: { $max: '$reviewedAt' } } },
+        { $sort: { lastReviewedAt: -1 } }
+    ]).toArray();
+
+    const cardIds = [];
+    let total = 0;
+    for (const card of cards) {
+        if (total + card.reviews > MAX_FIT_REVIEW_LOGS) break;
+        cardIds.push(card._id);
+        total += card.reviews;
+    }
+
+    const logs = await db.collection('review_logs')
+        .find({ userId, cardId: { $in: cardIds } }, { projection: { cardId: 1, rating: 1, elapsedDays: 1 } })
+        .sort({ cardId: 1, reviewedAt: 1 })
+        .toArray();
+
+    const histories = new Map();
+    for (const log of logs) {
+        const key = log.cardId.toString();
+        if (!histories.has(key)) histories.set(key, []);
+        histories.get(key).push({ rating: log.rating, elapsedDays: log.elapsedDays });
+    }
+    return [...histories.values()];
+}
+
+function fitFsrsWeightsInWorker(histories) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'fsrs-fit-worker.js'), { workerData: { histories } });
+        worker.once('message', message => (message.error ? reject(new Error(message.error)) : resolve(message.fit)));
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (code !== 0) reject(new Error(`FSRS fit worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+// Run a fit started by the optimize route and record how it ended on the user
+async function runFsrsFit(userId, histories) {
+    const userFilter = { _id: new ObjectId(userId) };
+    try {
+        const fit = await fitFsrsWeightsInWorker(histories);
+        await db.collection('users').updateOne(userFilter, {
+            $set: {
+                'spacedRepetition.fsrsWeights': fit.weights,
+                'spacedRepetition.fsrsFittedAt': new Date(),
+                'spacedRepetition.fsrsFit.status': 'done',
+                'spacedRepetition.fsrsFit.finishedAt': new Date(),
+                'spacedRepetition.fsrsFit.initialLoss': fit.initialLoss,
+                'spacedRepetition.fsrsFit.loss': fit.loss
+            }
+        });
+        console.log(`🧮 Fitted FSRS weights for ${userId}: log-loss ${fit.initialLoss.toFixed(4)} -> ${fit.loss.toFixed(4)}`);
+    } catch (error) {
+        console.error(`❌ FSRS fit failed for ${userId}:`, error.message);
+        await db.collection('users').updateOne(userFilter, {
+            $set: {
+                'spacedRepetition.fsrsFit.status': 'failed',
+                'spacedRepetition.fsrsFit.finishedAt': new Date(),
+                'spacedRepetition.fsrsFit.error': error.message
             }
+        });
+    }
+}
+
+// Start fitting personal FSRS weights from the user's logged reviews (under either scheduler). The fit runs
+// in the background; poll GET /api/spaced-repetition/fsrs/optimize for the result.
+app.post('/api/spaced-repetition/fsrs/optimize', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+
+        if (req.userId === 'demo') {
+            return res.status(403).json({ error: 'Sign in to fit scheduler parameters' });
+        }
+
+        const histories = await loadFitHistories(req.userId);
+        const reviewCount = histories.reduce((sum, history) => sum + Math.max(0, history.length - 1), 0);
+        if (reviewCount < MIN_REVIEWS_FOR_FIT) {
+            return res.status(400).json({ error: `At least ${MIN_REVIEWS_FOR_FIT} repeat reviews are needed to fit FSRS parameters (found ${reviewCount})` });
+        }
+
+        // Claim the fit atomically, so one user can't have several running at once
+        const startedAt = new Date();
+        const fsrsFit = { status: 'running', startedAt, finishedAt: null, reviewCount, cardCount: histories.length, initialLoss: null, loss: null, error: null };
+        const claimed = await db.collection('users').updateOne(
+            {
+                _id: new ObjectId(req.userId),
+                $or: [
+                    { 'spacedRepetition.fsrsFit.status': { $ne: 'running' } },
+                    { 'spacedRepetition.fsrsFit.startedAt': { $lt: new Date(startedAt.getTime() - FSRS_FIT_STALE_MS) } }
+                ]
+            },
+            { $set: { 'spacedRepetition.fsrsFit': fsrsFit } }
+        );
+        if (claimed.matchedCount === 0) {
+            return res.status(409).json({ error: 'A fit is already running' });
         }
 
-        res.json({ nextReview, interval });
+        runFsrsFit(req.userId, histories);
+        res.status(202).json(fsrsFit);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Progress of the latest fit: status running, done (weights saved) or failed (with the error)
+app.get('/api/spaced-repetition/fsrs/optimize', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+
+        if (req.userId === 'demo') {
+            return res.json({ status: 'none' });
+        }
+
+        const user = await db.collection('users').findOne(
+            { _id: new ObjectId(req.userId) },
+            { projection: { 'spacedRepetition.fsrsFit': 1, 'spacedRepetition.fsrsWeights': 1 } }
+        );
+        const fsrsFit = user && user.spacedRepetition && user.spacedRepetition.fsrsFit;
+        if (!fsrsFit) {
+            return res.json({ status: 'none' });
+        }
+        res.json({ ...fsrsFit, ...(fsrsFit.status === 'done' ? { weights: user.spacedRepetition.fsrsWeights } : {}) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -2489,10 +6058,17 @@ app.get('/api/spaced-repetition/due/:userId', authenticateToken, async (req, res
                 }
             ];
         } else if (ObjectId.isValid(req.userId)) {
-            dueCards = await db.collection('flashcards').find({
+            const query = {
                 userId: req.userId,
                 nextReview: { $lte: new Date() }
-            }).limit(20).toArray();
+            };
+            if (req.query.courseId) {
+                query.courseId = courseIdParam(req.query.courseId);
+                if (query.courseId === undefined) {
+                    return res.status(400).json({ error: 'Invalid courseId' });
+                }
+            }
+            dueCards = await db.collection('flashcards').find(query).sort({ nextReview: 1 }).limit(20).toArray();
         }
 
         res.json({ cards: dueCards });
@@ -2523,66 +6099,60 @@ app.get('/api/stats/:userId', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Invalid user ID format' });
         }
 
-        const user = await db.collection('users').findOne({ _id: new ObjectId(req.userId) });
+        // Optional course filter for card and test figures; study time and streak stay account-wide
+        const courseId = req.query.courseId ? courseIdParam(req.query.courseId) : undefined;
+        if (req.query.courseId && courseId === undefined) {
+            return res.status(400).json({ error: 'Invalid courseId' });
+        }
 
-        // Return default stats if user not found
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.userId) });
         if (!user) {
-            return res.json({
-                totalStudyTime: 0,
-                cardsReviewed: 0,
-                questionsAnswered: 0,
-                streak: 0,
-                weeklyProgress: [],
-                accuracy: 0,
-                mastery: 0
-            });
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Ensure user has studyStats with defaults
-        const studyStats = user.studyStats || {
-            totalStudyTime: 0,
-            cardsReviewed: 0,
-            questionsAnswered: 0,
-            streak: 0
-        };
-
-        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        const dailyStats = await db.collection('dailyStats').find({
-            userId: req.userId,
-            date: { $gte: weekAgo }
-        }).toArray().catch(() => []);
+        const studyStats = user.studyStats || {};
+        const courseFilter = courseId !== undefined ? { courseId } : {};
+
+        const [results, cards, days] = await Promise.all([
+            db.collection('testResults').find(
+                { userId: req.userId, ...courseFilter },
+                { projection: { correct: 1, topic: 1 } }
+            ).toArray(),
+            db.collection('flashcards').find(
+                { userId: req.userId, ...courseFilter },
+                { projection: { term: 1, front: 1, repetitions: 1, interval: 1, fsrs: 1, lastReview: 1 } }
+            ).toArray(),
+            db.collection('dailyStats').find({ userId: req.userId }).sort({ date: 1 }).toArray()
+        ]);
 
-        const recentTests = await db.collection('testResults').find({
-            userId: req.userId
-        }).sort({ date: -1 }).limit(10).toArray().catch(() => []);
+        const { accuracy } = computeAccuracy(results);
+        const mastery = computeConceptMastery(cards);
 
-        const avgAccuracy = recentTests.length > 0
-            ? recentTests.reduce((sum, t) => sum + (t.accuracy || 0), 0) / recentTests.length
-            : Math.floor(Math.random() * 30) + 70; // Demo accuracy between 70-100%
+        // Only days with something recorded count towards the streak
+        const activeDates = days
+            .filter(day => typeof day.date === 'string' && ((day.studyMinutes || 0) + (day.questionsAnswered || 0) + (day.cardsReviewed || 0)) > 0)
+            .map(day => day.date);
+        const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-        const mastery = Math.round(avgAccuracy * 0.7 + (studyStats.cardsReviewed * 0.3 / Math.max(1, studyStats.cardsReviewed)));
+        const cardsReviewed = courseId !== undefined
+            ? await db.collection('review_logs').countDocuments({ userId: req.userId, courseId })
+            : studyStats.cardsReviewed || 0;
 
         res.json({
             totalStudyTime: studyStats.totalStudyTime || 0,
-            cardsReviewed: studyStats.cardsReviewed || 0,
-            questionsAnswered: studyStats.questionsAnswered || 0,
-            streak: studyStats.streak || 0,
-            weeklyProgress: dailyStats || [],
-            accuracy: Math.round(avgAccuracy) || 0,
-            mastery: Math.min(100, mastery) || 0
+            cardsReviewed,
+            questionsAnswered: courseId !== undefined ? results.length : studyStats.questionsAnswered || 0,
+            streak: computeStreak(activeDates),
+            weeklyProgress: days.filter(day => typeof day.date === 'string' && day.date >= weekAgo),
+            accuracy,
+            mastery: mastery.overall,
+            topicAccuracy: computeTopicAccuracy(results),
+            conceptMastery: mastery.concepts.slice(0, 50),
+            conceptCount: mastery.concepts.length
         });
     } catch (error) {
         console.error('Stats API error:', error);
-        // Return sample data on error to prevent UI breaks
-        res.json({
-            totalStudyTime: 5,
-            cardsReviewed: 12,
-            questionsAnswered: 25,
-            streak: 2,
-            weeklyProgress: [],
-            accuracy: 78,
-            mastery: 65
-        });
+        res.status(500).json({ error: `Failed to load statistics: ${error.message}` });
     }
 });
 
@@ -2620,6 +6190,131 @@ app.post('/api/stats/update-time', authenticateToken, async (req, res) => {
     }
 });
 
+// Review logs in the last `days` days (all time when days is missing), optionally for one course
+async function loadReviewLogs(userId, days, courseId) {
+    const query = { userId };
+    if (days) {
+        query.reviewedAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+    if (courseId !== undefined) {
+        query.courseId = courseId;
+    }
+    return await db.collection('review_logs').find(query).sort({ reviewedAt: 1 }).toArray();
+}
+
+function parseDaysParam(value, fallback, max) {
+    const days = parseInt(value, 10);
+    return Number.isInteger(days) && days > 0 ? Math.min(days, max) : fallback;
+}
+
+app.get('/api/analytics/retention', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const days = parseDaysParam(req.query.days, 30, 3650);
+        const courseId = req.query.courseId ? courseIdParam(req.query.courseId) : undefined;
+        if (req.query.courseId && courseId === undefined) {
+            return res.status(400).json({ error: 'Invalid courseId' });
+        }
+        const logs = req.userId === 'demo' ? [] : await loadReviewLogs(req.userId, days, courseId);
+
+        res.json({ days, ...computeRetention(logs) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One forgetting curve per deck: per course by default, or per generated session with ?groupBy=session
+app.get('/api/analytics/forgetting-curves', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const groupBy = req.query.groupBy === 'session' ? 'session' : 'course';
+        const field = groupBy === 'session' ? 'sessionId' : 'courseId';
+        const collection = groupBy === 'session' ? 'studySessions' : 'courses';
+
+        const logs = req.userId === 'demo' ? [] : await loadReviewLogs(req.userId, null);
+        const curves = computeForgettingCurves(logs, log => (log[field] ? log[field].toString() : 'unassigned'));
+
+        const deckIds = curves.map(curve => curve.key).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+        const decks = deckIds.length > 0
+            ? await db.collection(collection).find(
+                { _id: { $in: deckIds }, userId: req.userId },
+                { projection: { name: 1, mode: 1, createdAt: 1 } }
+            ).toArray()
+            : [];
+        const decksById = new Map(decks.map(deck => [deck._id.toString(), deck]));
+
+        res.json({
+            groupBy,
+            decks: curves.map(({ key, reviews, points }) => {
+                const deck = decksById.get(key);
+                return {
+                    deckId: key === 'unassigned' ? null : key,
+                    name: deck ? (deck.name || `${deck.mode} session`) : null,
+                    createdAt: deck ? deck.createdAt : null,
+                    reviews,
+                    points
+                };
+            })
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/analytics/review-forecast', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        const days = parseDaysParam(req.query.days, 30, 365);
+        const courseId = req.query.courseId ? courseIdParam(req.query.courseId) : undefined;
+        if (req.query.courseId && courseId === undefined) {
+            return res.status(400).json({ error: 'Invalid courseId' });
+        }
+        const cards = req.userId === 'demo' ? [] : await db.collection('flashcards').find(
+            { userId: req.userId, ...(courseId !== undefined ? { courseId } : {}) },
+            { projection: { nextReview: 1 } }
+        ).toArray();
+
+        res.json(forecastReviewLoad(cards, days));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Quality gate results for the user's generations: rejection rates and issue counts per prompt,
+// or the individual batch reports of one Keep Going, exam or generated session with ?sessionId=
+app.get('/api/analytics/question-quality', authenticateToken, async (req, res) => {
+    try {
+        await initializeDatabase();
+        if (req.query.sessionId) {
+            const owned = ObjectId.isValid(req.query.sessionId)
+                ? { _id: new ObjectId(req.query.sessionId), userId: req.userId }
+                : null;
+            const session = owned && (
+                await db.collection('study_sessions').findOne(owned, { projection: { _id: 1 } }) ||
+                await db.collection('studySessions').findOne(owned, { projection: { _id: 1 } })
+            );
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            const reports = await db.collection('question_quality_reports')
+                .find({ sessionId: String(req.query.sessionId), userId: req.userId })
+                .sort({ createdAt: 1 })
+                .toArray();
+            return res.json({ reports });
+        }
+
+        const days = parseDaysParam(req.query.days, 30, 365);
+        const reports = await db.collection('question_quality_reports')
+            .find({ userId: req.userId, createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } })
+            .project({ prompt: 1, received: 1, accepted: 1, repaired: 1, rejected: 1, issues: 1 })
+            .toArray();
+
+        res.json({ days, prompts: summarizeQualityReports(reports) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post('/api/create-checkout-session', authenticateToken, async (req, res) => {
     try {
         const { priceId } = req.body;
@@ -2714,9 +6409,10 @@ app.post('/api/adaptive-practice', authenticateToken, async (req, res) => {
 
         // Get the user's uploaded content for generating new template questions
         let contentText = 'General study material';
+        let files = [];
 
         if (fileIds && fileIds.length > 0 && req.userId !== 'demo') {
-            const files = await db.collection('files').find({
+            files = await db.collection('files').find({
                 _id: { $in: fileIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) },
                 userId: req.userId
             }).toArray();
@@ -2751,10 +6447,13 @@ Return ONLY valid JSON:
             "learningObjective": "What this reinforces",
             "hints": ["Helpful hint"],
             "commonMistakes": ["Common mistake"],
-            "timeEstimate": "2 minutes"
+            "timeEstimate": "2 minutes",
+            "sourceQuote": "Sentence from the content the question tests"
         }
     ]
-}`;
+}
+
+${SOURCE_QUOTE_INSTRUCTION}`;
 
         const twistedPrompt = `Generate 4 NEW "twisted" application questions from this content, focusing on weak areas: ${weakAreas?.join(', ') || 'General review'}.
 
@@ -2780,16 +6479,19 @@ Return ONLY valid JSON:
             "learningObjective": "Practical application",
             "hints": ["Application hint"],
             "commonMistakes": ["Application mistake"],
-            "timeEstimate": "3 minutes"
+            "timeEstimate": "3 minutes",
+            "sourceQuote": "Sentence from the content the scenario builds on"
         }
     ]
-}`;
+}
+
+${SOURCE_QUOTE_INSTRUCTION}`;
 
         // Generate both sets of questions
         const directResult = await makeValidatedAPICall(directPrompt, templateQuestionSchema, validateTemplateQuestions, 'template_questions', 'keep-going-direct', req.userId);
         const twistedResult = await makeValidatedAPICall(twistedPrompt, templateQuestionSchema, validateTemplateQuestions, 'template_questions', 'keep-going-twisted', req.userId);
 
-        const allQuestions = [...(directResult.questions || []), ...(twistedResult.questions || [])];
+        const allQuestions = groundGenerated('keep going questions', [...(directResult.questions || []), ...(twistedResult.questions || [])], fileGrounder(files));
 
         console.log(`✅ Generated Keep Going questions: ${directResult.questions?.length || 0} direct + ${twistedResult.questions?.length || 0} twisted = ${allQuestions.length} total`);
 
@@ -2816,6 +6518,7 @@ Return ONLY valid JSON:
 
 app.get('/api/content/:type', authenticateToken, async (req, res) => {
     try {
+        await initializeDatabase();
         const { type } = req.params;
 
         if (req.userId === 'demo') {
@@ -2989,10 +6692,15 @@ app.get('/api/content/:type', authenticateToken, async (req, res) => {
             return res.json(demoContent[type] || { error: 'Content type not found' });
         }
 
-        // For real users, fetch from database
-        const session = await db.collection('studySessions').findOne({
-            userId: req.userId
-        });
+        // For real users, the most recent session (optionally within one course)
+        const query = { userId: req.userId };
+        if (req.query.courseId) {
+            query.courseId = courseIdParam(req.query.courseId);
+            if (query.courseId === undefined) {
+                return res.status(400).json({ error: 'Invalid courseId' });
+            }
+        }
+        const session = await db.collection('studySessions').findOne(query, { sort: { createdAt: -1 } });
 
         if (!session) {
             return res.status(404).json({ error: 'No study session found' });
@@ -3035,6 +6743,9 @@ async function startServer() {
         console.log('🔄 Initializing database...');
         await initializeDatabase();
         console.log('✅ Database initialized successfully');
+
+        // Resume uploads queued before the last shutdown
+        runUploadWorker();
         
         // Start server with testing checklist integration
         app.listen(PORT, '0.0.0.0', async () => {
@@ -0,0 +1,51 @@
+/**
+ * SM-2 Scheduler
+ * The classic SuperMemo-2 algorithm: a repetition count, an ease factor and
+ * an interval in days per card, updated from a 0-5 recall quality.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+// Review state of a card that has never been reviewed: due straight away
+function newCardState(now = new Date()) {
+    return {
+        repetitions: 0,
+        easeFactor: INITIAL_EASE_FACTOR,
+        interval: 0,
+        nextReview: now,
+        lastReview: null
+    };
+}
+
+function calculateSpacedRepetition(quality, repetitions, easeFactor, interval, now = new Date()) {
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+    } else {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions += 1;
+    }
+
+    easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        repetitions,
+        interval,
+        easeFactor,
+        nextReview: new Date(now.getTime() + interval * DAY_MS)
+    };
+}
+
+module.exports = {
+    calculateSpacedRepetition,
+    newCardState,
+    INITIAL_EASE_FACTOR
+};
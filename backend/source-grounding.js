@@ -0,0 +1,156 @@
+/**
+ * Source Grounding
+ * Ties each generated question or flashcard to the passage it came from: the
+ * model quotes the sentence it used, the quote is looked up in the files'
+ * extracted text, and the item gets a source reference (file, chunk, page,
+ * character range). Items whose quote can't be found are flagged as possibly
+ * hallucinated instead of being dropped.
+ */
+
+const { chunkText, pageForOffset } = require('./document-chunker');
+
+// Prompt line asking for the quote each generated item is checked against
+const SOURCE_QUOTE_INSTRUCTION = '- "sourceQuote": one sentence (at most 25 words) copied word for word from the content, the one the item is based on';
+
+// Quotes shorter than this match almost anywhere, so they prove nothing
+const MIN_QUOTE_WORDS = 3;
+
+// Curly quotes, dashes and odd spaces that models and PDF extraction disagree on
+const CHARACTER_EQUIVALENTS = {
+    '‘': "'", '’': "'", '‚': "'", '′': "'",
+    '“': '"', '”': '"', '„': '"', '″': '"',
+    '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '−': '-',
+    '\u00a0': ' ', '\u00ad': ''
+};
+
+/**
+ * Lowercase, unify equivalent characters and collapse whitespace, keeping for every
+ * character of the result the offset it came from in the original text.
+ */
+function normalizeWithOffsets(text) {
+    let normalized = '';
+    const offsets = [];
+    let pendingSpace = false;
+
+    for (let i = 0; i < text.length; i++) {
+        let char = text[i];
+        if (char in CHARACTER_EQUIVALENTS) char = CHARACTER_EQUIVALENTS[char];
+        if (char === '') continue;
+
+        if (/\s/.test(char)) {
+            pendingSpace = normalized.length > 0;
+            continue;
+        }
+        if (pendingSpace) {
+            normalized += ' ';
+            offsets.push(i);
+            pendingSpace = false;
+        }
+        normalized += char.toLowerCase();
+        offsets.push(i);
+    }
+
+    return { normalized, offsets };
+}
+
+// The quote as the model wrote it, without wrapping quotation marks or a trailing ellipsis
+function cleanQuote(quote) {
+    return String(quote || '')
+        .trim()
+        .replace(/^["'“‘]+|["'”’]+$/g, '')
+        .replace(/(\.\.\.|…)$/, '')
+        .trim();
+}
+
+/**
+ * Find a quote in one document's text (haystack is the text's normalizeWithOffsets, when already computed).
+ * Returns { startOffset, endOffset } in the original text, or null when it isn't there.
+ */
+function locateQuote(quote, text, haystack = null) {
+    const cleaned = cleanQuote(quote);
+    if (cleaned.split(/\s+/).filter(Boolean).length < MIN_QUOTE_WORDS || !text) {
+        return null;
+    }
+
+    const needle = normalizeWithOffsets(cleaned).normalized;
+    haystack = haystack || normalizeWithOffsets(text);
+    let at = haystack.normalized.indexOf(needle);
+
+    // Models often drop the sentence's closing punctuation or add one the text doesn't have
+    if (at === -1 && /[.!?;:,]$/.test(needle)) {
+        at = haystack.normalized.indexOf(needle.slice(0, -1));
+        if (at !== -1) {
+            return { startOffset: haystack.offsets[at], endOffset: haystack.offsets[at + needle.length - 2] + 1 };
+        }
+    }
+    if (at === -1) return null;
+
+    return { startOffset: haystack.offsets[at], endOffset: haystack.offsets[at + needle.length - 1] + 1 };
+}
+
+/**
+ * Build the grounding context for a set of files: { fileId, filename, text, pages } each.
+ * Chunks are computed on demand the same way they are indexed, so chunkIndex matches file_chunks.
+ */
+function createGrounder(documents) {
+    const haystacks = new Map();
+    const chunks = new Map();
+    const cached = (cache, document, build) => {
+        if (!cache.has(document.fileId)) cache.set(document.fileId, build());
+        return cache.get(document.fileId);
+    };
+
+    // Reference for a quote, or null when no document contains it
+    function findSource(quote) {
+        for (const document of documents) {
+            const span = locateQuote(quote, document.text, cached(haystacks, document, () => normalizeWithOffsets(document.text || '')));
+            if (!span) continue;
+
+            const chunk = cached(chunks, document, () => chunkText(document.text, { pages: document.pages }))
+                .find(c => span.startOffset >= c.startOffset && span.startOffset < c.endOffset);
+            return {
+                fileId: document.fileId,
+                filename: document.filename,
+                chunkIndex: chunk ? chunk.chunkIndex : null,
+                page: pageForOffset(document.pages, span.startOffset),
+                startOffset: span.startOffset,
+                endOffset: span.endOffset,
+                quote: document.text.substring(span.startOffset, span.endOffset)
+            };
+        }
+        return null;
+    }
+
+    // Replace an item's sourceQuote with a verified source reference (or the flag saying there isn't one)
+    // (items generated before quotes were asked for are left as they are)
+    function groundItem(item) {
+        if (!item || typeof item !== 'object' || !('sourceQuote' in item)) return item;
+
+        const { sourceQuote, ...rest } = item;
+        const source = findSource(sourceQuote);
+        if (source) {
+            return { ...rest, source: { ...source, verified: true }, possiblyHallucinated: false };
+        }
+        return { ...rest, source: { quote: cleanQuote(sourceQuote), verified: false }, possiblyHallucinated: true };
+    }
+
+    return {
+        groundItem,
+        groundItems: items => (Array.isArray(items) ? items.map(groundItem) : items)
+    };
+}
+
+// Counts for logging and reports: how many items in a grounded list point at real text
+function groundingSummary(items) {
+    const grounded = (items || []).filter(item => item && item.source);
+    const unverified = grounded.filter(item => item.possiblyHallucinated).length;
+    return { total: grounded.length, verified: grounded.length - unverified, unverified };
+}
+
+module.exports = {
+    locateQuote,
+    createGrounder,
+    groundingSummary,
+    SOURCE_QUOTE_INSTRUCTION,
+    MIN_QUOTE_WORDS
+};
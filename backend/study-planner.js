@@ -0,0 +1,293 @@
+/**
+ * Study Planner
+ * Turns a set of topics, an exam date and a daily time budget into a
+ * day-by-day plan of study blocks, spaced reviews and mock exams, and
+ * rebalances the unfinished work over the remaining days when the user
+ * falls behind or changes the plan.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Study pace for textbook material (reading plus taking notes)
+const STUDY_WORDS_PER_MINUTE = 60;
+const MIN_TOPIC_MINUTES = 10;
+// A split section's text before its first subsection is studied on its own when at least this long
+const MIN_INTRO_WORDS = 120;
+// Longest single study block; longer topics are split into parts
+const MAX_BLOCK_MINUTES = 60;
+// Days after studying a topic on which it is reviewed
+const REVIEW_OFFSETS = [1, 3, 7];
+const MIN_REVIEW_MINUTES = 10;
+// Share of a day that reviews may take while there is still new material to study
+const MAX_REVIEW_SHARE = 0.4;
+const MOCK_EXAM_MINUTES = 45;
+// Plans with at least this many days get a mock exam part way through as well as one at the end
+const MIDTERM_EXAM_MIN_DAYS = 7;
+
+// Dates are UTC calendar days (YYYY-MM-DD), like dailyStats
+const toDateString = date => new Date(date).toISOString().split('T')[0];
+const addDays = (date, days) => toDateString(Date.parse(date) + days * DAY_MS);
+
+// Every date from start up to, but not including, end
+function dateRange(start, end) {
+    const dates = [];
+    for (let date = start; date < end; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+const roundUpTo5 = minutes => Math.ceil(minutes / 5) * 5;
+
+function estimateStudyMinutes(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    return Math.max(MIN_TOPIC_MINUTES, roundUpTo5(words / STUDY_WORDS_PER_MINUTE));
+}
+
+/**
+ * Topics to study from a file's outline nodes (see document-outline.js): a section takes one topic,
+ * unless it is more than a day's work and has subsections, in which case each subsection does.
+ * Returns [{ id, title, fileId, startOffset, endOffset, page, minutes }] in document order.
+ */
+function topicsFromOutline(file, nodes, text, dailyMinutes) {
+    const topics = [];
+    const titleOf = node => node.title || `${file.filename}, part ${node.id}`;
+
+    const visit = node => {
+        const minutes = estimateStudyMinutes(text.substring(node.startOffset, node.endOffset));
+        if (minutes <= dailyMinutes || node.children.length === 0) {
+            topics.push({ id: `${file.fileId}:${node.id}`, title: titleOf(node), fileId: file.fileId, startOffset: node.startOffset, endOffset: node.endOffset, page: node.page, minutes });
+            return;
+        }
+
+        const intro = text.substring(node.startOffset, node.children[0].startOffset);
+        if (intro.trim().split(/\s+/).length >= MIN_INTRO_WORDS) {
+            topics.push({ id: `${file.fileId}:${node.id}:intro`, title: `${titleOf(node)} (introduction)`, fileId: file.fileId, startOffset: node.startOffset, endOffset: node.children[0].startOffset, page: node.page, minutes: estimateStudyMinutes(intro) });
+        }
+        node.children.forEach(visit);
+    };
+    nodes.forEach(visit);
+    return topics;
+}
+
+// Longest study block for a daily budget: what is left of a day once reviews have taken their share
+const blockLimit = dailyMinutes => Math.max(5, Math.min(MAX_BLOCK_MINUTES, Math.floor((dailyMinutes * (1 - MAX_REVIEW_SHARE)) / 5) * 5));
+
+// Study blocks for the topics: each topic in parts of at most blockLimit minutes
+function studyBlocks(topics, dailyMinutes) {
+    const limit = blockLimit(dailyMinutes);
+    return topics.flatMap(topic => {
+        const parts = Math.ceil(topic.minutes / limit);
+        return Array.from({ length: parts }, (_, i) => ({
+            id: parts > 1 ? `study:${topic.id}:${i + 1}` : `study:${topic.id}`,
+            kind: 'study',
+            topicId: topic.id,
+            title: parts > 1 ? `${topic.title} (part ${i + 1} of ${parts})` : topic.title,
+            minutes: Math.min(limit, roundUpTo5(topic.minutes / parts)),
+            lastPart: i === parts - 1,
+            status: 'pending'
+        }));
+    });
+}
+
+// dueDate only matters while placing a review
+const stripPlanning = ({ dueDate, ...item }) => item;
+
+// Reviews of a topic after its last block was studied on studiedOn, each a fifth of the topic's time
+function reviewItems(topic, studiedOn) {
+    return REVIEW_OFFSETS.map(offset => ({
+        id: `review:${topic.id}:${offset}`,
+        kind: 'review',
+        topicId: topic.id,
+        title: `Review: ${topic.title}`,
+        minutes: Math.max(MIN_REVIEW_MINUTES, roundUpTo5(topic.minutes * 0.2)),
+        dueDate: addDays(studiedOn, offset),
+        status: 'pending'
+    }));
+}
+
+// Days the mock exams fall on: the last day, plus one about 60% of the way through longer plans
+function examDates(dates, count) {
+    if (dates.length === 0 || count === 0) return [];
+    const last = dates[dates.length - 1];
+    if (count === 1 || dates.length < 2) return [last];
+    return [dates[Math.min(dates.length - 2, Math.floor(dates.length * 0.6))], last];
+}
+
+/**
+ * Place items on days. studyQueue is scheduled in order, each block on the first day with room;
+ * finishing a topic's last block schedules its reviews REVIEW_OFFSETS days later (those falling
+ * on or after `end` are dropped). Reviews go first on their due day but, while there is new
+ * material left, take at most MAX_REVIEW_SHARE of it (the rest roll over). usedMinutes maps date ->
+ * minutes already taken by finished items; topics maps topic id -> topic. Returns { days: Map date -> items, unscheduled }.
+ */
+function placeItems({ dates, end, dailyMinutes, studyQueue, reviews, exams, usedMinutes = {}, topics }) {
+    const days = new Map(dates.map(date => [date, []]));
+    const free = new Map(dates.map(date => [date, Math.max(0, dailyMinutes - (usedMinutes[date] || 0))]));
+    const queue = [...studyQueue];
+    let dueReviews = [...reviews].sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    examDates(dates, exams.length).forEach((date, i) => {
+        const exam = { ...exams[i], minutes: Math.min(MOCK_EXAM_MINUTES, dailyMinutes) };
+        days.get(date).push(exam);
+        free.set(date, Math.max(0, free.get(date) - exam.minutes));
+    });
+
+    for (const date of dates) {
+        let budget = free.get(date);
+        let reviewBudget = queue.length > 0 ? Math.floor(budget * MAX_REVIEW_SHARE) : budget;
+
+        const later = [];
+        for (const review of dueReviews) {
+            // A review that rolled over onto another review of the same topic is covered by it
+            if (review.dueDate <= date && days.get(date).some(item => item.kind === 'review' && item.topicId === review.topicId)) continue;
+            if (review.dueDate <= date && review.minutes <= reviewBudget) {
+                days.get(date).push(stripPlanning(review));
+                reviewBudget -= review.minutes;
+                budget -= review.minutes;
+            } else {
+                later.push(review);
+            }
+        }
+        dueReviews = later;
+
+        while (queue.length > 0 && queue[0].minutes <= budget) {
+            const block = queue.shift();
+            days.get(date).push(block);
+            budget -= block.minutes;
+            if (block.lastPart) {
+                const topic = topics.get(block.topicId) || { id: block.topicId, title: block.title, minutes: block.minutes };
+                dueReviews.push(...reviewItems(topic, date).filter(review => review.dueDate < end));
+                dueReviews.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+            }
+        }
+    }
+
+    return { days, unscheduled: queue };
+}
+
+function toDayList(days) {
+    return [...days.entries()]
+        .filter(([, items]) => items.length > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, items]) => ({ date, items }));
+}
+
+/**
+ * A new plan from today (startDate) up to the day before examDate.
+ * Returns { days: [{ date, items }], unscheduled } where items are
+ * { id, kind ('study' | 'review' | 'exam'), topicId, title, minutes, status }.
+ */
+function buildStudyPlan({ topics, startDate, examDate, dailyMinutes }) {
+    const dates = dateRange(startDate, examDate);
+    const examCount = dates.length >= MIDTERM_EXAM_MIN_DAYS ? 2 : 1;
+    const exams = Array.from({ length: examCount }, (_, i) => ({
+        id: `exam:${i + 1}`,
+        kind: 'exam',
+        topicId: null,
+        title: i === examCount - 1 ? 'Final mock exam' : 'Mock exam',
+        status: 'pending'
+    }));
+
+    const { days, unscheduled } = placeItems({
+        dates,
+        end: examDate,
+        dailyMinutes,
+        studyQueue: studyBlocks(topics, dailyMinutes),
+        reviews: [],
+        exams,
+        topics: new Map(topics.map(topic => [topic.id, topic]))
+    });
+    return { days: toDayList(days), unscheduled };
+}
+
+// Pending items on days before today: work the user has fallen behind on
+function missedItems(plan, today) {
+    return plan.days
+        .filter(day => day.date < today)
+        .flatMap(day => day.items.filter(item => item.status === 'pending'));
+}
+
+/**
+ * Spread a plan's unfinished work over today up to the exam, keeping finished items where they are.
+ * Pending study blocks keep their order; reviews of topics already studied are kept (due today at the
+ * earliest), while reviews of topics not studied yet are scheduled again once they are. Use it when
+ * days were missed or the exam date or daily budget changed.
+ */
+function rebalanceStudyPlan(plan, { today, examDate = plan.examDate, dailyMinutes = plan.dailyMinutes, topics = plan.topics }) {
+    const finished = plan.days.map(day => ({ date: day.date, items: day.items.filter(item => item.status !== 'pending') }));
+    const pending = plan.days.flatMap(day => day.items.filter(item => item.status === 'pending').map(item => ({ item, date: day.date })))
+        .concat((plan.unscheduled || []).map(item => ({ item, date: null })));
+
+    const pendingStudy = pending.filter(({ item }) => item.kind === 'study').map(({ item }) => item);
+    const unstudied = new Set(pendingStudy.map(item => item.topicId));
+    const reviews = pending
+        .filter(({ item }) => item.kind === 'review' && !unstudied.has(item.topicId))
+        .map(({ item, date }) => ({ ...item, dueDate: date && date > today ? date : today }));
+    const exams = pending.filter(({ item }) => item.kind === 'exam').map(({ item }) => item);
+
+    // Blocks too long for a smaller daily budget are split into pieces
+    const limit = blockLimit(dailyMinutes);
+    const studyQueue = pendingStudy.flatMap(item => {
+        const pieces = Math.ceil(item.minutes / limit);
+        if (pieces <= 1) return [item];
+        return Array.from({ length: pieces }, (_, i) => ({
+            ...item,
+            id: `${item.id}.${i + 1}`,
+            title: `${item.title} (${i + 1}/${pieces})`,
+            minutes: Math.min(limit, roundUpTo5(item.minutes / pieces)),
+            lastPart: item.lastPart && i === pieces - 1
+        }));
+    });
+
+    const usedMinutes = {};
+    for (const day of finished) {
+        usedMinutes[day.date] = day.items.reduce((sum, item) => sum + item.minutes, 0);
+    }
+
+    const dates = dateRange(today > plan.startDate ? today : plan.startDate, examDate);
+    const { days, unscheduled } = placeItems({
+        dates,
+        end: examDate,
+        dailyMinutes,
+        studyQueue,
+        reviews,
+        exams,
+        usedMinutes,
+        topics: new Map((topics || []).map(topic => [topic.id, topic]))
+    });
+
+    for (const day of finished) {
+        if (!days.has(day.date)) days.set(day.date, []);
+        days.get(day.date).unshift(...day.items);
+    }
+    return { days: toDayList(days), unscheduled };
+}
+
+// Minutes planned and done, overall and for today
+function planProgress(plan, today) {
+    const items = plan.days.flatMap(day => day.items).concat(plan.unscheduled || []);
+    const total = items.reduce((sum, item) => sum + item.minutes, 0);
+    const done = items.filter(item => item.status === 'done').reduce((sum, item) => sum + item.minutes, 0);
+    const todayPlan = plan.days.find(day => day.date === today);
+
+    return {
+        totalMinutes: total,
+        doneMinutes: done,
+        percent: total > 0 ? Math.round((done / total) * 100) : 0,
+        daysLeft: Math.max(0, Math.round((Date.parse(plan.examDate) - Date.parse(today)) / DAY_MS)),
+        todayMinutes: todayPlan ? todayPlan.items.reduce((sum, item) => sum + item.minutes, 0) : 0,
+        unscheduledMinutes: (plan.unscheduled || []).reduce((sum, item) => sum + item.minutes, 0)
+    };
+}
+
+module.exports = {
+    toDateString,
+    addDays,
+    estimateStudyMinutes,
+    topicsFromOutline,
+    buildStudyPlan,
+    rebalanceStudyPlan,
+    missedItems,
+    planProgress
+};
@@ -0,0 +1,81 @@
+/**
+ * Study Stats
+ * Accuracy, per-topic breakdowns, concept mastery and streaks computed from
+ * what the user actually did: answered questions, flashcard reviews and
+ * daily activity records.
+ */
+
+const { retrievability } = require('./fsrs-scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+
+// Share of answered questions that were correct; null when nothing has been answered yet
+function computeAccuracy(results) {
+    const correct = results.filter(result => result.correct).length;
+    return { answered: results.length, correct, accuracy: percent(correct, results.length) };
+}
+
+function computeTopicAccuracy(results) {
+    const topics = new Map();
+    for (const result of results) {
+        const topic = result.topic || 'General';
+        if (!topics.has(topic)) topics.set(topic, []);
+        topics.get(topic).push(result);
+    }
+
+    return [...topics.entries()]
+        .map(([topic, topicResults]) => ({ topic, ...computeAccuracy(topicResults) }))
+        .sort((a, b) => b.answered - a.answered);
+}
+
+// Estimated chance (0-100) the card would be recalled right now. FSRS cards use their stability;
+// SM-2 cards use the scheduled interval, which SM-2 treats as the point where recall is still likely.
+function cardMastery(card, now = new Date()) {
+    if (!card.lastReview) return 0;
+
+    const stability = (card.fsrs && card.fsrs.stability) || card.interval || 1;
+    const elapsedDays = Math.max(0, (now - new Date(card.lastReview)) / DAY_MS);
+    return Math.round(retrievability(elapsedDays, stability) * 100);
+}
+
+// Mastery per concept (flashcard term), weakest first, plus the average across every card
+function computeConceptMastery(cards, now = new Date()) {
+    const concepts = cards.map(card => ({
+        cardId: card._id,
+        concept: card.term || card.front || 'Untitled card',
+        mastery: cardMastery(card, now),
+        repetitions: card.repetitions || 0,
+        lastReview: card.lastReview || null
+    })).sort((a, b) => a.mastery - b.mastery);
+
+    const overall = concepts.length > 0
+        ? Math.round(concepts.reduce((sum, concept) => sum + concept.mastery, 0) / concepts.length)
+        : null;
+
+    return { overall, concepts };
+}
+
+// Consecutive active days (YYYY-MM-DD, UTC) ending today, or yesterday if nothing is logged yet today
+function computeStreak(activeDates, now = new Date()) {
+    const days = new Set(activeDates);
+    const today = now.toISOString().split('T')[0];
+    const dayBefore = date => new Date(Date.parse(date) - DAY_MS).toISOString().split('T')[0];
+
+    let cursor = days.has(today) ? today : dayBefore(today);
+    let streak = 0;
+    while (days.has(cursor)) {
+        streak++;
+        cursor = dayBefore(cursor);
+    }
+    return streak;
+}
+
+module.exports = {
+    computeAccuracy,
+    computeTopicAccuracy,
+    computeConceptMastery,
+    computeStreak,
+    cardMastery
+};
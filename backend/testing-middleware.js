@@ -71,6 +71,7 @@ class BackendTestingChecklist {
                     configured: {
                         mongodb: !!process.env.MONGODB_URI || !!global.mongoConnection,
                         openai: !!process.env.OPENAI_API_KEY,
+                        llm_provider: process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'mock'),
                         stripe_secret: !!process.env.STRIPE_SECRET_KEY,
                         stripe_publishable: !!process.env.STRIPE_PUBLISHABLE_KEY,
                         stripe_webhook: !!process.env.STRIPE_WEBHOOK_SECRET,
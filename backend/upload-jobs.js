@@ -0,0 +1,68 @@
+/**
+ * Upload Jobs
+ * An upload is accepted straight away as a job with one entry per file and
+ * processed in the background. Each file moves from queued through
+ * extracting and embedding to ready, or stops at failed with the reason;
+ * a failed file can be queued again without touching the rest of its job.
+ */
+
+const FILE_STATES = ['queued', 'extracting', 'embedding', 'ready', 'failed'];
+const FINISHED_STATES = ['ready', 'failed'];
+
+// A file left extracting or embedding this long belongs to a worker that died, and is queued again
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+// A live worker refreshes its claim this often, so slow files (long OCR runs) never look stale
+const CLAIM_REFRESH_MS = 60 * 1000;
+
+// Overall job status: queued, processing, ready, failed (every file failed) or partial (some failed)
+function uploadJobStatus(files) {
+    const count = state => files.filter(file => file.state === state).length;
+    if (count('ready') === files.length) return 'ready';
+    if (count('failed') === files.length) return 'failed';
+    if (files.every(file => FINISHED_STATES.includes(file.state))) return 'partial';
+    return count('queued') === files.length ? 'queued' : 'processing';
+}
+
+// What GET /api/uploads/:jobId returns; ready files carry the same fields the upload used to respond with
+function formatUploadJob(job) {
+    const counts = Object.fromEntries(FILE_STATES.map(state => [state, job.files.filter(file => file.state === state).length]));
+    const files = job.files.map((file, index) => ({
+        index,
+        filename: file.filename,
+        state: file.state,
+        attempts: file.attempts || 0,
+        ...(file.state === 'ready' ? {
+            id: file.fileId.toString(),
+            wordCount: file.wordCount,
+            chunkCount: file.chunkCount,
+            ...(file.ocr ? { ocr: file.ocr } : {}),
+            // An exact copy linked to the file the user already had (id is that file)
+            ...(file.duplicateOf ? { duplicateOf: file.duplicateOf.toString() } : {}),
+            // A near copy of an existing file, which the client can offer to record as its new version
+            ...(file.similarTo ? {
+                similarTo: { id: file.similarTo.fileId.toString(), filename: file.similarTo.filename, similarity: file.similarTo.similarity }
+            } : {})
+        } : {}),
+        ...(file.state === 'failed' ? { error: file.error } : {})
+    }));
+
+    return {
+        jobId: job._id.toString(),
+        status: uploadJobStatus(job.files),
+        courseId: job.courseId ? job.courseId.toString() : null,
+        counts,
+        files,
+        totalWords: files.reduce((sum, file) => sum + (file.wordCount || 0), 0),
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+module.exports = {
+    FILE_STATES,
+    FINISHED_STATES,
+    STALE_CLAIM_MS,
+    CLAIM_REFRESH_MS,
+    uploadJobStatus,
+    formatUploadJob
+};